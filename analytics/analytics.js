@@ -3,111 +3,459 @@
  *
  * Provides analytics query functions for skill usage tracking.
  * Queries the skill_usage_events table to generate insights.
+ * Every query is scoped to a single project (see server/auth.js).
+ *
+ * Full days before the rollup watermark are read from the rollup tables
+ * (server/rollups.js) instead of raw events. Latency
+ * percentiles/histograms and error details need raw events and only cover
+ * the raw retention window.
+ *
+ * Invocation, status and duration counts are scaled back up for sampled
+ * events (see server/sampling.js). Unique users, percentiles, histograms and
+ * distributions are computed from the stored events as they are.
+ *
+ * The `days` argument of every function is either a number of days ending
+ * now (fractions allowed, e.g. 1/24 for an hour) or an explicit
+ * { from, to, timezone } range (see analytics/range.js). Day-level user data
+ * (DAU, new vs returning, cohorts) is stored per UTC day and ignores the
+ * timezone.
+ */
+
+import { DAY_MS, sqlTimestamp, sqlBounds, resolveRange, previousRange, offsetSegments, toLocalTime, localTimeSql } from './range.js';
+
+/**
+ * Read the rollup watermarks (see server/rollups.js)
+ * Empty strings when nothing is rolled up yet, so every raw row is used.
+ * @param {Object} env - Worker environment with DB binding
+ * @returns {Promise<Object>} { hourly_until, daily_until }
+ */
+async function getRollupWatermarks(env) {
+  const results = await env.DB.prepare(`SELECT key, value FROM rollup_state`).all();
+  const watermarks = { hourly_until: '', daily_until: '' };
+  for (const row of results.results) {
+    watermarks[row.key] = row.value;
+  }
+  return watermarks;
+}
+
+/**
+ * Event count scaled back up for sampling (see server/sampling.js)
+ * Each stored event stands for 1 / sample_rate events.
+ * @param {string|null} condition - Only count events matching this SQL condition (default: all)
+ * @returns {string} SQL aggregate
+ */
+function scaledCount(condition = null) {
+  return condition
+    ? `ROUND(SUM(CASE WHEN ${condition} THEN 1.0 / sample_rate ELSE 0 END))`
+    : 'ROUND(SUM(1.0 / sample_rate))';
+}
+
+/**
+ * Subquery for per-tool usage counters in a range
+ * Full days before the watermark come from the daily rollups; the partial
+ * first and last days and everything after the watermark come from raw events.
+ * Counts and duration sums are scaled for sampling.
+ * Columns: tool_name, invocations, success_count, error_count, timeout_count, duration_count, duration_sum
+ * @param {string} projectId - Project to report on
+ * @param {string} since - Start of the range (SQL timestamp)
+ * @param {string} until - End of the range, exclusive (SQL timestamp)
+ * @param {string} dailyUntil - Daily rollup watermark
+ * @returns {Object} { sql, params }
+ */
+function usageCounts(projectId, since, until, dailyUntil) {
+  const rawCounts = `
+      SELECT tool_name, ${scaledCount()}, ${scaledCount(`status = 'success'`)},
+        ${scaledCount(`status = 'error'`)}, ${scaledCount(`status = 'timeout'`)},
+        ${scaledCount('duration_ms IS NOT NULL')}, ROUND(SUM(duration_ms / sample_rate))
+      FROM skill_usage_events`;
+
+  return {
+    sql: `
+      SELECT tool_name, SUM(invocations) AS invocations, SUM(success_count) AS success_count,
+        SUM(error_count) AS error_count, SUM(timeout_count) AS timeout_count,
+        SUM(duration_count) AS duration_count, SUM(duration_sum) AS duration_sum
+      FROM usage_rollups_daily
+      WHERE project_id = ? AND bucket >= DATE(?, '+1 day') AND bucket < MIN(DATE(?), ?)
+      GROUP BY tool_name
+      UNION ALL${rawCounts}
+      WHERE project_id = ? AND timestamp >= ? AND timestamp < MIN(DATE(?, '+1 day'), ?)
+      GROUP BY tool_name
+      UNION ALL${rawCounts}
+      WHERE project_id = ? AND timestamp >= MAX(DATE(?, '+1 day'), MIN(DATE(?), ?)) AND timestamp < ?
+      GROUP BY tool_name`,
+    params: [
+      projectId, since, until, dailyUntil,
+      projectId, since, since, until,
+      projectId, since, until, dailyUntil, until,
+    ],
+  };
+}
+
+/**
+ * Subquery for distinct user activity per day and tool in a range
+ * Split like usageCounts(); rolled-up days come from usage_daily_users, so
+ * users are still counted once their raw events have been purged.
+ * Columns: day, tool_name, user_id_hash
+ * @param {string} projectId - Project to report on
+ * @param {string} since - Start of the range (SQL timestamp)
+ * @param {string} until - End of the range, exclusive (SQL timestamp)
+ * @param {string} dailyUntil - Daily rollup watermark
+ * @returns {Object} { sql, params }
  */
+function userActivity(projectId, since, until, dailyUntil) {
+  const rawActivity = `
+      SELECT DISTINCT DATE(timestamp) AS day, tool_name, user_id_hash
+      FROM skill_usage_events`;
+
+  return {
+    sql: `
+      SELECT day, tool_name, user_id_hash
+      FROM usage_daily_users
+      WHERE project_id = ? AND day >= DATE(?, '+1 day') AND day < MIN(DATE(?), ?)
+      UNION ALL${rawActivity}
+      WHERE project_id = ? AND timestamp >= ? AND timestamp < MIN(DATE(?, '+1 day'), ?)
+      UNION ALL${rawActivity}
+      WHERE project_id = ? AND timestamp >= MAX(DATE(?, '+1 day'), MIN(DATE(?), ?)) AND timestamp < ?`,
+    params: [
+      projectId, since, until, dailyUntil,
+      projectId, since, since, until,
+      projectId, since, until, dailyUntil, until,
+    ],
+  };
+}
+
+// Start of the range for "ever" queries (first seen, cohorts)
+const BEGINNING = '1970-01-01 00:00:00';
+
+/**
+ * Change from a previous period (or tool version) to the current one
+ * Counts and durations change in percent (null when the previous value is 0),
+ * rates in percentage points. Everything is null when either period is empty.
+ * @param {Object} current - Current period stats
+ * @param {Object|null} previous - Previous period stats
+ * @param {string} countField - Field holding the invocation count
+ * @returns {Object} Change per numeric field of current
+ */
+function periodChange(current, previous, countField) {
+  const fields = [countField, 'unique_users', 'avg_duration_ms', 'p50_ms', 'p95_ms', 'p99_ms', 'success_rate', 'error_rate', 'timeout_rate']
+    .filter(field => field in current);
+  const comparable = previous && previous[countField] > 0;
+
+  return Object.fromEntries(fields.map(field => {
+    if (!comparable) return [field, null];
+    if (field.endsWith('_rate')) {
+      return [field, current[countField] > 0 ? Number((current[field] - previous[field]).toFixed(2)) : null];
+    }
+    return [field, previous[field] && current[field] !== null ? Number(((current[field] - previous[field]) / previous[field] * 100).toFixed(2)) : null];
+  }));
+}
 
 /**
  * Get overall usage summary for a time period
  * @param {Object} env - Worker environment with DB binding
- * @param {number} days - Number of days to look back (default: 7)
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {Object} options - Options
+ * @param {boolean} options.compare - Add the previous equal-length period and the change from it
  * @returns {Promise<Object>} Summary metrics
  */
-export async function getSummary(env, days = 7) {
-  const since = new Date();
-  since.setDate(since.getDate() - days);
+export async function getSummary(env, days = 7, projectId = 'default', options = {}) {
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+
+  const { daily_until } = await getRollupWatermarks(env);
+  const counts = usageCounts(projectId, since, until, daily_until);
+  const activity = userActivity(projectId, since, until, daily_until);
 
   const stmt = env.DB.prepare(`
     SELECT
-      COUNT(*) as total_invocations,
-      COUNT(DISTINCT user_id_hash) as unique_users,
-      AVG(duration_ms) as avg_duration_ms,
-      SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as success_count,
-      SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as error_count
-    FROM skill_usage_events
-    WHERE timestamp >= ?
+      COALESCE(SUM(invocations), 0) as total_invocations,
+      (SELECT COUNT(DISTINCT user_id_hash) FROM (${activity.sql})) as unique_users,
+      SUM(duration_sum) * 1.0 / SUM(duration_count) as avg_duration_ms,
+      SUM(success_count) as success_count,
+      SUM(error_count) as error_count,
+      SUM(timeout_count) as timeout_count
+    FROM (${counts.sql})
   `);
 
-  const result = await stmt.bind(since.toISOString()).first();
+  const result = await stmt.bind(...activity.params, ...counts.params).first();
 
   // Handle case where there are no events
-  if (!result || result.total_invocations === 0) {
-    return {
-      period: `${days} days`,
+  const summary = !result || result.total_invocations === 0
+    ? {
+      period: range.label,
       total_invocations: 0,
       unique_users: 0,
       avg_duration_ms: 0,
       success_rate: '0.00',
       error_rate: '0.00',
+      timeout_count: 0,
+      timeout_rate: '0.00',
+    }
+    : {
+      period: range.label,
+      total_invocations: result.total_invocations,
+      unique_users: result.unique_users,
+      avg_duration_ms: Math.round(result.avg_duration_ms || 0),
+      success_rate: (result.success_count / result.total_invocations * 100).toFixed(2),
+      error_rate: (result.error_count / result.total_invocations * 100).toFixed(2),
+      timeout_count: result.timeout_count,
+      timeout_rate: (result.timeout_count / result.total_invocations * 100).toFixed(2),
     };
+
+  if (!options.compare) {
+    return summary;
   }
 
-  return {
-    period: `${days} days`,
-    total_invocations: result.total_invocations,
-    unique_users: result.unique_users,
-    avg_duration_ms: Math.round(result.avg_duration_ms || 0),
-    success_rate: (result.success_count / result.total_invocations * 100).toFixed(2),
-    error_rate: (result.error_count / result.total_invocations * 100).toFixed(2),
-  };
+  const previous = await getSummary(env, previousRange(range), projectId);
+  return { ...summary, previous, change: periodChange(summary, previous, 'total_invocations') };
 }
 
 /**
  * Get per-tool usage statistics
  * @param {Object} env - Worker environment with DB binding
- * @param {number} days - Number of days to look back (default: 7)
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {Object} options - Options
+ * @param {boolean} options.compare - Add each tool's stats for the previous equal-length period and the change from it
  * @returns {Promise<Array>} Array of tool stats
  */
-export async function getToolStats(env, days = 7) {
-  const since = new Date();
-  since.setDate(since.getDate() - days);
+export async function getToolStats(env, days = 7, projectId = 'default', options = {}) {
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+
+  const { daily_until } = await getRollupWatermarks(env);
+  const counts = usageCounts(projectId, since, until, daily_until);
 
   const stmt = env.DB.prepare(`
     SELECT
       tool_name,
-      COUNT(*) as invocations,
-      AVG(duration_ms) as avg_duration_ms,
-      SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as success_count,
-      SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as error_count
-    FROM skill_usage_events
-    WHERE timestamp >= ?
+      SUM(invocations) as invocations,
+      SUM(duration_sum) * 1.0 / SUM(duration_count) as avg_duration_ms,
+      SUM(success_count) as success_count,
+      SUM(error_count) as error_count,
+      SUM(timeout_count) as timeout_count
+    FROM (${counts.sql})
     GROUP BY tool_name
     ORDER BY invocations DESC
   `);
 
-  const results = await stmt.bind(since.toISOString()).all();
+  const results = await stmt.bind(...counts.params).all();
 
-  return results.results.map(row => ({
+  const tools = results.results.map(row => ({
     tool_name: row.tool_name,
     invocations: row.invocations,
     avg_duration_ms: Math.round(row.avg_duration_ms || 0),
     success_rate: (row.success_count / row.invocations * 100).toFixed(2),
     error_rate: (row.error_count / row.invocations * 100).toFixed(2),
+    timeout_count: row.timeout_count,
+    timeout_rate: (row.timeout_count / row.invocations * 100).toFixed(2),
   }));
+
+  if (!options.compare) {
+    return tools;
+  }
+
+  // Tools only used in the previous period are not listed
+  const previousTools = new Map(
+    (await getToolStats(env, previousRange(range), projectId)).map(({ tool_name, ...stats }) => [tool_name, stats])
+  );
+  return tools.map(tool => {
+    const previous = previousTools.get(tool.tool_name) || null;
+    return { ...tool, previous, change: periodChange(tool, previous, 'invocations') };
+  });
+}
+
+/**
+ * Upper bounds (inclusive) of the result_count histogram buckets
+ * Counts above the last bound fall into a final open-ended bucket
+ */
+export const RESULT_COUNT_BUCKETS = [0, 1, 5, 10, 50, 100];
+
+/**
+ * Get usage details for a single tool (dashboard drill-down)
+ * Counters and unique users follow getToolStats(). The metadata breakdowns
+ * read the `params_keys` and `result_count` fields that trackSkillExecution()
+ * records, from raw events only.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {string} toolName - Tool to report on
+ * @param {Object} options - Options
+ * @param {number} options.limit - Maximum number of parameter keys and key sets (default: 20)
+ * @returns {Promise<Object>} Counters, parameter key usage and result count distribution
+ */
+export async function getToolDetails(env, days = 7, projectId = 'default', toolName, options = {}) {
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+  const limit = options.limit || 20;
+
+  const { daily_until } = await getRollupWatermarks(env);
+  const counts = usageCounts(projectId, since, until, daily_until);
+  const activity = userActivity(projectId, since, until, daily_until);
+
+  const countsStmt = env.DB.prepare(`
+    SELECT
+      COALESCE(SUM(invocations), 0) as invocations,
+      (SELECT COUNT(DISTINCT user_id_hash) FROM (${activity.sql}) WHERE tool_name = ?) as unique_users,
+      SUM(duration_sum) * 1.0 / SUM(duration_count) as avg_duration_ms,
+      SUM(success_count) as success_count,
+      SUM(error_count) as error_count,
+      SUM(timeout_count) as timeout_count
+    FROM (${counts.sql})
+    WHERE tool_name = ?
+  `).bind(...activity.params, toolName, ...counts.params, toolName);
+
+  // Metadata that is not valid JSON is skipped rather than failing the query
+  const metadata = `
+    WITH meta AS (
+      SELECT CASE WHEN json_valid(metadata) THEN metadata END AS metadata
+      FROM skill_usage_events
+      WHERE project_id = ? AND tool_name = ? AND timestamp >= ? AND timestamp < ? AND metadata IS NOT NULL
+    )`;
+  const metadataParams = [projectId, toolName, since, until];
+
+  const keySetsStmt = env.DB.prepare(`${metadata}
+    SELECT json_extract(metadata, '$.params_keys') as keys, COUNT(*) as events
+    FROM meta
+    WHERE json_type(metadata, '$.params_keys') = 'array'
+    GROUP BY keys
+    ORDER BY events DESC
+    LIMIT ?
+  `).bind(...metadataParams, limit);
+
+  const keysStmt = env.DB.prepare(`${metadata}
+    SELECT param.value as key, COUNT(*) as events
+    FROM meta, json_each(meta.metadata, '$.params_keys') param
+    WHERE json_type(meta.metadata, '$.params_keys') = 'array' AND param.type = 'text'
+    GROUP BY param.value
+    ORDER BY events DESC
+    LIMIT ?
+  `).bind(...metadataParams, limit);
+
+  const bucketCase = RESULT_COUNT_BUCKETS
+    .map((bound, index) => `WHEN result_count <= ${bound} THEN ${index}`)
+    .join(' ');
+
+  const resultCountsStmt = env.DB.prepare(`${metadata},
+    results AS (
+      SELECT json_extract(metadata, '$.result_count') AS result_count
+      FROM meta
+      WHERE json_type(metadata, '$.result_count') IN ('integer', 'real')
+    ),
+    ranked AS (
+      SELECT result_count,
+        ROW_NUMBER() OVER (ORDER BY result_count) AS rn,
+        COUNT(*) OVER () AS cnt
+      FROM results
+    )
+    SELECT
+      CASE ${bucketCase} ELSE ${RESULT_COUNT_BUCKETS.length} END as bucket,
+      COUNT(*) as count,
+      SUM(result_count) as total,
+      MAX(result_count) as max,
+      MIN(CASE WHEN rn >= cnt * 0.50 THEN result_count END) as p50,
+      MIN(CASE WHEN rn >= cnt * 0.90 THEN result_count END) as p90
+    FROM ranked
+    GROUP BY bucket
+  `).bind(...metadataParams);
+
+  const withParamsStmt = env.DB.prepare(`${metadata}
+    SELECT COUNT(*) as events FROM meta WHERE json_type(metadata, '$.params_keys') = 'array'
+  `).bind(...metadataParams);
+
+  const [countsRow, keySets, keys, resultCounts, withParams] = await Promise.all([
+    countsStmt.first(),
+    keySetsStmt.all(),
+    keysStmt.all(),
+    resultCountsStmt.all(),
+    withParamsStmt.first(),
+  ]);
+
+  const invocations = countsRow?.invocations || 0;
+  const eventsWithParams = withParams?.events || 0;
+  const share = (events) => (events / eventsWithParams * 100).toFixed(2);
+
+  const histogram = [...RESULT_COUNT_BUCKETS, null].map((bound, index) => ({
+    min: index === 0 ? 0 : RESULT_COUNT_BUCKETS[index - 1] + 1,
+    max: bound,
+    label: bound === null
+      ? `>${RESULT_COUNT_BUCKETS[index - 1]}`
+      : index === 0 || RESULT_COUNT_BUCKETS[index - 1] + 1 === bound ? `${bound}` : `${RESULT_COUNT_BUCKETS[index - 1] + 1}-${bound}`,
+    count: 0,
+  }));
+
+  let samples = 0;
+  let total = 0;
+  for (const row of resultCounts.results) {
+    histogram[row.bucket].count += row.count;
+    samples += row.count;
+    total += row.total;
+  }
+
+  // Ranks are global, so the nearest-rank value is the smallest candidate across buckets
+  const smallest = (field) => {
+    const values = resultCounts.results.map(row => row[field]).filter(value => value !== null);
+    return values.length ? Math.min(...values) : null;
+  };
+
+  return {
+    period: range.label,
+    tool_name: toolName,
+    invocations,
+    unique_users: countsRow?.unique_users || 0,
+    avg_duration_ms: Math.round(countsRow?.avg_duration_ms || 0),
+    success_rate: invocations ? (countsRow.success_count / invocations * 100).toFixed(2) : '0.00',
+    error_rate: invocations ? (countsRow.error_count / invocations * 100).toFixed(2) : '0.00',
+    timeout_count: countsRow?.timeout_count || 0,
+    timeout_rate: invocations ? (countsRow.timeout_count / invocations * 100).toFixed(2) : '0.00',
+    params: {
+      events: eventsWithParams,
+      keys: keys.results.map(row => ({ key: row.key, events: row.events, share: share(row.events) })),
+      key_sets: keySets.results.map(row => ({ keys: JSON.parse(row.keys), events: row.events, share: share(row.events) })),
+    },
+    result_count: {
+      samples,
+      avg: samples ? Number((total / samples).toFixed(2)) : null,
+      p50: smallest('p50'),
+      p90: smallest('p90'),
+      max: samples ? Math.max(...resultCounts.results.map(row => row.max)) : null,
+      histogram,
+    },
+  };
 }
 
 /**
  * Get retention statistics (DAU/WAU)
  * @param {Object} env - Worker environment with DB binding
- * @param {number} days - Number of days to look back (default: 30)
+ * @param {number|Object} days - Number of days to look back (default: 30), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
  * @returns {Promise<Object>} Retention metrics
  */
-export async function getRetentionStats(env, days = 30) {
+export async function getRetentionStats(env, days = 30, projectId = 'default') {
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+  const week = sqlBounds({ since: new Date(range.until.getTime() - 7 * DAY_MS), until: range.until });
+
+  const { daily_until } = await getRollupWatermarks(env);
+  const activity = userActivity(projectId, since, until, daily_until);
+  const weekActivity = userActivity(projectId, week.since, week.until, daily_until);
+
   // Daily Active Users
   const dauStmt = env.DB.prepare(`
     SELECT
-      DATE(timestamp) as date,
+      day as date,
       COUNT(DISTINCT user_id_hash) as dau
-    FROM skill_usage_events
-    WHERE timestamp >= datetime('now', '-${days} days')
-    GROUP BY DATE(timestamp)
+    FROM (${activity.sql})
+    GROUP BY day
     ORDER BY date DESC
-  `);
+  `).bind(...activity.params);
 
-  // Weekly Active Users (rolling 7-day window)
+  // Weekly Active Users (7 days up to the end of the range)
   const wauStmt = env.DB.prepare(`
     SELECT COUNT(DISTINCT user_id_hash) as wau
-    FROM skill_usage_events
-    WHERE timestamp >= datetime('now', '-7 days')
-  `);
+    FROM (${weekActivity.sql})
+  `).bind(...weekActivity.params);
 
   const [dauResults, wauResult] = await Promise.all([
     dauStmt.all(),
@@ -117,20 +465,21 @@ export async function getRetentionStats(env, days = 30) {
   return {
     daily_active_users: dauResults.results,
     weekly_active_users: wauResult?.wau || 0,
-    period: `${days} days`,
+    period: range.label,
   };
 }
 
 /**
  * Get recent errors for debugging
  * @param {Object} env - Worker environment with DB binding
- * @param {number} days - Number of days to look back (default: 7)
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
  * @param {number} limit - Maximum number of errors to return (default: 50)
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {string|null} toolName - Only report on this tool (default: all tools)
  * @returns {Promise<Object>} Error log
  */
-export async function getRecentErrors(env, days = 7, limit = 50) {
-  const since = new Date();
-  since.setDate(since.getDate() - days);
+export async function getRecentErrors(env, days = 7, limit = 50, projectId = 'default', toolName = null) {
+  const { since, until } = sqlBounds(resolveRange(days));
 
   const stmt = env.DB.prepare(`
     SELECT
@@ -140,15 +489,1081 @@ export async function getRecentErrors(env, days = 7, limit = 50) {
       error_message,
       duration_ms
     FROM skill_usage_events
-    WHERE status = 'error' AND timestamp >= ?
+    WHERE project_id = ? AND status = 'error' AND timestamp >= ? AND timestamp < ?
+      AND (? IS NULL OR tool_name = ?)
     ORDER BY timestamp DESC
     LIMIT ?
   `);
 
-  const results = await stmt.bind(since.toISOString(), limit).all();
+  const results = await stmt.bind(projectId, since, until, toolName, toolName, limit).all();
 
   return {
     errors: results.results,
     count: results.results.length,
   };
 }
+
+/**
+ * Upper bounds (ms, inclusive) of the latency histogram buckets
+ * Durations above the last bound fall into a final open-ended bucket
+ */
+export const LATENCY_BUCKETS_MS = [50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * Get latency percentiles and histograms per tool
+ * Percentiles use the nearest-rank method over events with a recorded duration.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {string|null} toolName - Only report on this tool (default: all tools)
+ * @returns {Promise<Object>} Overall and per-tool p50/p90/p95/p99/max and histograms
+ */
+export async function getLatencyStats(env, days = 7, projectId = 'default', toolName = null) {
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+  const filterParams = [projectId, since, until, toolName, toolName];
+
+  // Rank durations within each tool (and overall) to pick nearest-rank percentiles
+  const percentilesStmt = env.DB.prepare(`
+    WITH durations AS (
+      SELECT tool_name, duration_ms
+      FROM skill_usage_events
+      WHERE project_id = ? AND timestamp >= ? AND timestamp < ? AND duration_ms IS NOT NULL
+        AND (? IS NULL OR tool_name = ?)
+    ),
+    ranked AS (
+      SELECT tool_name, duration_ms,
+        ROW_NUMBER() OVER (PARTITION BY tool_name ORDER BY duration_ms) AS rn,
+        COUNT(*) OVER (PARTITION BY tool_name) AS cnt
+      FROM durations
+      UNION ALL
+      SELECT NULL AS tool_name, duration_ms,
+        ROW_NUMBER() OVER (ORDER BY duration_ms) AS rn,
+        COUNT(*) OVER () AS cnt
+      FROM durations
+    )
+    SELECT
+      tool_name,
+      MAX(cnt) as samples,
+      MIN(CASE WHEN rn >= cnt * 0.50 THEN duration_ms END) as p50_ms,
+      MIN(CASE WHEN rn >= cnt * 0.90 THEN duration_ms END) as p90_ms,
+      MIN(CASE WHEN rn >= cnt * 0.95 THEN duration_ms END) as p95_ms,
+      MIN(CASE WHEN rn >= cnt * 0.99 THEN duration_ms END) as p99_ms,
+      MAX(duration_ms) as max_ms
+    FROM ranked
+    GROUP BY tool_name
+    ORDER BY samples DESC
+  `).bind(...filterParams);
+
+  const bucketCase = LATENCY_BUCKETS_MS
+    .map((bound, index) => `WHEN duration_ms <= ${bound} THEN ${index}`)
+    .join(' ');
+
+  const histogramStmt = env.DB.prepare(`
+    SELECT
+      tool_name,
+      CASE ${bucketCase} ELSE ${LATENCY_BUCKETS_MS.length} END as bucket,
+      COUNT(*) as count
+    FROM skill_usage_events
+    WHERE project_id = ? AND timestamp >= ? AND timestamp < ? AND duration_ms IS NOT NULL
+      AND (? IS NULL OR tool_name = ?)
+    GROUP BY tool_name, bucket
+  `).bind(...filterParams);
+
+  const [percentiles, histogramRows] = await Promise.all([
+    percentilesStmt.all(),
+    histogramStmt.all()
+  ]);
+
+  const emptyHistogram = () => [...LATENCY_BUCKETS_MS, null].map((bound, index) => ({
+    min_ms: index === 0 ? 0 : LATENCY_BUCKETS_MS[index - 1] + 1,
+    max_ms: bound,
+    label: bound === null ? `>${LATENCY_BUCKETS_MS[index - 1]}ms` : `≤${bound}ms`,
+    count: 0,
+  }));
+
+  const overallHistogram = emptyHistogram();
+  const toolHistograms = {};
+  for (const row of histogramRows.results) {
+    toolHistograms[row.tool_name] ??= emptyHistogram();
+    toolHistograms[row.tool_name][row.bucket].count += row.count;
+    overallHistogram[row.bucket].count += row.count;
+  }
+
+  const toLatency = (row) => ({
+    samples: row?.samples || 0,
+    p50_ms: row?.p50_ms ?? null,
+    p90_ms: row?.p90_ms ?? null,
+    p95_ms: row?.p95_ms ?? null,
+    p99_ms: row?.p99_ms ?? null,
+    max_ms: row?.max_ms ?? null,
+  });
+
+  return {
+    period: range.label,
+    overall: {
+      ...toLatency(percentiles.results.find(row => row.tool_name === null)),
+      histogram: overallHistogram,
+    },
+    tools: percentiles.results
+      .filter(row => row.tool_name !== null)
+      .map(row => ({
+        tool_name: row.tool_name,
+        ...toLatency(row),
+        histogram: toolHistograms[row.tool_name] || emptyHistogram(),
+      })),
+  };
+}
+
+/**
+ * Upper bounds (bytes, inclusive) of the response size buckets used to relate size to duration
+ * Sizes above the last bound fall into a final open-ended bucket
+ */
+export const PAYLOAD_SIZE_BUCKETS_BYTES = [1024, 10 * 1024, 100 * 1024, 1024 * 1024];
+
+/**
+ * Pearson correlation from running sums
+ * @param {Object} row - { n, sum_x, sum_y, sum_xx, sum_yy, sum_xy }
+ * @returns {number|null} Coefficient (-1 to 1), or null with fewer than 3 pairs or no variance
+ */
+function correlation(row) {
+  const n = row?.n || 0;
+  if (n < 3) return null;
+  const varianceX = n * row.sum_xx - row.sum_x * row.sum_x;
+  const varianceY = n * row.sum_yy - row.sum_y * row.sum_y;
+  if (!(varianceX > 0) || !(varianceY > 0)) return null;
+  return Number(((n * row.sum_xy - row.sum_x * row.sum_y) / Math.sqrt(varianceX * varianceY)).toFixed(3));
+}
+
+/**
+ * Get request/response payload sizes per tool and how they relate to duration
+ * Sizes are the serialized params/tool input and result/tool response, as
+ * recorded by trackSkillExecution() and the PostToolUse hook. Percentiles use
+ * the nearest-rank method. Duration is related to the response size twice:
+ * as a correlation coefficient, and as the average duration per size bucket.
+ * Read from raw events, so only the raw retention window is covered.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {string|null} toolName - Only report on this tool (default: all tools)
+ * @returns {Promise<Object>} Overall and per-tool sizes (largest average response first)
+ */
+export async function getPayloadStats(env, days = 7, projectId = 'default', toolName = null) {
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+  const filterParams = [projectId, since, until, toolName, toolName];
+
+  // Nearest-rank p50/p95 of one size column, per tool and overall
+  const sizeStmt = (column) => env.DB.prepare(`
+    WITH sizes AS (
+      SELECT tool_name, ${column} AS size
+      FROM skill_usage_events
+      WHERE project_id = ? AND timestamp >= ? AND timestamp < ? AND ${column} IS NOT NULL
+        AND (? IS NULL OR tool_name = ?)
+    ),
+    ranked AS (
+      SELECT tool_name, size,
+        ROW_NUMBER() OVER (PARTITION BY tool_name ORDER BY size) AS rn,
+        COUNT(*) OVER (PARTITION BY tool_name) AS cnt
+      FROM sizes
+      UNION ALL
+      SELECT NULL AS tool_name, size,
+        ROW_NUMBER() OVER (ORDER BY size) AS rn,
+        COUNT(*) OVER () AS cnt
+      FROM sizes
+    )
+    SELECT
+      tool_name,
+      MAX(cnt) as samples,
+      AVG(size) as avg_bytes,
+      MIN(CASE WHEN rn >= cnt * 0.50 THEN size END) as p50_bytes,
+      MIN(CASE WHEN rn >= cnt * 0.95 THEN size END) as p95_bytes,
+      MAX(size) as max_bytes
+    FROM ranked
+    GROUP BY tool_name
+  `).bind(...filterParams);
+
+  // Sums for the size/duration correlation (as REAL, so squares can't overflow)
+  const pairs = `
+    FROM skill_usage_events
+    WHERE project_id = ? AND timestamp >= ? AND timestamp < ?
+      AND response_size_bytes IS NOT NULL AND duration_ms IS NOT NULL
+      AND (? IS NULL OR tool_name = ?)`;
+  const sums = `
+      COUNT(*) as n,
+      SUM(response_size_bytes * 1.0) as sum_x,
+      SUM(duration_ms * 1.0) as sum_y,
+      SUM(response_size_bytes * 1.0 * response_size_bytes) as sum_xx,
+      SUM(duration_ms * 1.0 * duration_ms) as sum_yy,
+      SUM(response_size_bytes * 1.0 * duration_ms) as sum_xy`;
+  const correlationStmt = env.DB.prepare(`
+    SELECT tool_name, ${sums} ${pairs}
+    GROUP BY tool_name
+    UNION ALL
+    SELECT NULL, ${sums} ${pairs}
+  `).bind(...filterParams, ...filterParams);
+
+  const bucketCase = PAYLOAD_SIZE_BUCKETS_BYTES
+    .map((bound, index) => `WHEN response_size_bytes <= ${bound} THEN ${index}`)
+    .join(' ');
+
+  const bucketsStmt = env.DB.prepare(`
+    SELECT
+      tool_name,
+      CASE ${bucketCase} ELSE ${PAYLOAD_SIZE_BUCKETS_BYTES.length} END as bucket,
+      COUNT(*) as count,
+      AVG(duration_ms) as avg_duration_ms
+    ${pairs}
+    GROUP BY tool_name, bucket
+  `).bind(...filterParams);
+
+  const [requests, responses, correlations, bucketRows] = await Promise.all([
+    sizeStmt('request_size_bytes').all(),
+    sizeStmt('response_size_bytes').all(),
+    correlationStmt.all(),
+    bucketsStmt.all(),
+  ]);
+
+  const formatBytes = (bytes) => bytes >= 1024 * 1024 ? `${bytes / 1024 / 1024}MB` : bytes >= 1024 ? `${bytes / 1024}KB` : `${bytes}B`;
+  const emptyBuckets = () => [...PAYLOAD_SIZE_BUCKETS_BYTES, null].map((bound, index) => ({
+    min_bytes: index === 0 ? 0 : PAYLOAD_SIZE_BUCKETS_BYTES[index - 1] + 1,
+    max_bytes: bound,
+    label: bound === null ? `>${formatBytes(PAYLOAD_SIZE_BUCKETS_BYTES[index - 1])}` : `≤${formatBytes(bound)}`,
+    count: 0,
+    avg_duration_ms: null,
+  }));
+
+  // Overall buckets are the count-weighted average of the tools' buckets
+  const overallBuckets = emptyBuckets();
+  const durationSums = overallBuckets.map(() => 0);
+  const toolBuckets = {};
+  for (const row of bucketRows.results) {
+    toolBuckets[row.tool_name] ??= emptyBuckets();
+    Object.assign(toolBuckets[row.tool_name][row.bucket], { count: row.count, avg_duration_ms: Math.round(row.avg_duration_ms) });
+    overallBuckets[row.bucket].count += row.count;
+    durationSums[row.bucket] += row.avg_duration_ms * row.count;
+  }
+  overallBuckets.forEach((bucket, index) => {
+    if (bucket.count > 0) bucket.avg_duration_ms = Math.round(durationSums[index] / bucket.count);
+  });
+
+  const toSizes = (row) => ({
+    samples: row?.samples || 0,
+    avg_bytes: row ? Math.round(row.avg_bytes) : null,
+    p50_bytes: row?.p50_bytes ?? null,
+    p95_bytes: row?.p95_bytes ?? null,
+    max_bytes: row?.max_bytes ?? null,
+  });
+  const find = (rows, name) => rows.results.find(row => row.tool_name === name);
+  const toStats = (name) => ({
+    request: toSizes(find(requests, name)),
+    response: toSizes(find(responses, name)),
+    duration_correlation: correlation(find(correlations, name)),
+  });
+
+  const toolNames = [...new Set([...requests.results, ...responses.results]
+    .map(row => row.tool_name)
+    .filter(name => name !== null))];
+
+  return {
+    period: range.label,
+    overall: { ...toStats(null), duration_by_response_size: overallBuckets },
+    tools: toolNames
+      .map(name => ({ tool_name: name, ...toStats(name), duration_by_response_size: toolBuckets[name] || emptyBuckets() }))
+      .sort((a, b) => (b.response.avg_bytes ?? -1) - (a.response.avg_bytes ?? -1)),
+  };
+}
+
+// Client versions listed per tool version, most used first
+const MAX_CLIENT_VERSIONS = 5;
+
+/**
+ * Get usage, error rates and latency per version of one tool
+ * Events without a tool_version are grouped under null. Counts are scaled
+ * for sampling; percentiles use the nearest-rank method. Read from raw
+ * events, so only the raw retention window is covered.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 30), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {string} toolName - Tool to report on
+ * @returns {Promise<Object>} Versions, most recently first seen first
+ */
+export async function getToolVersions(env, days = 30, projectId = 'default', toolName) {
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+  const filterParams = [projectId, toolName, since, until];
+
+  const versionsStmt = env.DB.prepare(`
+    WITH ranked AS (
+      SELECT tool_version, user_id_hash, status, duration_ms, sample_rate, timestamp,
+        ROW_NUMBER() OVER (PARTITION BY tool_version, duration_ms IS NULL ORDER BY duration_ms) AS rn,
+        SUM(duration_ms IS NOT NULL) OVER (PARTITION BY tool_version) AS cnt
+      FROM skill_usage_events
+      WHERE project_id = ? AND tool_name = ? AND timestamp >= ? AND timestamp < ?
+    )
+    SELECT
+      tool_version,
+      ${scaledCount()} as invocations,
+      COUNT(DISTINCT user_id_hash) as unique_users,
+      ${scaledCount(`status = 'success'`)} as success_count,
+      ${scaledCount(`status = 'error'`)} as error_count,
+      ${scaledCount(`status = 'timeout'`)} as timeout_count,
+      SUM(duration_ms / sample_rate) / SUM(CASE WHEN duration_ms IS NOT NULL THEN 1.0 / sample_rate END) as avg_duration_ms,
+      MIN(CASE WHEN duration_ms IS NOT NULL AND rn >= cnt * 0.50 THEN duration_ms END) as p50_ms,
+      MIN(CASE WHEN duration_ms IS NOT NULL AND rn >= cnt * 0.95 THEN duration_ms END) as p95_ms,
+      MIN(CASE WHEN duration_ms IS NOT NULL AND rn >= cnt * 0.99 THEN duration_ms END) as p99_ms,
+      MIN(timestamp) as first_seen,
+      MAX(timestamp) as last_seen
+    FROM ranked
+    GROUP BY tool_version
+    ORDER BY first_seen DESC
+  `).bind(...filterParams);
+
+  const clientsStmt = env.DB.prepare(`
+    SELECT tool_version, client_version, ${scaledCount()} as invocations
+    FROM skill_usage_events
+    WHERE project_id = ? AND tool_name = ? AND timestamp >= ? AND timestamp < ?
+    GROUP BY tool_version, client_version
+    ORDER BY invocations DESC
+  `).bind(...filterParams);
+
+  const [versions, clients] = await Promise.all([versionsStmt.all(), clientsStmt.all()]);
+
+  return {
+    period: range.label,
+    tool_name: toolName,
+    versions: versions.results.map(row => ({
+      tool_version: row.tool_version,
+      invocations: row.invocations,
+      unique_users: row.unique_users,
+      avg_duration_ms: Math.round(row.avg_duration_ms || 0),
+      p50_ms: row.p50_ms,
+      p95_ms: row.p95_ms,
+      p99_ms: row.p99_ms,
+      success_rate: (row.success_count / row.invocations * 100).toFixed(2),
+      error_rate: (row.error_count / row.invocations * 100).toFixed(2),
+      timeout_count: row.timeout_count,
+      timeout_rate: (row.timeout_count / row.invocations * 100).toFixed(2),
+      first_seen: row.first_seen,
+      last_seen: row.last_seen,
+      client_versions: clients.results
+        .filter(client => client.tool_version === row.tool_version)
+        .slice(0, MAX_CLIENT_VERSIONS)
+        .map(({ client_version, invocations }) => ({ client_version, invocations })),
+    })),
+  };
+}
+
+/**
+ * Compare two versions of a tool: usage, error and timeout rates, latency percentiles
+ * Without explicit versions, the most recently first seen version (target)
+ * is compared with the one before it (base); events without a version are
+ * never picked. Changes follow periodChange(): counts and durations in
+ * percent, rates in percentage points.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 30), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {string} toolName - Tool to report on
+ * @param {Object} options - Versions to compare
+ * @param {string|null} options.base - Earlier version (default: the one before target)
+ * @param {string|null} options.target - Later version (default: the newest)
+ * @returns {Promise<Object>} { period, tool_name, base, target, change } (base/target null when not found)
+ */
+export async function compareToolVersions(env, days = 30, projectId = 'default', toolName, options = {}) {
+  const { period, versions } = await getToolVersions(env, days, projectId, toolName);
+  const versioned = versions.filter(version => version.tool_version !== null);
+
+  const target = options.target
+    ? versioned.find(version => version.tool_version === options.target) || null
+    : versioned[0] || null;
+  const base = options.base
+    ? versioned.find(version => version.tool_version === options.base) || null
+    : versioned.find(version => version !== target && (!target || version.first_seen <= target.first_seen)) || null;
+
+  return {
+    period,
+    tool_name: toolName,
+    base,
+    target,
+    change: base && target ? periodChange(target, base, 'invocations') : null,
+  };
+}
+
+/**
+ * SQL expressions that truncate a timestamp column to the start of its bucket
+ * Weeks start on Monday. Also applies to rollup bucket keys, and to local
+ * times from localTimeSql().
+ */
+const TIME_BUCKETS = {
+  hour: (column) => `strftime('%Y-%m-%d %H:00', ${column})`,
+  day: (column) => `DATE(${column})`,
+  week: (column) => `DATE(${column}, 'weekday 0', '-6 days')`,
+};
+
+// Rollup table and watermark each time series bucket size is built from, the
+// rollup bucket containing a timestamp and the first complete one after it
+// (data outside complete rollup buckets is read raw)
+const HOURLY_ROLLUP = {
+  table: 'usage_rollups_hourly',
+  watermark: 'hourly_until',
+  bucketStart: (column) => `strftime('%Y-%m-%d %H:00', ${column})`,
+  nextBucket: (column) => `strftime('%Y-%m-%d %H:00', ${column}, '+1 hour')`,
+};
+const DAILY_ROLLUP = {
+  table: 'usage_rollups_daily',
+  watermark: 'daily_until',
+  bucketStart: (column) => `DATE(${column})`,
+  nextBucket: (column) => `DATE(${column}, '+1 day')`,
+};
+const TIMESERIES_ROLLUPS = { hour: HOURLY_ROLLUP, day: DAILY_ROLLUP, week: DAILY_ROLLUP };
+
+// Approximate bucket lengths, to reject oversized series before listing them
+const BUCKET_MS = { hour: DAY_MS / 24, day: DAY_MS, week: 7 * DAY_MS };
+
+export const TIMESERIES_METRICS = ['invocations', 'errors', 'error_rate', 'avg_latency', 'p95_latency'];
+
+// Guard against accidentally requesting e.g. hourly buckets over a year
+const MAX_TIMESERIES_BUCKETS = 1000;
+
+/**
+ * Key of the bucket containing a point in time, matching the TIME_BUCKETS format
+ * @param {Date} date - Point in time
+ * @param {string} bucket - hour, day or week
+ * @param {Object[]} segments - Timezone offsets, from offsetSegments()
+ * @returns {string} Bucket key (local time)
+ */
+function bucketKey(date, bucket, segments) {
+  const local = toLocalTime(date, segments);
+  const iso = local.toISOString();
+  if (bucket === 'hour') return `${iso.slice(0, 10)} ${iso.slice(11, 13)}:00`;
+  return bucket === 'week' ? weekStart(local) : iso.slice(0, 10);
+}
+
+/**
+ * List every bucket key in a range
+ * Steps through the range in a fraction of the bucket size, so buckets
+ * shortened or lengthened by DST changes (and half-hour offsets) are all hit.
+ * @param {Date} since - Start of the range
+ * @param {Date} until - End of the range (exclusive)
+ * @param {string} bucket - hour, day or week
+ * @param {Object[]} segments - Timezone offsets, from offsetSegments()
+ * @returns {string[]} Bucket keys in ascending order
+ */
+function listBucketKeys(since, until, bucket, segments) {
+  const step = { hour: 15 * 60 * 1000, day: DAY_MS / 24, week: DAY_MS }[bucket];
+  const keys = [];
+  const add = (key) => {
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  };
+
+  for (let time = since.getTime(); time < until.getTime(); time += step) {
+    add(bucketKey(new Date(time), bucket, segments));
+  }
+  add(bucketKey(new Date(until.getTime() - 1), bucket, segments));
+  return keys;
+}
+
+/**
+ * Get a metric over time, per tool and in total
+ * Empty buckets are filled with 0 (or null for latency metrics). Rolled-up
+ * buckets combining several rollup rows (e.g. the total series, or weeks)
+ * report p95 as the sample-weighted mean of the rows' p95, an approximation.
+ *
+ * Buckets start at local midnight (or the local hour) in the range's
+ * timezone. Outside UTC, day and week buckets are built from hourly rollups;
+ * for timezones with a non-whole-hour offset, rolled-up hours are counted in
+ * the bucket their start falls in.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {Object} options - Series options
+ * @param {string} options.bucket - hour, day or week (default: day)
+ * @param {string} options.metric - One of TIMESERIES_METRICS (default: invocations)
+ * @param {string|null} options.toolName - Only include this tool
+ * @param {string|null} options.category - Only include this tool_category
+ * @param {number} options.limit - Max number of per-tool series, busiest first (default: 10)
+ * @returns {Promise<Object>} Bucket keys, per-tool series and total series
+ */
+export async function getTimeSeries(env, days = 7, projectId = 'default', options = {}) {
+  const { bucket = 'day', metric = 'invocations', toolName = null, category = null, limit = 10 } = options;
+
+  if (!TIME_BUCKETS[bucket]) {
+    throw new Error(`Invalid bucket: ${bucket}. Use one of ${Object.keys(TIME_BUCKETS).join(', ')}`);
+  }
+  if (!TIMESERIES_METRICS.includes(metric)) {
+    throw new Error(`Invalid metric: ${metric}. Use one of ${TIMESERIES_METRICS.join(', ')}`);
+  }
+
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+
+  const estimate = Math.ceil((range.until - range.since) / BUCKET_MS[bucket]);
+  if (estimate > MAX_TIMESERIES_BUCKETS) {
+    throw new Error(`Too many buckets (${estimate}); use a larger bucket or a shorter range`);
+  }
+
+  const segments = offsetSegments(range.since, range.until, range.timezone);
+  const local = segments.some(segment => segment.minutes !== 0);
+  const buckets = listBucketKeys(range.since, range.until, bucket, segments);
+
+  // Daily rollups are bucketed by UTC day; local days need hourly rollups
+  const rollup = local ? HOURLY_ROLLUP : TIMESERIES_ROLLUPS[bucket];
+  const watermark = (await getRollupWatermarks(env))[rollup.watermark];
+  const rolledBucket = local ? localTimeSql(`r.bucket || ':00'`, segments) : 'r.bucket';
+
+  // groupExpr is either tool_name (per-tool series) or a constant (total series)
+  const seriesStmt = (groupExpr) => env.DB.prepare(`
+    WITH filtered AS (
+      SELECT * FROM skill_usage_events
+      WHERE project_id = ? AND timestamp >= ? AND timestamp < MIN(${rollup.nextBucket('?')}, ?)
+      UNION ALL
+      SELECT * FROM skill_usage_events
+      WHERE project_id = ?
+        AND timestamp >= MAX(${rollup.nextBucket('?')}, MIN(${rollup.bucketStart('?')}, ?)) AND timestamp < ?
+    ),
+    events AS (
+      SELECT ${TIME_BUCKETS[bucket](localTimeSql('timestamp', segments))} AS bucket, ${groupExpr} AS series, status, duration_ms, sample_rate
+      FROM filtered
+      WHERE (? IS NULL OR tool_name = ?)
+        AND (? IS NULL OR tool_category = ?)
+    ),
+    ranked AS (
+      SELECT *,
+        ROW_NUMBER() OVER (PARTITION BY bucket, series, duration_ms IS NULL ORDER BY duration_ms) AS rn,
+        SUM(duration_ms IS NOT NULL) OVER (PARTITION BY bucket, series) AS cnt
+      FROM events
+    ),
+    raw AS (
+      SELECT
+        bucket,
+        series,
+        ${scaledCount()} as invocations,
+        ${scaledCount(`status = 'error'`)} as errors,
+        ${scaledCount('duration_ms IS NOT NULL')} as duration_count,
+        ROUND(SUM(duration_ms / sample_rate)) as duration_sum,
+        MIN(CASE WHEN duration_ms IS NOT NULL AND rn >= cnt * 0.95 THEN duration_ms END) as p95_ms
+      FROM ranked
+      GROUP BY bucket, series
+    ),
+    rolled AS (
+      SELECT ${TIME_BUCKETS[bucket](rolledBucket)} AS bucket, ${groupExpr} AS series,
+        r.invocations, r.error_count AS errors, r.duration_count, r.duration_sum, r.p95_ms
+      FROM ${rollup.table} r
+      WHERE r.project_id = ? AND r.bucket >= ${rollup.nextBucket('?')} AND r.bucket < MIN(${rollup.bucketStart('?')}, ?)
+        AND (? IS NULL OR r.tool_name = ?)
+        AND (? IS NULL OR r.tool_category = ?)
+    )
+    SELECT
+      bucket,
+      series,
+      SUM(invocations) as invocations,
+      SUM(errors) as errors,
+      SUM(duration_sum) * 1.0 / SUM(duration_count) as avg_ms,
+      CASE WHEN COUNT(*) = 1 THEN MAX(p95_ms)
+        ELSE ROUND(SUM(p95_ms * duration_count) * 1.0 / SUM(CASE WHEN p95_ms IS NOT NULL THEN duration_count END))
+      END as p95_ms
+    FROM (SELECT * FROM raw UNION ALL SELECT * FROM rolled)
+    GROUP BY bucket, series
+  `).bind(
+    projectId, since, since, until,
+    projectId, since, until, watermark, until,
+    toolName, toolName, category, category,
+    projectId, since, until, watermark, toolName, toolName, category, category
+  );
+
+  const [toolRows, totalRows] = await Promise.all([
+    seriesStmt('tool_name').all(),
+    seriesStmt(`'total'`).all()
+  ]);
+
+  const metricValue = (row) => {
+    if (!row) return metric === 'avg_latency' || metric === 'p95_latency' ? null : 0;
+    switch (metric) {
+      case 'invocations': return row.invocations;
+      case 'errors': return row.errors;
+      case 'error_rate': return Number((row.errors / row.invocations * 100).toFixed(2));
+      case 'avg_latency': return row.avg_ms === null ? null : Math.round(row.avg_ms);
+      case 'p95_latency': return row.p95_ms;
+    }
+  };
+
+  // Index rows by series and bucket, then fill every bucket in range
+  const toSeries = (rows) => {
+    const bySeries = new Map();
+    for (const row of rows) {
+      if (!bySeries.has(row.series)) bySeries.set(row.series, { total: 0, rows: {} });
+      const entry = bySeries.get(row.series);
+      entry.total += row.invocations;
+      entry.rows[row.bucket] = row;
+    }
+    return [...bySeries.entries()]
+      .sort((a, b) => b[1].total - a[1].total)
+      .map(([name, entry]) => ({ name, values: buckets.map(key => metricValue(entry.rows[key])) }));
+  };
+
+  const total = toSeries(totalRows.results)[0];
+
+  return {
+    period: range.label,
+    timezone: range.timezone,
+    bucket,
+    metric,
+    buckets,
+    series: toSeries(toolRows.results).slice(0, limit).map(({ name, values }) => ({ tool_name: name, values })),
+    total: total ? total.values : buckets.map(() => metricValue(null)),
+  };
+}
+
+/**
+ * Start (Monday, UTC) of the week containing a date, as YYYY-MM-DD
+ * Matches TIME_BUCKETS.week in SQL.
+ * @param {Date} date - Any date
+ * @returns {string} Week start date
+ */
+function weekStart(date) {
+  const d = new Date(date);
+  d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Get weekly cohort retention
+ * Users are grouped by the week of their first event (ever, within the project
+ * and tool filter). Each cohort lists the share of its users active in week N.
+ * With a range, cohorts are the weeks overlapping it and activity after its
+ * end is ignored.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} weeks - Number of cohorts (weeks) to report (default: 8), or a { from, to } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {string|null} toolName - Only consider usage of this tool (per-tool retention)
+ * @returns {Promise<Object>} Cohorts with size and retention percentages by week offset
+ */
+export async function getCohortRetention(env, weeks = 8, projectId = 'default', toolName = null) {
+  const range = resolveRange(typeof weeks === 'number' ? (weeks - 1) * 7 : weeks);
+  const { until } = sqlBounds(range);
+  const firstWeek = weekStart(range.since);
+  const currentWeek = weekStart(new Date(range.until.getTime() - 1));
+
+  const { daily_until } = await getRollupWatermarks(env);
+  const activity = userActivity(projectId, BEGINNING, until, daily_until);
+
+  const stmt = env.DB.prepare(`
+    WITH activity AS (
+      SELECT DISTINCT user_id_hash, ${TIME_BUCKETS.week('day')} AS week
+      FROM (${activity.sql})
+      WHERE (? IS NULL OR tool_name = ?)
+    ),
+    cohorts AS (
+      SELECT user_id_hash, MIN(week) AS cohort_week
+      FROM activity
+      GROUP BY user_id_hash
+    )
+    SELECT
+      c.cohort_week,
+      CAST(ROUND((julianday(a.week) - julianday(c.cohort_week)) / 7) AS INTEGER) AS week_offset,
+      COUNT(*) AS users
+    FROM cohorts c
+    JOIN activity a ON a.user_id_hash = c.user_id_hash
+    WHERE c.cohort_week >= ?
+    GROUP BY c.cohort_week, week_offset
+    ORDER BY c.cohort_week, week_offset
+  `).bind(...activity.params, toolName, toolName, firstWeek);
+
+  const results = await stmt.all();
+
+  const byCohort = new Map();
+  for (const row of results.results) {
+    if (!byCohort.has(row.cohort_week)) byCohort.set(row.cohort_week, {});
+    byCohort.get(row.cohort_week)[row.week_offset] = row.users;
+  }
+
+  const cohorts = [...byCohort.entries()].map(([cohortWeek, counts]) => {
+    const size = counts[0] || 0;
+    // Only weeks that have started so far (the current week counts as partial)
+    const elapsed = Math.round((Date.parse(currentWeek) - Date.parse(cohortWeek)) / (7 * DAY_MS));
+    return {
+      cohort_week: cohortWeek,
+      users: size,
+      retention: Array.from({ length: elapsed + 1 }, (_, n) =>
+        size ? Number(((counts[n] || 0) / size * 100).toFixed(2)) : 0),
+    };
+  });
+
+  return {
+    weeks: Math.round((Date.parse(currentWeek) - Date.parse(firstWeek)) / (7 * DAY_MS)) + 1,
+    tool_name: toolName,
+    cohorts,
+  };
+}
+
+/**
+ * Get engagement metrics: DAU/MAU stickiness and new vs returning users
+ * A user is "new" on the day of their first event ever (within the project).
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 30), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @returns {Promise<Object>} Average DAU, MAU, stickiness and a daily new/returning split
+ */
+export async function getEngagementStats(env, days = 30, projectId = 'default') {
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+  const month = sqlBounds({ since: new Date(range.until.getTime() - 30 * DAY_MS), until: range.until });
+
+  const { daily_until } = await getRollupWatermarks(env);
+  const allActivity = userActivity(projectId, BEGINNING, until, daily_until);
+  const activity = userActivity(projectId, since, until, daily_until);
+  const monthActivity = userActivity(projectId, month.since, month.until, daily_until);
+
+  const dailyStmt = env.DB.prepare(`
+    WITH first_seen AS (
+      SELECT user_id_hash, MIN(day) AS first_date
+      FROM (${allActivity.sql})
+      GROUP BY user_id_hash
+    ),
+    daily AS (
+      SELECT DISTINCT day AS date, user_id_hash
+      FROM (${activity.sql})
+    )
+    SELECT
+      d.date,
+      COUNT(*) AS dau,
+      SUM(CASE WHEN f.first_date = d.date THEN 1 ELSE 0 END) AS new_users,
+      SUM(CASE WHEN f.first_date < d.date THEN 1 ELSE 0 END) AS returning_users
+    FROM daily d
+    JOIN first_seen f ON f.user_id_hash = d.user_id_hash
+    GROUP BY d.date
+    ORDER BY d.date
+  `).bind(...allActivity.params, ...activity.params);
+
+  // MAU over the 30 days up to the end of the range, regardless of its length
+  const mauStmt = env.DB.prepare(`
+    SELECT COUNT(DISTINCT user_id_hash) as mau
+    FROM (${monthActivity.sql})
+  `).bind(...monthActivity.params);
+
+  const [dailyResults, mauResult] = await Promise.all([
+    dailyStmt.all(),
+    mauStmt.first()
+  ]);
+
+  const daily = dailyResults.results;
+  const mau = mauResult?.mau || 0;
+  // Average over every day in range, counting days without activity as 0
+  const avgDau = daily.reduce((sum, d) => sum + d.dau, 0) / range.days;
+
+  return {
+    period: range.label,
+    avg_dau: Number(avgDau.toFixed(2)),
+    mau,
+    stickiness: mau ? (avgDau / mau * 100).toFixed(2) : '0.00',
+    new_vs_returning: daily,
+  };
+}
+
+/**
+ * Get per-tool retention
+ * For each tool, users are grouped by the week they first used it. Only cohorts
+ * from completed weeks count, so every user has had a chance to come back.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} weeks - Number of weeks of first-use cohorts to include (default: 8), or a { from, to } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @returns {Promise<Array>} Per-tool new users, week-1 retention and overall return rate
+ */
+export async function getToolRetention(env, weeks = 8, projectId = 'default') {
+  const range = resolveRange(typeof weeks === 'number' ? weeks * 7 : weeks);
+  const { until } = sqlBounds(range);
+
+  const { daily_until } = await getRollupWatermarks(env);
+  const activity = userActivity(projectId, BEGINNING, until, daily_until);
+
+  const stmt = env.DB.prepare(`
+    WITH activity AS (
+      SELECT DISTINCT tool_name, user_id_hash, ${TIME_BUCKETS.week('day')} AS week
+      FROM (${activity.sql})
+    ),
+    firsts AS (
+      SELECT tool_name, user_id_hash, MIN(week) AS cohort_week
+      FROM activity
+      GROUP BY tool_name, user_id_hash
+    )
+    SELECT
+      f.tool_name,
+      COUNT(*) AS new_users,
+      SUM(EXISTS (
+        SELECT 1 FROM activity a
+        WHERE a.tool_name = f.tool_name AND a.user_id_hash = f.user_id_hash
+          AND a.week = DATE(f.cohort_week, '+7 days')
+      )) AS retained_week_1,
+      SUM(EXISTS (
+        SELECT 1 FROM activity a
+        WHERE a.tool_name = f.tool_name AND a.user_id_hash = f.user_id_hash
+          AND a.week > f.cohort_week
+      )) AS returned
+    FROM firsts f
+    WHERE f.cohort_week >= ? AND f.cohort_week < ?
+    GROUP BY f.tool_name
+    ORDER BY new_users DESC
+  `).bind(...activity.params, weekStart(range.since), weekStart(range.until));
+
+  const results = await stmt.all();
+
+  return results.results.map(row => ({
+    tool_name: row.tool_name,
+    new_users: row.new_users,
+    week_1_retention: (row.retained_week_1 / row.new_users * 100).toFixed(2),
+    return_rate: (row.returned / row.new_users * 100).toFixed(2),
+  }));
+}
+
+// Upper bound on error rows scanned by getErrorGroups() per request
+const MAX_ERROR_SCAN = 5000;
+
+/**
+ * Normalize an error message so recurring failures group together
+ * Replaces URLs, UUIDs, quoted values, long hex IDs and numbers with placeholders.
+ * @param {string|null} message - Raw error message
+ * @returns {string} Normalized message pattern
+ */
+export function normalizeErrorMessage(message) {
+  if (!message) return '';
+  return message
+    .replace(/\b[a-z][a-z0-9+.-]*:\/\/[^\s'"<>]+/gi, '<url>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+    .replace(/"[^"]*"|'[^']*'|`[^`]*`/g, '<str>')
+    .replace(/\b(?:0x)?(?=[0-9a-f]*\d)[0-9a-f]{8,}\b/gi, '<hex>')
+    .replace(/\d+(?:\.\d+)?/g, '<num>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 500);
+}
+
+/**
+ * Compute a stable fingerprint for an error
+ * @param {string} toolName - Tool that failed
+ * @param {string|null} errorType - Error type/classification
+ * @param {string|null} message - Raw error message
+ * @returns {Promise<string>} 16-character hex fingerprint
+ */
+export async function fingerprintError(toolName, errorType, message) {
+  const data = new TextEncoder().encode(`${toolName}\n${errorType || ''}\n${normalizeErrorMessage(message)}`);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('').slice(0, 16);
+}
+
+/**
+ * Get errors grouped by fingerprint (tool + error type + normalized message)
+ * Scans the most recent MAX_ERROR_SCAN errors in range. Trend days are local
+ * to the range's timezone.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {Object} options - Grouping options
+ * @param {number} options.limit - Maximum number of groups to return (default: 50)
+ * @param {string|null} options.toolName - Only include errors of this tool
+ * @param {number} options.samples - Distinct sample messages per group (default: 3)
+ * @returns {Promise<Object>} Groups with count, affected users, first/last seen, daily trend and samples
+ */
+export async function getErrorGroups(env, days = 7, projectId = 'default', options = {}) {
+  const { limit = 50, toolName = null, samples = 3 } = options;
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+
+  const stmt = env.DB.prepare(`
+    SELECT
+      timestamp,
+      tool_name,
+      error_type,
+      error_message,
+      user_id_hash
+    FROM skill_usage_events
+    WHERE project_id = ? AND status = 'error' AND timestamp >= ? AND timestamp < ?
+      AND (? IS NULL OR tool_name = ?)
+    ORDER BY timestamp DESC
+    LIMIT ?
+  `);
+
+  const results = await stmt.bind(projectId, since, until, toolName, toolName, MAX_ERROR_SCAN).all();
+  const segments = offsetSegments(range.since, range.until, range.timezone);
+  const dayKeys = listBucketKeys(range.since, range.until, 'day', segments);
+
+  const groups = new Map();
+  for (const row of results.results) {
+    const fingerprint = await fingerprintError(row.tool_name, row.error_type, row.error_message);
+    if (!groups.has(fingerprint)) {
+      groups.set(fingerprint, {
+        fingerprint,
+        tool_name: row.tool_name,
+        error_type: row.error_type,
+        pattern: normalizeErrorMessage(row.error_message),
+        count: 0,
+        users: new Set(),
+        first_seen: row.timestamp,
+        last_seen: row.timestamp,
+        trend: new Array(dayKeys.length).fill(0),
+        samples: [],
+      });
+    }
+
+    const group = groups.get(fingerprint);
+    group.count++;
+    group.users.add(row.user_id_hash);
+    // Rows arrive newest first
+    group.first_seen = row.timestamp;
+
+    const dayIndex = dayKeys.indexOf(bucketKey(new Date(`${String(row.timestamp).replace(' ', 'T')}Z`), 'day', segments));
+    if (dayIndex >= 0) group.trend[dayIndex]++;
+
+    if (row.error_message && group.samples.length < samples && !group.samples.includes(row.error_message)) {
+      group.samples.push(row.error_message);
+    }
+  }
+
+  const sorted = [...groups.values()]
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit)
+    .map(({ users, ...group }) => ({ ...group, affected_users: users.size }));
+
+  return {
+    period: range.label,
+    trend_buckets: dayKeys,
+    groups: sorted,
+    count: sorted.length,
+    scanned: results.results.length,
+    truncated: results.results.length === MAX_ERROR_SCAN,
+  };
+}
+
+// A session without events for this long counts as ended (see getSessionStats)
+const SESSION_IDLE_MINUTES = 30;
+
+// Sessions with more distinct skills than this share the last skills_per_session bucket
+const MAX_SKILLS_BUCKET = 10;
+
+/**
+ * Get session and skill sequence statistics
+ * Events are ordered per session_id_hash; events without a session are ignored.
+ * Sessions that started before the range only count their events in range.
+ * Repeated calls of the same skill are not counted as transitions.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number|Object} days - Number of days to look back (default: 7), or a { from, to, timezone } range
+ * @param {string} projectId - Project to report on (default: 'default')
+ * @param {Object} options - Session options
+ * @param {number} options.limit - Maximum rows per list (default: 20)
+ * @param {number} options.idleMinutes - Inactivity after which a session counts as abandoned (default: 30)
+ * @returns {Promise<Object>} Session length, skills per session, transitions, first and last skills
+ */
+export async function getSessionStats(env, days = 7, projectId = 'default', options = {}) {
+  const { limit = 20, idleMinutes = SESSION_IDLE_MINUTES } = options;
+  const range = resolveRange(days);
+  const { since, until } = sqlBounds(range);
+  const idleSince = new Date(Math.min(range.until.getTime(), Date.now()) - idleMinutes * 60000);
+
+  // Each event with its position in the session and the skill used next
+  const sequence = `
+    WITH events AS (
+      SELECT session_id_hash, tool_name, status, timestamp,
+        ROW_NUMBER() OVER (PARTITION BY session_id_hash ORDER BY timestamp, id) AS seq,
+        LEAD(tool_name) OVER (PARTITION BY session_id_hash ORDER BY timestamp, id) AS next_tool
+      FROM skill_usage_events
+      WHERE project_id = ? AND timestamp >= ? AND timestamp < ? AND session_id_hash IS NOT NULL
+    ),
+    sessions AS (
+      SELECT
+        session_id_hash,
+        COUNT(*) AS events,
+        COUNT(DISTINCT tool_name) AS skills,
+        (julianday(MAX(timestamp)) - julianday(MIN(timestamp))) * 86400 AS duration_s
+      FROM events
+      GROUP BY session_id_hash
+    )`;
+  const params = [projectId, since, until];
+
+  const totalsStmt = env.DB.prepare(`${sequence},
+    ranked AS (
+      SELECT *,
+        ROW_NUMBER() OVER (ORDER BY duration_s) AS rn,
+        COUNT(*) OVER () AS cnt
+      FROM sessions
+    )
+    SELECT
+      COUNT(*) as sessions,
+      AVG(duration_s) as avg_duration_s,
+      MIN(CASE WHEN rn >= cnt * 0.50 THEN duration_s END) as p50_duration_s,
+      MIN(CASE WHEN rn >= cnt * 0.90 THEN duration_s END) as p90_duration_s,
+      AVG(events) as avg_events,
+      AVG(skills) as avg_skills
+    FROM ranked
+  `).bind(...params);
+
+  const distributionStmt = env.DB.prepare(`${sequence}
+    SELECT MIN(skills, ${MAX_SKILLS_BUCKET}) as skills, COUNT(*) as sessions
+    FROM sessions
+    GROUP BY 1
+    ORDER BY 1
+  `).bind(...params);
+
+  const transitionsStmt = env.DB.prepare(`${sequence}
+    SELECT
+      tool_name as from_tool,
+      next_tool as to_tool,
+      COUNT(*) as count,
+      SUM(COUNT(*)) OVER (PARTITION BY tool_name) as outgoing
+    FROM events
+    WHERE next_tool IS NOT NULL AND next_tool != tool_name
+    GROUP BY tool_name, next_tool
+    ORDER BY count DESC
+    LIMIT ?
+  `).bind(...params, limit);
+
+  const firstStmt = env.DB.prepare(`${sequence}
+    SELECT tool_name, COUNT(*) as sessions
+    FROM events
+    WHERE seq = 1
+    GROUP BY tool_name
+    ORDER BY sessions DESC
+    LIMIT ?
+  `).bind(...params, limit);
+
+  // Last event of sessions that have been idle for idleMinutes
+  const abandonStmt = env.DB.prepare(`${sequence}
+    SELECT
+      tool_name,
+      COUNT(*) as sessions,
+      SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as ended_with_error
+    FROM events
+    WHERE next_tool IS NULL AND timestamp < ?
+    GROUP BY tool_name
+    ORDER BY sessions DESC
+    LIMIT ?
+  `).bind(...params, sqlTimestamp(idleSince), limit);
+
+  const [totals, distribution, transitions, firsts, abandons] = await Promise.all([
+    totalsStmt.first(),
+    distributionStmt.all(),
+    transitionsStmt.all(),
+    firstStmt.all(),
+    abandonStmt.all()
+  ]);
+
+  const round = (value) => value === null || value === undefined ? null : Math.round(value);
+
+  return {
+    period: range.label,
+    idle_minutes: idleMinutes,
+    sessions: totals?.sessions || 0,
+    avg_duration_seconds: round(totals?.avg_duration_s),
+    p50_duration_seconds: round(totals?.p50_duration_s),
+    p90_duration_seconds: round(totals?.p90_duration_s),
+    avg_events_per_session: Number((totals?.avg_events || 0).toFixed(2)),
+    avg_skills_per_session: Number((totals?.avg_skills || 0).toFixed(2)),
+    skills_per_session: distribution.results,
+    transitions: transitions.results.map(row => ({
+      from: row.from_tool,
+      to: row.to_tool,
+      count: row.count,
+      share: (row.count / row.outgoing * 100).toFixed(2),
+    })),
+    first_skills: firsts.results,
+    abandon_skills: abandons.results,
+  };
+}
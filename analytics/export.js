@@ -0,0 +1,222 @@
+/**
+ * Raw Event Export
+ *
+ * Streams raw skill_usage_events rows as CSV or NDJSON for /analytics/export.
+ * Rows are read from D1 in small chunks while the response is being sent, so
+ * large ranges never have to fit in Worker memory. Each request returns at
+ * most `limit` rows, ordered by id; the next page starts after the returned
+ * cursor.
+ *
+ * Only raw events are exported: ranges older than the raw retention window
+ * (see server/rollups.js) come back empty.
+ */
+
+import { EVENT_STATUSES } from '../server/tracking-utils.js';
+import { resolveRange, sqlBounds, parseRangeParams } from './range.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+};
+
+// Exported columns, in CSV column order
+export const EXPORT_COLUMNS = [
+  'id',
+  'timestamp',
+  'project_id',
+  'tool_name',
+  'tool_category',
+  'status',
+  'duration_ms',
+  'error_type',
+  'error_message',
+  'user_id_hash',
+  'session_id_hash',
+  'request_size_bytes',
+  'response_size_bytes',
+  'metadata',
+  'redacted',
+  'event_id',
+  'sample_rate',
+  'tool_version',
+  'client_version',
+];
+
+export const DEFAULT_EXPORT_LIMIT = 10000;
+export const MAX_EXPORT_LIMIT = 100000;
+
+// Rows read from D1 per query while streaming
+const EXPORT_CHUNK_SIZE = 1000;
+
+/**
+ * Read export options from /analytics/export query parameters
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} { format, from, to, toolName, category, status, userHash, cursor, limit }
+ * @throws {Error} If a parameter is invalid
+ */
+export function parseExportParams(searchParams, now = new Date()) {
+  const format = searchParams.get('format') || 'csv';
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Invalid format: must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+
+  const range = resolveRange(parseRangeParams(searchParams) || parseFloat(searchParams.get('days') || '7'), now);
+
+  const status = searchParams.get('status') || null;
+  if (status && !EVENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid status: must be one of ${EVENT_STATUSES.join(', ')}`);
+  }
+
+  const cursor = searchParams.get('cursor') || null;
+  if (cursor !== null && !/^\d+$/.test(cursor)) {
+    throw new Error('Invalid cursor');
+  }
+
+  const limit = parseInt(searchParams.get('limit') || String(DEFAULT_EXPORT_LIMIT));
+  if (!(limit > 0)) {
+    throw new Error('Invalid limit: must be a positive integer');
+  }
+
+  return {
+    format,
+    from: range.since,
+    to: range.until,
+    toolName: searchParams.get('tool') || null,
+    category: searchParams.get('category') || null,
+    status,
+    userHash: searchParams.get('user_hash') || null,
+    cursor,
+    limit: Math.min(limit, MAX_EXPORT_LIMIT),
+  };
+}
+
+/**
+ * WHERE clause shared by the page boundary and chunk queries
+ * @param {string} projectId - Project to export
+ * @param {Object} options - Options from parseExportParams()
+ * @returns {Object} { sql, params }
+ */
+function exportFilter(projectId, options) {
+  const { since, until } = sqlBounds({ since: options.from, until: options.to });
+  const conditions = ['project_id = ?', 'timestamp >= ?', 'timestamp < ?'];
+  const params = [projectId, since, until];
+
+  const optional = [
+    ['tool_name', options.toolName],
+    ['tool_category', options.category],
+    ['status', options.status],
+    ['user_id_hash', options.userHash],
+  ];
+  for (const [column, value] of optional) {
+    if (value) {
+      conditions.push(`${column} = ?`);
+      params.push(value);
+    }
+  }
+
+  return { sql: conditions.join(' AND '), params };
+}
+
+/**
+ * Encode one CSV field (RFC 4180 quoting, NULL as empty)
+ * Strings starting with =, +, -, @, tab or CR get a leading ' so spreadsheets don't
+ * run them as formulas (error messages and metadata come from clients).
+ * @param {*} value - Field value
+ * @returns {string} Encoded field
+ */
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Encode rows in the requested format
+ * @param {string} format - csv or ndjson
+ * @param {Object[]} rows - Rows with EXPORT_COLUMNS
+ * @returns {string} Encoded rows, one per line
+ */
+function encodeRows(format, rows) {
+  if (format === 'csv') {
+    return rows.map(row => EXPORT_COLUMNS.map(column => csvField(row[column])).join(',') + '\r\n').join('');
+  }
+  return rows.map(row => JSON.stringify(row) + '\n').join('');
+}
+
+/**
+ * Export one page of raw events as a stream
+ * The page end is looked up first, so the next cursor is known before the
+ * first row is sent (it goes into the response headers). Rows are then read
+ * in chunks of EXPORT_CHUNK_SIZE as the client consumes the stream.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {string} projectId - Project to export
+ * @param {Object} options - Options from parseExportParams()
+ * @returns {Promise<Object>} { stream, contentType, filename, nextCursor } (nextCursor is null on the last page)
+ */
+export async function exportEvents(env, projectId, options) {
+  const { format, cursor, limit } = options;
+  const filter = exportFilter(projectId, options);
+  const after = cursor ? parseInt(cursor) : 0;
+
+  // Row `limit` ends this page; a row after it means there is another page
+  const boundary = await env.DB.prepare(`
+    SELECT id FROM skill_usage_events
+    WHERE ${filter.sql} AND id > ?
+    ORDER BY id
+    LIMIT 2 OFFSET ?
+  `).bind(...filter.params, after, limit - 1).all();
+
+  const [row, next] = boundary.results;
+  // A page with fewer than `limit` rows ends at the last matching row
+  const last = row || await env.DB.prepare(`
+    SELECT MAX(id) AS id FROM skill_usage_events
+    WHERE ${filter.sql} AND id > ?
+  `).bind(...filter.params, after).first();
+  const lastId = last?.id ?? null;
+  const nextCursor = next ? String(lastId) : null;
+
+  const encoder = new TextEncoder();
+  let position = after;
+  let headerSent = format !== 'csv';
+
+  const stream = new ReadableStream({
+    async pull(controller) {
+      if (!headerSent) {
+        headerSent = true;
+        controller.enqueue(encoder.encode(EXPORT_COLUMNS.join(',') + '\r\n'));
+        return;
+      }
+
+      // No rows matched, so the page is empty
+      if (lastId === null) {
+        controller.close();
+        return;
+      }
+
+      const chunk = await env.DB.prepare(`
+        SELECT ${EXPORT_COLUMNS.join(', ')} FROM skill_usage_events
+        WHERE ${filter.sql} AND id > ? AND id <= ?
+        ORDER BY id
+        LIMIT ?
+      `).bind(...filter.params, position, lastId, EXPORT_CHUNK_SIZE).all();
+
+      const rows = chunk.results;
+      if (rows.length > 0) {
+        position = rows[rows.length - 1].id;
+        controller.enqueue(encoder.encode(encodeRows(format, rows)));
+      }
+      if (rows.length < EXPORT_CHUNK_SIZE || position === lastId) {
+        controller.close();
+      }
+    }
+  });
+
+  const day = (date) => date.toISOString().slice(0, 10);
+  return {
+    stream,
+    contentType: EXPORT_FORMATS[format].contentType,
+    filename: `events-${projectId}-${day(options.from)}-${day(options.to)}.${EXPORT_FORMATS[format].extension}`,
+    nextCursor,
+  };
+}
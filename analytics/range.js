@@ -0,0 +1,275 @@
+/**
+ * Analytics Time Ranges
+ *
+ * Every analytics function takes either a number of days ending now, or an
+ * explicit { from, to, timezone } range. The timezone decides how dates
+ * without an offset (e.g. from=2026-02-01) are read, and where day/week
+ * buckets start (see getTimeSeries() and getErrorGroups()).
+ *
+ * Stored timestamps are UTC; all SQL comparisons use sqlTimestamp().
+ */
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Format a date like stored timestamps (CURRENT_TIMESTAMP: 'YYYY-MM-DD HH:MM:SS', UTC)
+ * Range filters compare timestamps as strings, so bound values must use the same format.
+ * @param {Date} date - Date to format
+ * @returns {string} SQL timestamp
+ */
+export function sqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+// Intl formatters are expensive to create; one per timezone
+const formatters = new Map();
+
+/**
+ * Get the Intl formatter for a timezone
+ * @param {string} timeZone - IANA timezone, e.g. Europe/Berlin
+ * @returns {Intl.DateTimeFormat} Formatter
+ * @throws {Error} If the timezone is unknown
+ */
+function formatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    try {
+      formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit',
+      }));
+    } catch {
+      throw new Error(`Invalid timezone: ${timeZone}`);
+    }
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Offset of a timezone from UTC at a point in time
+ * @param {Date} date - Point in time
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in minutes (e.g. 60 for Europe/Berlin in winter)
+ */
+export function tzOffsetMinutes(date, timeZone) {
+  if (timeZone === 'UTC') return 0;
+
+  const parts = {};
+  for (const { type, value } of formatter(timeZone).formatToParts(date)) {
+    parts[type] = Number(value);
+  }
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / MINUTE_MS);
+}
+
+/**
+ * Parse a range bound
+ * ISO timestamps with Z or an offset are absolute. Dates (YYYY-MM-DD) and
+ * timestamps without an offset are local time in the given timezone.
+ * @param {string} name - Parameter name, for the error message
+ * @param {string|Date} value - Bound to parse
+ * @param {string} timeZone - IANA timezone for local values
+ * @returns {Date} Parsed point in time
+ * @throws {Error} If the value is not a valid date
+ */
+function parseBound(name, value, timeZone) {
+  if (value instanceof Date) return value;
+
+  const local = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/.exec(value);
+  if (local) {
+    const [, year, month, day, hour, minute, second] = local.map(part => Number(part || 0));
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Date.UTC() rolls over out-of-range fields (e.g. month 13); reject those
+    const check = new Date(wallClock);
+    if (check.getUTCMonth() === month - 1 && check.getUTCDate() === day &&
+        check.getUTCHours() === hour && check.getUTCMinutes() === minute) {
+      // The offset at the wall-clock time itself, corrected once for DST changes in between
+      let date = new Date(wallClock - tzOffsetMinutes(new Date(wallClock), timeZone) * MINUTE_MS);
+      date = new Date(wallClock - tzOffsetMinutes(date, timeZone) * MINUTE_MS);
+      return date;
+    }
+  } else {
+    const date = new Date(value);
+    if (/^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(date.getTime())) return date;
+  }
+
+  throw new Error(`Invalid ${name}: expected an ISO timestamp or YYYY-MM-DD`);
+}
+
+/**
+ * Resolve a range argument to concrete bounds
+ * @param {number|Object} range - Days ending now, or { from, to, timezone, days }:
+ *   from/to are Dates or strings (see parseBound), to defaults to now and
+ *   from to `days` (default 7) before to; timezone defaults to UTC
+ * @param {Date} now - Current time (default: now)
+ * @returns {Object} { since, until, timezone, days, label } (since inclusive, until exclusive)
+ * @throws {Error} If a bound or the timezone is invalid, or from is not before to
+ */
+export function resolveRange(range, now = new Date()) {
+  if (typeof range === 'number') {
+    return {
+      since: new Date(now.getTime() - range * DAY_MS),
+      until: now,
+      timezone: 'UTC',
+      days: range,
+      label: `${range} days`,
+    };
+  }
+
+  const timezone = range.timezone || 'UTC';
+  formatter(timezone);
+
+  const until = range.to ? parseBound('to', range.to, timezone) : now;
+  const since = range.from
+    ? parseBound('from', range.from, timezone)
+    : new Date(until.getTime() - (range.days ?? 7) * DAY_MS);
+  if (!(since < until)) {
+    throw new Error('Invalid range: from must be before to');
+  }
+
+  const days = (until - since) / DAY_MS;
+  return {
+    since,
+    until,
+    timezone,
+    days,
+    label: range.from || range.to ? `${since.toISOString()}/${until.toISOString()}` : `${range.days ?? 7} days`,
+  };
+}
+
+/**
+ * SQL bounds of a resolved range: timestamp >= since AND timestamp < until
+ * Stored timestamps have second precision, so both bounds are rounded up to a
+ * whole second: a range ending now includes events of the current second,
+ * and adjacent ranges don't overlap.
+ * @param {Object} resolved - Result of resolveRange()
+ * @returns {Object} { since, until } as SQL timestamps
+ */
+export function sqlBounds(resolved) {
+  const ceilSecond = (date) => new Date(Math.ceil(date.getTime() / 1000) * 1000);
+  return {
+    since: sqlTimestamp(ceilSecond(resolved.since)),
+    until: sqlTimestamp(ceilSecond(resolved.until)),
+  };
+}
+
+/**
+ * The equal-length period right before a resolved range
+ * @param {Object} resolved - Result of resolveRange()
+ * @returns {Object} Range for resolveRange()
+ */
+export function previousRange(resolved) {
+  return {
+    from: new Date(resolved.since.getTime() - (resolved.until - resolved.since)),
+    to: resolved.since,
+    timezone: resolved.timezone,
+  };
+}
+
+// Count parameters checked by parseRangeParams(); days may be fractional
+const COUNT_PARAMS = ['days', 'weeks', 'limit', 'idle'];
+
+/**
+ * Read range query parameters (from, to, tz, days)
+ * Also checks the count parameters (days, weeks, limit, idle), so a bad value
+ * is rejected even when no explicit range is set.
+ * @param {URLSearchParams} searchParams - Request query parameters
+ * @returns {Object|null} Range for resolveRange(), or null if none of from/to/tz is set
+ * @throws {Error} If the range is invalid, or a count is not a positive number
+ */
+export function parseRangeParams(searchParams) {
+  for (const name of COUNT_PARAMS) {
+    const value = searchParams.get(name);
+    if (value === null || value === '') continue;
+    const count = Number(value);
+    if (name === 'days' ? !(Number.isFinite(count) && count > 0) : !(Number.isInteger(count) && count > 0)) {
+      throw new Error(`Invalid ${name}: must be a positive ${name === 'days' ? 'number' : 'integer'}`);
+    }
+  }
+
+  if (!['from', 'to', 'tz'].some(name => searchParams.has(name))) {
+    return null;
+  }
+
+  const range = {
+    from: searchParams.get('from') || null,
+    to: searchParams.get('to') || null,
+    timezone: searchParams.get('tz') || 'UTC',
+    days: searchParams.get('days') ? Number(searchParams.get('days')) : undefined,
+  };
+  resolveRange(range);
+  return range;
+}
+
+/**
+ * Find the timezone offsets in effect during a range
+ * Sampled daily, then narrowed to the minute, so DST changes are exact.
+ * @param {Date} since - Start of the range
+ * @param {Date} until - End of the range
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object[]} Segments [{ until, minutes }] in order; the last one has until = null
+ */
+export function offsetSegments(since, until, timeZone) {
+  const segments = [];
+  let minutes = tzOffsetMinutes(since, timeZone);
+
+  for (let time = since.getTime() + DAY_MS; time < until.getTime() + DAY_MS; time += DAY_MS) {
+    const next = tzOffsetMinutes(new Date(Math.min(time, until.getTime())), timeZone);
+    if (next === minutes) continue;
+
+    let low = time - DAY_MS;
+    let high = Math.min(time, until.getTime());
+    while (high - low > 1000) {
+      const middle = Math.floor((low + high) / 2);
+      if (tzOffsetMinutes(new Date(middle), timeZone) === minutes) low = middle;
+      else high = middle;
+    }
+    // Offsets change on whole minutes
+    segments.push({ until: new Date(Math.floor(high / MINUTE_MS) * MINUTE_MS), minutes });
+    minutes = next;
+  }
+
+  segments.push({ until: null, minutes });
+  return segments;
+}
+
+/**
+ * Shift a point in time to local wall-clock time
+ * The result's UTC getters (and toISOString()) return local date and time.
+ * @param {Date} date - Point in time
+ * @param {Object[]} segments - Result of offsetSegments() for a range containing date
+ * @returns {Date} Shifted date
+ */
+export function toLocalTime(date, segments) {
+  const segment = segments.find(s => s.until === null || date < s.until);
+  return new Date(date.getTime() + segment.minutes * MINUTE_MS);
+}
+
+/**
+ * SQL expression converting a UTC timestamp column to local time
+ * @param {string} column - Column or expression ('YYYY-MM-DD HH:MM[:SS]')
+ * @param {Object[]} segments - Result of offsetSegments()
+ * @returns {string} SQL expression (the column itself for UTC)
+ */
+export function localTimeSql(column, segments) {
+  if (segments.length === 1 && segments[0].minutes === 0) {
+    return column;
+  }
+
+  const modifier = (minutes) => `'${minutes >= 0 ? '+' : ''}${minutes} minutes'`;
+  if (segments.length === 1) {
+    return `datetime(${column}, ${modifier(segments[0].minutes)})`;
+  }
+
+  const cases = segments.slice(0, -1)
+    .map(segment => `WHEN ${column} < '${sqlTimestamp(segment.until)}' THEN ${modifier(segment.minutes)}`)
+    .join(' ');
+  return `datetime(${column}, CASE ${cases} ELSE ${modifier(segments[segments.length - 1].minutes)} END)`;
+}
@@ -1,6 +1,21 @@
 #!/bin/bash
 # Skill usage tracking helper for SKILL.md files
-# Usage: bash skills/_track.sh <tool_name>
+# Usage: bash skills/_track.sh <tool_name> [status] [duration_ms]
+#
+# status is success, error or timeout (default: success). duration_ms is only sent when you measured it;
+# SKILL.md blocks run before the skill, so it is usually omitted (null).
+# For measured durations and error detection, use the Pre/PostToolUse hooks
+# (examples/pretooluse-hook.sh + examples/posttooluse-hook.sh).
+#
+# Set TRACK_SKILLS_SESSION_ID to group events into a session for session analytics.
+# Set TRACK_SKILLS_USER_ID to identify the user (hashed server-side; only with
+# USER_HASH_SECRET set on the Worker). Unset, the Worker falls back to the IP.
+#
+# Copy track-spool.sh next to this file to keep events while the endpoint is
+# unreachable; they are sent with their original timestamps after the next
+# successful call (see track-spool.sh).
+#
+# The payload is built with jq when it is installed, else escaped in bash.
 #
 # Copy this file to your project's skills/ directory and customize:
 # 1. Update the tracking endpoint URL
@@ -8,14 +23,88 @@
 # 3. (Optional) Set CONTENT_ONTOLOGY_API_KEY environment variable
 
 TOOL_NAME=$1
+STATUS=${2:-success}
+DURATION_MS=${3:-null}
+
+# Fail silently: tracking must never break the skill
+case "$STATUS" in
+  success|error|timeout) ;;
+  *)
+    echo "_track.sh: status must be success, error or timeout, event not sent" >&2
+    exit 0
+    ;;
+esac
+
+# Only send a duration we can trust
+if [[ ! "$DURATION_MS" =~ ^[0-9]+$ ]]; then
+  DURATION_MS=null
+fi
+
+# User identifier, sent as the X-User-Id header
+USER_ID=$(printf '%s' "${TRACK_SKILLS_USER_ID:-}" | tr -d '\r\n')
+USER_HEADER=()
+if [ -n "$USER_ID" ]; then
+  USER_HEADER=(-H "X-User-Id: $USER_ID")
+fi
 
 # Customize these values for your project
 TRACKING_ENDPOINT="https://your-worker.workers.dev/api/track"
 TOOL_CATEGORY="your_category"
 
-# Send tracking event in background (non-blocking, fail-silent)
-curl -X POST "$TRACKING_ENDPOINT" \
-  -H "Content-Type: application/json" \
-  -H "Authorization: Bearer ${CONTENT_ONTOLOGY_API_KEY}" \
-  -d "{\"tool_name\":\"$TOOL_NAME\",\"duration_ms\":100,\"status\":\"success\",\"tool_category\":\"$TOOL_CATEGORY\"}" \
-  2>/dev/null &
+# Event ID, so a spooled event that is sent twice is stored once (null if no UUID source is available)
+EVENT_ID=$(cat /proc/sys/kernel/random/uuid 2>/dev/null || uuidgen 2>/dev/null)
+EVENT_ID=$(printf '%s' "$EVENT_ID" | tr -cd 'A-Za-z0-9-')
+
+SPOOL="${TRACK_SKILLS_SPOOL:-$(dirname "$0")/track-spool.sh}"
+
+# JSON string (or null if empty) for systems without jq: escapes backslashes,
+# quotes and whitespace, and drops other control characters
+json_string() {
+  local value=$1
+  if [ -z "$value" ]; then
+    printf 'null'
+    return
+  fi
+  value=${value//\\/\\\\}
+  value=${value//\"/\\\"}
+  value=${value//$'\n'/\\n}
+  value=${value//$'\r'/\\r}
+  value=${value//$'\t'/\\t}
+  printf '"%s"' "$(printf '%s' "$value" | tr -d '\000-\037')"
+}
+
+# Names are JSON-escaped; empty session/event IDs are sent as null
+TIMESTAMP=$(date -u +%Y-%m-%dT%H:%M:%SZ)
+if command -v jq >/dev/null 2>&1; then
+  PAYLOAD=$(jq -nc \
+    --arg tool_name "$TOOL_NAME" \
+    --argjson duration_ms "$DURATION_MS" \
+    --arg status "$STATUS" \
+    --arg tool_category "$TOOL_CATEGORY" \
+    --arg session_id "$TRACK_SKILLS_SESSION_ID" \
+    --arg event_id "$EVENT_ID" \
+    --arg timestamp "$TIMESTAMP" \
+    '{tool_name: $tool_name, duration_ms: $duration_ms, status: $status, tool_category: $tool_category,
+      session_id: (if $session_id == "" then null else $session_id end),
+      event_id: (if $event_id == "" then null else $event_id end),
+      timestamp: $timestamp}')
+else
+  PAYLOAD="{\"tool_name\":$(json_string "$TOOL_NAME"),\"duration_ms\":$DURATION_MS,\"status\":\"$STATUS\",\"tool_category\":$(json_string "$TOOL_CATEGORY"),\"session_id\":$(json_string "$TRACK_SKILLS_SESSION_ID"),\"event_id\":$(json_string "$EVENT_ID"),\"timestamp\":\"$TIMESTAMP\"}"
+fi
+
+# Send tracking event in background (non-blocking, fail-silent); spool it if the endpoint is unreachable
+(
+  HTTP_CODE=$(curl -s -o /dev/null -w '%{http_code}' --max-time 10 -X POST "$TRACKING_ENDPOINT" \
+    -H "Content-Type: application/json" \
+    -H "Authorization: Bearer ${CONTENT_ONTOLOGY_API_KEY}" \
+    "${USER_HEADER[@]}" \
+    -d "$PAYLOAD")
+
+  if [ -x "$SPOOL" ]; then
+    if [ "$HTTP_CODE" = "000" ] || [ "$HTTP_CODE" = "429" ] || [[ "$HTTP_CODE" == 5* ]]; then
+      "$SPOOL" add "$TRACKING_ENDPOINT" "$USER_ID" "$PAYLOAD"
+    elif [[ "$HTTP_CODE" == 2* ]]; then
+      TRACK_SKILLS_API_KEY="$CONTENT_ONTOLOGY_API_KEY" "$SPOOL" flush
+    fi
+  fi
+) >/dev/null 2>&1 &
@@ -0,0 +1,291 @@
+/**
+ * Offline Event Spool (Node.js)
+ *
+ * Keeps tracking events that couldn't be sent (network error, 5xx or 429) in
+ * a local file and sends them later with their original timestamps. Uses the
+ * same directory, file format and lock as client/track-spool.sh, so the bash
+ * helpers and the JavaScript client can flush each other's events.
+ *
+ * Usage:
+ *   const spool = createFileSpool();
+ *   await trackSkillExecution('my_skill', impl, params, { ...context, spool });
+ *
+ * Files in the spool directory:
+ *   events.ndjson          Queued events, one { endpoint, user_id, event } per line, oldest first
+ *   events.sending.<pid>   Events taken by a flush in progress
+ *   backoff                "<failed flushes> <next attempt, epoch seconds>"
+ *   dropped                Events dropped because the spool was full
+ *   lock/                  Directory lock
+ */
+
+import { mkdir, readFile, writeFile, appendFile, rename, rm, rmdir, stat, readdir } from 'node:fs/promises';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+
+export const DEFAULT_SPOOL_MAX_EVENTS = 1000;
+
+// Events per /api/track/batch request (the Worker's MAX_BATCH_SIZE)
+const SPOOL_BATCH_SIZE = 100;
+
+// Flush backoff after failures: 30s, 1m, 2m, ... up to 1h
+const BACKOFF_BASE_MS = 30 * 1000;
+const BACKOFF_MAX_MS = 60 * 60 * 1000;
+
+// A lock older than this was left behind by a process that died
+const LOCK_STALE_MS = 60 * 1000;
+
+/**
+ * Default spool directory (TRACK_SKILLS_SPOOL_DIR, else the XDG state directory)
+ * @returns {string} Directory path
+ */
+export function defaultSpoolDir() {
+  return process.env.TRACK_SKILLS_SPOOL_DIR ||
+    join(process.env.XDG_STATE_HOME || join(homedir(), '.local', 'state'), 'track-skills');
+}
+
+/**
+ * Whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if it exists
+ */
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Parse spool lines, skipping anything that isn't a queued event
+ * @param {string} text - File contents
+ * @returns {Object[]} Entries { endpoint, user_id, event }
+ */
+function parseEntries(text) {
+  const entries = [];
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry?.endpoint && entry.event) entries.push(entry);
+    } catch {
+      // Partially written line
+    }
+  }
+  return entries;
+}
+
+/**
+ * Create a file spool
+ * @param {Object} options - Spool options
+ * @param {string} options.dir - Spool directory (default: defaultSpoolDir())
+ * @param {number} options.maxEvents - Keep at most this many events, dropping the oldest (default: 1000)
+ * @returns {Object} Spool with add(), flush() and status()
+ */
+export function createFileSpool(options = {}) {
+  const dir = options.dir || defaultSpoolDir();
+  const maxEvents = options.maxEvents || Number(process.env.TRACK_SKILLS_SPOOL_MAX) || DEFAULT_SPOOL_MAX_EVENTS;
+  const file = (name) => join(dir, name);
+
+  const readText = async (name) => readFile(file(name), 'utf8').catch(() => '');
+
+  const withLock = async (fn) => {
+    await mkdir(dir, { recursive: true });
+    for (let tries = 0; ; tries++) {
+      try {
+        await mkdir(file('lock'));
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        const lock = await stat(file('lock')).catch(() => null);
+        if (lock && Date.now() - lock.mtimeMs > LOCK_STALE_MS) {
+          await rmdir(file('lock')).catch(() => {});
+          continue;
+        }
+        if (tries >= 50) throw new Error('Spool is locked');
+        await new Promise(resolve => setTimeout(resolve, 100));
+      }
+    }
+    try {
+      return await fn();
+    } finally {
+      await rmdir(file('lock')).catch(() => {});
+    }
+  };
+
+  // Put entries in front of the queue and enforce maxEvents (caller holds the lock)
+  const prepend = async (lines) => {
+    const queued = (await readText('events.ndjson')).split('\n').filter(Boolean);
+    let all = [...lines, ...queued];
+    if (all.length > maxEvents) {
+      const dropped = Number(await readText('dropped')) || 0;
+      await writeFile(file('dropped'), `${dropped + all.length - maxEvents}\n`);
+      all = all.slice(all.length - maxEvents);
+    }
+    await writeFile(file('events.ndjson.tmp'), all.map(line => `${line}\n`).join(''));
+    await rename(file('events.ndjson.tmp'), file('events.ndjson'));
+  };
+
+  const readBackoff = async () => {
+    const [failures, next] = (await readText('backoff')).trim().split(/\s+/).map(Number);
+    return { failures: failures || 0, nextAttemptAt: next ? new Date(next * 1000) : null };
+  };
+
+  /**
+   * Send queued events (see flush())
+   * @param {Object} flushOptions - { apiKey, force }
+   * @returns {Promise<Object>} { sent, rejected, remaining, skipped, error }
+   */
+  const flushSpool = async ({ apiKey, force = false }) => {
+    const backoff = await readBackoff();
+    if (!force && backoff.nextAttemptAt && Date.now() < backoff.nextAttemptAt.getTime()) {
+      return { sent: 0, rejected: 0, remaining: null, skipped: true };
+    }
+
+    // Take the queued events (and those of interrupted flushes); new events go to a fresh file meanwhile
+    const sending = `events.sending.${process.pid}`;
+    const taken = await withLock(async () => {
+      for (const name of await readdir(dir)) {
+        const pid = Number(name.match(/^events\.sending\.(\d+)$/)?.[1]);
+        if (pid && pid !== process.pid && !processAlive(pid)) {
+          await prepend((await readText(name)).split('\n').filter(Boolean));
+          await rm(file(name), { force: true });
+        }
+      }
+      const text = await readText('events.ndjson');
+      if (!text.trim()) return null;
+      await rename(file('events.ndjson'), file(sending));
+      return text;
+    });
+    if (taken === null) {
+      return { sent: 0, rejected: 0, remaining: 0, skipped: false };
+    }
+
+    // Batches of events with the same endpoint and user, oldest first
+    const groups = new Map();
+    const entries = parseEntries(taken)
+      .sort((a, b) => String(a.event.timestamp ?? '').localeCompare(String(b.event.timestamp ?? '')));
+    for (const entry of entries) {
+      const key = JSON.stringify([entry.endpoint, entry.user_id]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(entry);
+    }
+    const batches = [];
+    for (const group of groups.values()) {
+      for (let i = 0; i < group.length; i += SPOOL_BATCH_SIZE) {
+        batches.push(group.slice(i, i + SPOOL_BATCH_SIZE));
+      }
+    }
+
+    let sent = 0;
+    let rejected = 0;
+    let error = null;
+    const unsent = [];
+    for (const batch of batches) {
+      if (error) {
+        unsent.push(...batch);
+        continue;
+      }
+
+      const { endpoint, user_id: userId } = batch[0];
+      const headers = { 'Authorization': `Bearer ${apiKey}`, 'Content-Type': 'application/json' };
+      if (userId) headers['X-User-Id'] = userId;
+
+      try {
+        const response = await fetch(`${endpoint}/batch`, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify({ events: batch.map(entry => entry.event) }),
+        });
+        // 400 means every event in the batch was rejected; invalid events are never retried
+        if (response.status !== 200 && response.status !== 400) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const result = await response.json().catch(() => ({}));
+        sent += result.accepted || 0;
+        rejected += result.rejected || 0;
+      } catch (sendError) {
+        error = sendError.message;
+        unsent.push(...batch);
+      }
+    }
+
+    // Unsent events go back in front of events queued meanwhile
+    const remaining = await withLock(async () => {
+      if (unsent.length > 0) {
+        await prepend(unsent.map(entry => JSON.stringify(entry)));
+      }
+      await rm(file(sending), { force: true });
+      if (error) {
+        const failures = backoff.failures + 1;
+        const delay = Math.min(BACKOFF_BASE_MS * 2 ** Math.min(failures - 1, 7), BACKOFF_MAX_MS);
+        await writeFile(file('backoff'), `${failures} ${Math.floor((Date.now() + delay) / 1000)}\n`);
+      } else {
+        await rm(file('backoff'), { force: true });
+      }
+      return (await readText('events.ndjson')).split('\n').filter(Boolean).length;
+    });
+
+    return { sent, rejected, remaining, skipped: false, error };
+  };
+
+  // The sending file is per process, so one flush at a time
+  let flushing = null;
+
+  return {
+    dir,
+
+    /**
+     * Queue an event
+     * @param {string} endpoint - /api/track URL the event was meant for
+     * @param {string|null} userId - X-User-Id sent with it, if any
+     * @param {Object} event - Event payload, including its timestamp
+     * @returns {Promise<void>}
+     */
+    async add(endpoint, userId, event) {
+      await withLock(async () => {
+        await appendFile(file('events.ndjson'), JSON.stringify({ endpoint, user_id: userId || null, event }) + '\n');
+        const count = (await readText('events.ndjson')).split('\n').filter(Boolean).length;
+        if (count > maxEvents) {
+          await prepend([]);
+        }
+      });
+    },
+
+    /**
+     * Send queued events to <endpoint>/batch, oldest first
+     * Events rejected as invalid are dropped. On a failed request, that batch
+     * and all later ones stay queued and the next flush is backed off. While a
+     * flush is running, further calls return its result.
+     * @param {Object} flushOptions - Flush options
+     * @param {string} flushOptions.apiKey - Ingest API key
+     * @param {boolean} flushOptions.force - Ignore the backoff (default: false)
+     * @returns {Promise<Object>} { sent, rejected, remaining, skipped, error }
+     */
+    flush(flushOptions = {}) {
+      if (!flushing) {
+        flushing = flushSpool(flushOptions).finally(() => {
+          flushing = null;
+        });
+      }
+      return flushing;
+    },
+
+    /**
+     * Spool status
+     * @returns {Promise<Object>} { events, oldest, dropped, failures, nextAttemptAt }
+     */
+    async status() {
+      const entries = parseEntries(await readText('events.ndjson'));
+      const { failures, nextAttemptAt } = await readBackoff();
+      return {
+        events: entries.length,
+        oldest: entries[0]?.event.timestamp ?? null,
+        dropped: Number(await readText('dropped')) || 0,
+        failures,
+        nextAttemptAt,
+      };
+    },
+  };
+}
@@ -0,0 +1,233 @@
+#!/bin/bash
+# Offline spool for tracking events
+# Usage:
+#   bash client/track-spool.sh status             Show queued events, dropped events and backoff
+#   bash client/track-spool.sh flush [--force]    Send queued events now (--force ignores the backoff)
+#   bash client/track-spool.sh add <endpoint> <user_id> <event_json>
+#                                                 Queue an event (called by the hooks and _track.sh)
+#
+# The PostToolUse hook and _track.sh queue an event here when the tracking
+# endpoint can't be reached (network error, 5xx or 429), and run `flush` after
+# their next successful send. Queued events keep the timestamp they were
+# created with, and are sent to <endpoint>/batch in groups of up to 100.
+# After a failed flush, flushes wait 30s, then 1m, 2m, ... up to 1h.
+#
+# The spool holds at most TRACK_SKILLS_SPOOL_MAX events (default 1000); beyond
+# that the oldest are dropped and counted. The JavaScript client's file spool
+# (client/spool.js) uses the same directory and format, so either one can
+# flush events queued by the other.
+#
+# Copy this file next to your hook script and _track.sh. Requires jq.
+#
+# Environment:
+#   TRACK_SKILLS_API_KEY     Ingest API key used by flush
+#   TRACK_SKILLS_SPOOL_DIR   Spool directory (default: ${XDG_STATE_HOME:-~/.local/state}/track-skills)
+#   TRACK_SKILLS_SPOOL_MAX   Maximum number of queued events (default: 1000)
+
+SPOOL_DIR="${TRACK_SKILLS_SPOOL_DIR:-${XDG_STATE_HOME:-$HOME/.local/state}/track-skills}"
+SPOOL_FILE="$SPOOL_DIR/events.ndjson"
+BACKOFF_FILE="$SPOOL_DIR/backoff"
+DROPPED_FILE="$SPOOL_DIR/dropped"
+LOCK_DIR="$SPOOL_DIR/lock"
+MAX_EVENTS="${TRACK_SKILLS_SPOOL_MAX:-1000}"
+BATCH_SIZE=100
+BACKOFF_BASE_SECONDS=30
+BACKOFF_MAX_SECONDS=3600
+
+if ! command -v jq >/dev/null 2>&1; then
+  echo "track-spool: jq is required" >&2
+  exit 1
+fi
+
+mkdir -p "$SPOOL_DIR" 2>/dev/null || exit 1
+
+# Directory lock (mkdir is atomic everywhere, flock is not on macOS)
+acquire_lock() {
+  local tries=0
+  until mkdir "$LOCK_DIR" 2>/dev/null; do
+    # A lock older than a minute was left behind by a process that died
+    if [ -n "$(find "$LOCK_DIR" -maxdepth 0 -mmin +1 2>/dev/null)" ]; then
+      rmdir "$LOCK_DIR" 2>/dev/null
+      continue
+    fi
+    tries=$((tries + 1))
+    if [ "$tries" -ge 50 ]; then
+      return 1
+    fi
+    sleep 0.1
+  done
+}
+
+release_lock() {
+  rmdir "$LOCK_DIR" 2>/dev/null
+}
+
+read_number() {
+  local value
+  value=$(cat "$1" 2>/dev/null)
+  if [[ "$value" =~ ^[0-9]+$ ]]; then echo "$value"; else echo 0; fi
+}
+
+count_events() {
+  if [ -f "$SPOOL_FILE" ]; then wc -l < "$SPOOL_FILE" | tr -d ' '; else echo 0; fi
+}
+
+# Drop the oldest events beyond MAX_EVENTS (caller holds the lock)
+enforce_cap() {
+  local count
+  count=$(count_events)
+  if [ "${count:-0}" -gt "$MAX_EVENTS" ]; then
+    tail -n "$MAX_EVENTS" "$SPOOL_FILE" > "$SPOOL_FILE.tmp" && mv "$SPOOL_FILE.tmp" "$SPOOL_FILE"
+    echo $(( $(read_number "$DROPPED_FILE") + count - MAX_EVENTS )) > "$DROPPED_FILE"
+  fi
+}
+
+# Put the events in a file in front of the queue (caller holds the lock)
+prepend() {
+  { cat "$1"; if [ -f "$SPOOL_FILE" ]; then cat "$SPOOL_FILE"; fi; } > "$SPOOL_FILE.tmp" && mv "$SPOOL_FILE.tmp" "$SPOOL_FILE"
+  enforce_cap
+}
+
+# Put events of interrupted flushes (events.sending.<pid> of dead processes) back in front (caller holds the lock)
+recover_sending() {
+  local file pid
+  for file in "$SPOOL_DIR"/events.sending.*; do
+    [ -e "$file" ] || continue
+    pid="${file##*.}"
+    if [ "$pid" != "$$" ] && ! kill -0 "$pid" 2>/dev/null; then
+      prepend "$file"
+      rm -f "$file"
+    fi
+  done
+}
+
+format_time() {
+  date -u -d "@$1" '+%Y-%m-%d %H:%M:%S UTC' 2>/dev/null || date -u -r "$1" '+%Y-%m-%d %H:%M:%S UTC'
+}
+
+cmd_add() {
+  local line
+  line=$(jq -nc --arg endpoint "$1" --arg user_id "$2" --argjson event "$3" \
+    '{endpoint: $endpoint, user_id: (if $user_id == "" then null else $user_id end), event: $event}') || return 1
+  acquire_lock || return 1
+  printf '%s\n' "$line" >> "$SPOOL_FILE"
+  enforce_cap
+  release_lock
+}
+
+cmd_status() {
+  local count oldest failures next
+  count=$(count_events)
+  oldest=$(head -n 1 "$SPOOL_FILE" 2>/dev/null | jq -r '.event.timestamp // empty' 2>/dev/null)
+  [ -f "$BACKOFF_FILE" ] && read -r failures next < "$BACKOFF_FILE"
+
+  echo "Spool:           $SPOOL_FILE"
+  echo "Queued events:   $count (max $MAX_EVENTS)"
+  [ -n "$oldest" ] && echo "Oldest event:    $oldest"
+  echo "Dropped (full):  $(read_number "$DROPPED_FILE")"
+  if [[ "$failures" =~ ^[0-9]+$ ]] && [ "$failures" -gt 0 ]; then
+    echo "Failed flushes:  $failures (next attempt after $(format_time "$next"))"
+  fi
+}
+
+cmd_flush() {
+  local force="$1" now failures next
+  now=$(date +%s)
+  [ -f "$BACKOFF_FILE" ] && read -r failures next < "$BACKOFF_FILE"
+  [[ "$failures" =~ ^[0-9]+$ ]] || failures=0
+  [[ "$next" =~ ^[0-9]+$ ]] || next=0
+
+  if [ "$force" != "--force" ] && [ "$now" -lt "$next" ]; then
+    echo "Backing off until $(format_time "$next") (use --force to flush now)"
+    return 0
+  fi
+
+  # Take the queued events; new events go to a fresh file meanwhile
+  local sending="$SPOOL_DIR/events.sending.$$"
+  acquire_lock || return 1
+  recover_sending
+  if [ ! -s "$SPOOL_FILE" ]; then
+    release_lock
+    echo "Spool is empty"
+    return 0
+  fi
+  mv "$SPOOL_FILE" "$sending"
+  release_lock
+
+  # Batches of events with the same endpoint and user, oldest first
+  local batches unsent="$sending.unsent" sent=0 rejected=0 failed="" batch
+  : > "$unsent"
+  if ! batches=$(jq -cR 'fromjson? | select(.endpoint and .event)' "$sending" | jq -sc --argjson size "$BATCH_SIZE" '
+    group_by([.endpoint, .user_id]) | map(sort_by(.event.timestamp // "")) | sort_by(.[0].event.timestamp // "")[]
+    | . as $group | range(0; length; $size) as $i
+    | {endpoint: $group[0].endpoint, user_id: $group[0].user_id, events: [$group[$i:$i + $size][].event]}'); then
+    cp "$sending" "$unsent"
+    batches=""
+    failed="000"
+  fi
+
+  while IFS= read -r batch; do
+    [ -n "$batch" ] || continue
+    if [ -n "$failed" ]; then
+      echo "$batch" | jq -c '. as $b | .events[] | {endpoint: $b.endpoint, user_id: $b.user_id, event: .}' >> "$unsent"
+      continue
+    fi
+
+    local endpoint user_id response code body
+    endpoint=$(echo "$batch" | jq -r '.endpoint')
+    user_id=$(echo "$batch" | jq -r '.user_id // empty' | tr -d '\r\n')
+    local user_header=()
+    if [ -n "$user_id" ]; then
+      user_header=(-H "X-User-Id: $user_id")
+    fi
+
+    response=$(echo "$batch" | jq -c '{events}' | curl -s -w '\n%{http_code}' --max-time 30 -X POST "$endpoint/batch" \
+      -H "Content-Type: application/json" \
+      -H "Authorization: Bearer ${TRACK_SKILLS_API_KEY}" \
+      "${user_header[@]}" \
+      --data-binary @-)
+    code="${response##*$'\n'}"
+    body="${response%$'\n'*}"
+
+    # 400 means every event in the batch was rejected; invalid events are never retried
+    if [ "$code" = "200" ] || [ "$code" = "400" ]; then
+      sent=$(( sent + $(echo "$body" | jq -r '.accepted // 0' 2>/dev/null || echo 0) ))
+      rejected=$(( rejected + $(echo "$body" | jq -r '.rejected // 0' 2>/dev/null || echo 0) ))
+    else
+      failed="$code"
+      echo "$batch" | jq -c '. as $b | .events[] | {endpoint: $b.endpoint, user_id: $b.user_id, event: .}' >> "$unsent"
+    fi
+  done <<< "$batches"
+
+  # Unsent events go back in front of events queued meanwhile
+  acquire_lock || return 1
+  if [ -s "$unsent" ]; then
+    prepend "$unsent"
+  fi
+  rm -f "$sending" "$unsent"
+  if [ -n "$failed" ]; then
+    failures=$((failures + 1))
+    local delay=$(( BACKOFF_BASE_SECONDS << (failures > 8 ? 7 : failures - 1) ))
+    [ "$delay" -gt "$BACKOFF_MAX_SECONDS" ] && delay=$BACKOFF_MAX_SECONDS
+    echo "$failures $(( now + delay ))" > "$BACKOFF_FILE"
+  else
+    rm -f "$BACKOFF_FILE"
+  fi
+  release_lock
+
+  echo "Sent $sent event(s), $rejected rejected as invalid"
+  if [ -n "$failed" ]; then
+    echo "Flush failed (HTTP ${failed/000/error}); $(count_events) event(s) queued" >&2
+    return 1
+  fi
+}
+
+case "$1" in
+  add) shift; cmd_add "$@" ;;
+  status) cmd_status ;;
+  flush) cmd_flush "$2" ;;
+  *)
+    echo "Usage: $0 status | flush [--force] | add <endpoint> <user_id> <event_json>" >&2
+    exit 1
+    ;;
+esac
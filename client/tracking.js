@@ -2,59 +2,405 @@
  * Client-Side Skill Tracking
  *
  * Logs skill usage metrics directly from skill execution.
- * Sends tracking data to the analytics API.
+ * Sends tracking data to the analytics API, and optionally each event as an
+ * OpenTelemetry span to an OTLP/HTTP collector (context.otlp).
  */
 
+import { validateEvent, DEFAULT_TOOL_CATEGORY, EVENT_LIMITS } from '../shared/events.js';
+import { createRedactor } from '../shared/redaction.js';
+import { eventToSpan, traceExport } from '../shared/otlp.js';
+
+/**
+ * Sent as client_version unless the event (or trackSkillExecution()'s context) sets clientVersion
+ */
+export const CLIENT_VERSION = 'track-skills-js/1.0.0';
+
+/**
+ * Create the redactor for a context's or buffer's `redact` option
+ * @param {boolean|Object} redact - true for the default rules, or createRedactor() options
+ * @returns {Object|null} Redactor, or null if redaction is off
+ */
+function clientRedactor(redact) {
+  if (!redact) return null;
+  return createRedactor(redact === true ? {} : redact);
+}
+
+/**
+ * Convert a client event into the /api/track payload shape
+ * @param {Object} event - Event data (skillName, duration, status, etc.)
+ * @param {Object|null} redactor - Redact error details and metadata before sending (default: none)
+ * @returns {Object} Tracking payload
+ */
+function toTrackPayload(event, redactor = null) {
+  const payload = {
+    tool_name: event.skillName,
+    tool_category: event.category || DEFAULT_TOOL_CATEGORY,
+    duration_ms: event.duration,
+    status: event.status,
+    error_type: event.errorType || null,
+    error_message: event.errorMessage?.slice(0, EVENT_LIMITS.errorMessageLength) || null,
+    metadata: event.metadata ? JSON.stringify(event.metadata) : null,
+    session_id: event.sessionId || null,
+    request_size_bytes: event.requestSizeBytes ?? null,
+    response_size_bytes: event.responseSizeBytes ?? null,
+    tool_version: event.toolVersion || null,
+    client_version: event.clientVersion || CLIENT_VERSION,
+    // Kept when the event is spooled and sent later, so resends are dropped as duplicates
+    event_id: event.eventId || crypto.randomUUID(),
+    timestamp: event.timestamp || new Date().toISOString()
+  };
+  if (!redactor) {
+    return payload;
+  }
+
+  // The server redacts again; `redacted` tells it this event was already changed
+  const redacted = redactor.redactEvent(payload);
+  return { ...redacted, metadata: redacted.metadata ? JSON.stringify(redacted.metadata) : null };
+}
+
+/**
+ * Check a payload against the shared event schema before sending
+ * Invalid events are logged and dropped; the server would reject them anyway.
+ * @param {Object} payload - Tracking payload from toTrackPayload()
+ * @returns {boolean} True if the payload is valid
+ */
+function checkPayload(payload) {
+  const { valid, errors } = validateEvent(payload);
+  if (!valid) {
+    console.error('[TRACKING]', 'Dropping invalid event:', errors.map(e => `${e.field} ${e.message}`).join('; '));
+  }
+  return valid;
+}
+
+/**
+ * Request headers for the tracking endpoints
+ * context.userId is sent as X-User-Id, which the server hashes into the user
+ * hash (instead of the IP) so one person counts once across machines.
+ * @param {Object} context - Context with apiKey (and optional userId)
+ * @returns {Object} Headers
+ */
+function trackHeaders(context) {
+  const headers = {
+    'Authorization': `Bearer ${context.apiKey}`,
+    'Content-Type': 'application/json'
+  };
+  if (context.userId) {
+    headers['X-User-Id'] = String(context.userId);
+  }
+  return headers;
+}
+
+/**
+ * Spool events after a failed send, or flush the spool after a successful one
+ * Only network errors, 429 and 5xx are spooled: invalid events and auth
+ * errors would fail again. The flush runs in the background.
+ * @param {Object} context - Context with apiBaseUrl and apiKey (and optional spool, userId)
+ * @param {number} status - HTTP status of the send, 0 for a network error
+ * @param {Object[]} payloads - Payloads that were sent
+ */
+async function handleSendResult(context, status, payloads) {
+  const { spool } = context;
+  if (!spool) {
+    return;
+  }
+  try {
+    if (status === 0 || status === 429 || status >= 500) {
+      for (const payload of payloads) {
+        await spool.add(`${context.apiBaseUrl}/api/track`, context.userId || null, payload);
+      }
+    } else if (status >= 200 && status < 300) {
+      spool.flush({ apiKey: context.apiKey }).catch(error => console.error('[TRACKING]', error.message));
+    }
+  } catch (error) {
+    console.error('[TRACKING]', error.message);
+  }
+}
+
+/**
+ * Send spans to an OTLP/HTTP JSON collector
+ * Failures are logged, not spooled: the events still go to /api/track.
+ * @param {Object} otlp - { endpoint (e.g. 'http://localhost:4318/v1/traces'), headers, serviceName }
+ * @param {Object[]} spans - Spans from eventToSpan()
+ */
+async function exportSpans(otlp, spans) {
+  try {
+    const response = await fetch(otlp.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...otlp.headers },
+      body: JSON.stringify(traceExport(spans, { 'service.name': otlp.serviceName || 'track-skills' }))
+    });
+    if (!response.ok) {
+      throw new Error(`OTLP export failed with HTTP ${response.status}`);
+    }
+  } catch (error) {
+    console.error('[TRACKING]', error.message);
+  }
+}
+
 /**
  * Log skill usage event
- * @param {Object} context - Skill context with apiBaseUrl and apiKey
+ * If the context carries an eventBuffer, the event is queued instead of sent.
+ * Set context.validateEvents to check events locally before sending, and
+ * context.redact (true or createRedactor() options) to scrub PII and secrets
+ * before they leave the process. With context.spool (see client/spool.js),
+ * events that can't be sent are kept and sent later.
+ * With context.otlp, the event is also sent as a span, a child of
+ * context.traceparent (a W3C traceparent) if set.
+ * @param {Object} context - Skill context with apiBaseUrl and apiKey (and optional userId, eventBuffer, validateEvents, redact, spool, otlp, traceparent)
  * @param {Object} event - Event data
  */
 export async function logSkillEvent(context, event) {
   try {
-    const { apiBaseUrl, apiKey } = context;
+    if (context.eventBuffer) {
+      context.eventBuffer.add(event, { traceparent: context.traceparent });
+      return;
+    }
+
+    const { apiBaseUrl } = context;
+    const payload = toTrackPayload(event, clientRedactor(context.redact));
+
+    if (context.validateEvents && !checkPayload(payload)) {
+      return;
+    }
+
+    const exported = context.otlp
+      ? exportSpans(context.otlp, [eventToSpan(payload, { traceparent: context.traceparent })])
+      : null;
 
     // Send to tracking endpoint
-    await fetch(`${apiBaseUrl}/api/track`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${apiKey}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        tool_name: event.skillName,
-        tool_category: event.category || 'cms_ontology',
-        duration_ms: event.duration,
-        status: event.status,
-        error_type: event.errorType || null,
-        error_message: event.errorMessage || null,
-        metadata: event.metadata ? JSON.stringify(event.metadata) : null
-      })
-    });
+    let status = 0;
+    try {
+      const response = await fetch(`${apiBaseUrl}/api/track`, {
+        method: 'POST',
+        headers: trackHeaders(context),
+        body: JSON.stringify(payload)
+      });
+      status = response.status;
+    } catch (error) {
+      console.error('[TRACKING]', error.message);
+    }
+    await handleSendResult(context, status, [payload]);
+    await exported;
   } catch (error) {
     // Fail silently - don't break skill execution
     console.error('[TRACKING]', error.message);
   }
 }
 
+/**
+ * Create a buffered event queue that sends events to /api/track/batch
+ * Events are flushed when the buffer reaches maxBatchSize, every
+ * flushIntervalMs, or when flush() is called explicitly.
+ *
+ * Usage:
+ *   const eventBuffer = createEventBuffer({ apiBaseUrl, apiKey });
+ *   await trackSkillExecution('my_skill', impl, params, { ...context, eventBuffer });
+ *   await eventBuffer.close(); // before shutdown
+ *
+ * @param {Object} context - Context with apiBaseUrl and apiKey (and optional userId, spool, otlp)
+ * @param {Object} options - Buffer options
+ * @param {number} options.maxBatchSize - Flush once this many events are queued (default: 20, max: 100)
+ * @param {number} options.flushIntervalMs - Flush interval in ms, 0 to disable (default: 5000)
+ * @param {boolean} options.validate - Drop events that fail the shared event schema (default: false)
+ * @param {boolean|Object} options.redact - Redact events before queueing: true for the default rules, or createRedactor() options (default: false)
+ * @returns {Object} Buffer with add(), flush(), close() and size
+ */
+export function createEventBuffer(context, options = {}) {
+  const { apiBaseUrl } = context;
+  const redactor = clientRedactor(options.redact);
+  const maxBatchSize = Math.min(options.maxBatchSize || 20, 100);
+  const flushIntervalMs = options.flushIntervalMs ?? 5000;
+
+  let queue = [];
+  let spans = [];
+  let timer = null;
+
+  const buffer = {
+    get size() {
+      return queue.length;
+    },
+
+    add(event, { traceparent } = {}) {
+      const payload = toTrackPayload(event, redactor);
+      if (options.validate && !checkPayload(payload)) {
+        return;
+      }
+      queue.push(payload);
+      if (context.otlp) {
+        spans.push(eventToSpan(payload, { traceparent }));
+      }
+      if (queue.length >= maxBatchSize) {
+        buffer.flush();
+      }
+    },
+
+    async flush() {
+      if (queue.length === 0) {
+        return { accepted: 0, rejected: 0 };
+      }
+
+      const events = queue;
+      queue = [];
+      const exported = spans.length > 0 ? exportSpans(context.otlp, spans) : null;
+      spans = [];
+
+      let status = 0;
+      let result;
+      try {
+        const response = await fetch(`${apiBaseUrl}/api/track/batch`, {
+          method: 'POST',
+          headers: trackHeaders(context),
+          body: JSON.stringify({ events })
+        });
+        status = response.status;
+        if (!response.ok && status !== 400) {
+          throw new Error(`Batch request failed with HTTP ${status}`);
+        }
+        result = await response.json();
+
+        if (result.rejected > 0) {
+          console.error('[TRACKING]', `${result.rejected} of ${events.length} events rejected`);
+        }
+      } catch (error) {
+        // Fail silently - don't break skill execution
+        console.error('[TRACKING]', error.message);
+        result = { accepted: 0, rejected: events.length, error: error.message };
+      }
+      await handleSendResult(context, status, events);
+      await exported;
+      return result;
+    },
+
+    async close() {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+      return buffer.flush();
+    }
+  };
+
+  if (flushIntervalMs > 0) {
+    timer = setInterval(() => buffer.flush(), flushIntervalMs);
+    // Don't keep Node processes alive just to flush tracking events
+    timer.unref?.();
+  }
+
+  return buffer;
+}
+
+/**
+ * Size of a value serialized as JSON, in UTF-8 bytes
+ * @param {*} value - Skill params or result
+ * @returns {number|null} Size, or null if the value can't be serialized (e.g. circular)
+ */
+function payloadSize(value) {
+  try {
+    const json = JSON.stringify(value);
+    return json === undefined ? null : new TextEncoder().encode(json).length;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Error thrown by trackSkillExecution() when a skill exceeds its timeoutMs
+ * It is also the abort reason of the signal passed to the skill.
+ */
+export class SkillTimeoutError extends Error {
+  /**
+   * @param {string} skillName - Name of the skill
+   * @param {number} timeoutMs - Timeout that was exceeded
+   */
+  constructor(skillName, timeoutMs) {
+    super(`Skill ${skillName} timed out after ${timeoutMs}ms`);
+    this.name = 'SkillTimeoutError';
+    this.skillName = skillName;
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Run a skill, aborting it after timeoutMs
+ * The skill gets context.signal, which aborts with a SkillTimeoutError (and
+ * also when the caller's own context.signal aborts). The returned promise
+ * rejects on the timeout even if the skill ignores the signal.
+ * @param {string} skillName - Name of the skill
+ * @param {Function} skillFn - Skill function to execute
+ * @param {Object} params - Skill parameters
+ * @param {Object} context - Skill context
+ * @param {number} timeoutMs - Timeout in ms
+ * @returns {Promise<*>} Skill result
+ */
+async function runWithTimeout(skillName, skillFn, params, context, timeoutMs) {
+  const controller = new AbortController();
+  const signal = controller.signal;
+
+  // Follow the caller's signal by hand (AbortSignal.any() needs Node 20.3+)
+  const parent = context.signal;
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent?.aborted) {
+    onAbort();
+  } else {
+    parent?.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new SkillTimeoutError(skillName, timeoutMs);
+      reject(error);
+      controller.abort(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([skillFn(params, { ...context, signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+    parent?.removeEventListener('abort', onAbort);
+  }
+}
+
 /**
  * Wrap skill execution with tracking
+ * Set context.sessionId (e.g. the MCP session ID) to enable session analytics,
+ * and context.userId to identify the user by more than their IP.
+ * Set options.version to the skill's version to compare releases, and
+ * context.clientVersion to the agent's version (default: CLIENT_VERSION).
+ * Request and response sizes are the params and result serialized as JSON.
+ * Set context.otlp to also send each call as an OpenTelemetry span (see logSkillEvent()).
+ * With options.timeoutMs, a skill still running after that long is aborted
+ * through context.signal, recorded with status 'timeout', and the call
+ * rejects with a SkillTimeoutError.
  * @param {string} skillName - Name of the skill
  * @param {Function} skillFn - Skill function to execute
  * @param {Object} params - Skill parameters
  * @param {Object} context - Skill context
+ * @param {Object} options - Tracking options
+ * @param {number} options.timeoutMs - Abort the skill after this many ms (default: no timeout)
+ * @param {string} options.version - Skill version, sent as tool_version (default: none)
  */
-export async function trackSkillExecution(skillName, skillFn, params, context) {
+export async function trackSkillExecution(skillName, skillFn, params, context, options = {}) {
   const startTime = Date.now();
+  const { timeoutMs } = options;
+  const requestSizeBytes = payloadSize(params);
+  const versions = { toolVersion: options.version, clientVersion: context.clientVersion };
 
   try {
-    const result = await skillFn(params, context);
+    const result = timeoutMs > 0
+      ? await runWithTimeout(skillName, skillFn, params, context, timeoutMs)
+      : await skillFn(params, context);
 
     // Log success with metadata about what was done
     await logSkillEvent(context, {
       skillName,
       duration: Date.now() - startTime,
       status: 'success',
+      sessionId: context.sessionId,
+      ...versions,
+      requestSizeBytes,
+      responseSizeBytes: payloadSize(result),
       metadata: {
         params_keys: Object.keys(params),
         result_count: result.count || result.pages?.length || null
@@ -63,11 +409,14 @@ export async function trackSkillExecution(skillName, skillFn, params, context) {
 
     return result;
   } catch (error) {
-    // Log error
+    // Log error (or timeout)
     await logSkillEvent(context, {
       skillName,
       duration: Date.now() - startTime,
-      status: 'error',
+      status: error instanceof SkillTimeoutError ? 'timeout' : 'error',
+      sessionId: context.sessionId,
+      ...versions,
+      requestSizeBytes,
       errorType: error.name,
       errorMessage: error.message
     });
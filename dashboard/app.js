@@ -1,11 +1,74 @@
-const API_BASE = 'https://content-ontology.philipp-koch.workers.dev';
+// Worker URL; the local development server (server/local-server.js) sets TRACK_SKILLS_API_BASE
+const API_BASE = window.TRACK_SKILLS_API_BASE ?? 'https://content-ontology.philipp-koch.workers.dev';
+const API_KEY_STORAGE = 'trackSkillsApiKey';
 let currentDays = 7;
+// Custom date range { from, to } (YYYY-MM-DD, both inclusive); replaces currentDays while set
+let currentRange = null;
+let currentTrendMetric = 'invocations';
+// Tool shown in the drill-down view (null: overview)
+let currentTool = null;
 
 // Chart instances
-let toolUsageChart, statusChart, retentionChart;
+let toolUsageChart, statusChart, retentionChart, latencyChart, trendChart, newReturningChart, skillsPerSessionChart;
+let toolTrendChart, toolLatencyChart, toolResultCountChart, toolPayloadChart;
+
+// Metrics that can be meaningfully stacked across tools
+const STACKABLE_METRICS = ['invocations', 'errors'];
+
+// Custom ranges and trend buckets follow the browser's timezone
+const TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Day after a YYYY-MM-DD date
+function nextDay(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+// Length of the selected range in days
+function rangeDays() {
+  if (!currentRange) return currentDays;
+  return (Date.parse(nextDay(currentRange.to)) - Date.parse(currentRange.from)) / (24 * 60 * 60 * 1000);
+}
+
+// Query parameters for the selected range; pinned fixes a preset range to from/to timestamps
+function rangeQuery(pinned = false) {
+  if (currentRange) {
+    return `from=${currentRange.from}&to=${nextDay(currentRange.to)}&tz=${encodeURIComponent(TIMEZONE)}`;
+  }
+  if (pinned) {
+    const to = new Date();
+    const from = new Date(to.getTime() - currentDays * 24 * 60 * 60 * 1000);
+    return `from=${from.toISOString()}&to=${to.toISOString()}`;
+  }
+  return `days=${currentDays}&tz=${encodeURIComponent(TIMEZONE)}`;
+}
+
+// Hourly buckets for ranges up to a day, weekly beyond 90 days, daily otherwise
+function trendBucket() {
+  const days = rangeDays();
+  if (days <= 1) return 'hour';
+  return days > 90 ? 'week' : 'day';
+}
+
+// Select a preset (days) or custom range, and show it in the header controls
+function selectRange(days, range = null) {
+  currentDays = days;
+  currentRange = range;
+
+  document.querySelector('.time-range-selector .active')?.classList.remove('active');
+  if (!range) document.querySelector(`.time-range-selector button[data-days="${days}"]`)?.classList.add('active');
+  document.getElementById('range-apply').classList.toggle('active', range !== null);
+
+  // Presets fill the date inputs with the dates they cover
+  const localDate = (date) => date.toLocaleDateString('en-CA');
+  document.getElementById('range-from').value = range ? range.from : localDate(new Date(Date.now() - days * 24 * 60 * 60 * 1000));
+  document.getElementById('range-to').value = range ? range.to : localDate(new Date());
+}
 
 // Initialize dashboard
 async function init() {
+  readRoute();
   await loadData();
   setupEventListeners();
 
@@ -13,32 +76,255 @@ async function init() {
   setInterval(loadData, 60000);
 }
 
-// Load all analytics data
+// Call an analytics endpoint with the stored read-scoped API key
+async function apiRequest(path) {
+  const response = await fetch(`${API_BASE}${path}`, {
+    headers: { 'Authorization': `Bearer ${localStorage.getItem(API_KEY_STORAGE) || ''}` }
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    localStorage.removeItem(API_KEY_STORAGE);
+    throw new Error(`Unauthorized (${response.status})`);
+  }
+
+  return response;
+}
+
+// Fetch an analytics endpoint as JSON
+async function apiFetch(path) {
+  const response = await apiRequest(path);
+  return response.json();
+}
+
+// Ask for an API key with read scope if none is stored yet
+function ensureApiKey() {
+  if (!localStorage.getItem(API_KEY_STORAGE)) {
+    const key = prompt('Enter an analytics API key (read scope):');
+    if (key) localStorage.setItem(API_KEY_STORAGE, key.trim());
+  }
+}
+
+// Read the drill-down route from the URL hash (#tool=<name>&days=<n> or &from=<date>&to=<date>)
+function readRoute() {
+  const params = new URLSearchParams(location.hash.slice(1));
+  currentTool = params.get('tool') || null;
+
+  const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '');
+  const days = parseInt(params.get('days'));
+  if (isDate(params.get('from')) && isDate(params.get('to')) && params.get('from') <= params.get('to')) {
+    selectRange(currentDays, { from: params.get('from'), to: params.get('to') });
+  } else if (document.querySelector(`.time-range-selector button[data-days="${days}"]`)) {
+    selectRange(days);
+  } else {
+    selectRange(currentDays, currentRange);
+  }
+
+  document.getElementById('overview').hidden = currentTool !== null;
+  document.getElementById('tool-view').hidden = currentTool === null;
+}
+
+// Shareable link to a tool's drill-down view
+function toolUrl(toolName) {
+  const range = currentRange ? `from=${currentRange.from}&to=${currentRange.to}` : `days=${currentDays}`;
+  return `#tool=${encodeURIComponent(toolName)}&${range}`;
+}
+
+// Link element for a tool name cell
+function toolLink(toolName) {
+  const link = document.createElement('a');
+  link.className = 'tool-link';
+  link.href = toolUrl(toolName);
+  link.textContent = toolName;
+  // Don't also toggle expandable rows
+  link.addEventListener('click', (e) => e.stopPropagation());
+  return link;
+}
+
+// Load the current view
 async function loadData() {
+  ensureApiKey();
+  return currentTool ? loadToolView() : loadOverview();
+}
+
+// Load all overview analytics data
+async function loadOverview() {
   try {
-    const [summary, tools, retention, errors] = await Promise.all([
-      fetch(`${API_BASE}/analytics/summary?days=${currentDays}`).then(r => r.json()),
-      fetch(`${API_BASE}/analytics/tools?days=${currentDays}`).then(r => r.json()),
-      fetch(`${API_BASE}/analytics/retention?days=${currentDays}`).then(r => r.json()),
-      fetch(`${API_BASE}/analytics/errors?days=${currentDays}&limit=20`).then(r => r.json()),
+    const [summary, tools, retention, errors, latency, trends, engagement, cohorts, errorGroups, sessions, payloads] = await Promise.all([
+      apiFetch(`/analytics/summary?${rangeQuery()}&compare=previous`),
+      apiFetch(`/analytics/tools?${rangeQuery()}&compare=previous`),
+      apiFetch(`/analytics/retention?${rangeQuery()}`),
+      apiFetch(`/analytics/errors?${rangeQuery()}&limit=20`),
+      apiFetch(`/analytics/latency?${rangeQuery()}`),
+      apiFetch(`/analytics/timeseries?${rangeQuery()}&bucket=${trendBucket()}&metric=${currentTrendMetric}`),
+      apiFetch(`/analytics/engagement?${rangeQuery()}`),
+      apiFetch(`/analytics/cohorts?weeks=8`),
+      apiFetch(`/analytics/errors/groups?${rangeQuery()}&limit=20`),
+      apiFetch(`/analytics/sessions?${rangeQuery()}&limit=10`),
+      apiFetch(`/analytics/payloads?${rangeQuery()}`),
     ]);
 
     updateSummaryCards(summary);
+    updateLatencyCard(latency);
+    updateToolsTable(tools);
+    updatePayloadsTable(payloads);
     updateToolUsageChart(tools);
     updateStatusChart(tools);
+    updateLatencyChart(latency);
+    updateTrendChart(trends);
     updateRetentionChart(retention);
+    updateNewReturningChart(engagement);
+    updateCohortTable(cohorts, engagement);
+    updateSkillsPerSessionChart(sessions);
+    updateSessionFlow(sessions);
+    updateErrorGroupsTable(errorGroups);
     updateErrorsTable(errors);
   } catch (error) {
     console.error('Failed to load analytics:', error);
   }
 }
 
+// Up/down marker for a change vs the previous period (percent, or percentage points for rates)
+// An increase is good unless lowerIsBetter; no change or no previous data stays neutral
+function deltaMarker(change, unit = '%', lowerIsBetter = false) {
+  const marker = document.createElement('span');
+  marker.className = 'delta';
+  marker.title = 'Change vs the previous period';
+
+  if (change === null || change === undefined) {
+    marker.textContent = '–';
+    return marker;
+  }
+
+  marker.textContent = `${change > 0 ? '▲' : change < 0 ? '▼' : '='} ${Math.abs(change)}${unit}`;
+  if (change !== 0) marker.classList.add((change > 0) !== lowerIsBetter ? 'good' : 'bad');
+  return marker;
+}
+
+// Timeout count under a timeout rate
+function timeoutCount(count) {
+  return `${count.toLocaleString()} timeout${count === 1 ? '' : 's'}`;
+}
+
 // Update summary cards
 function updateSummaryCards(summary) {
+  const change = summary.change || {};
+
   document.getElementById('total-invocations').textContent = summary.total_invocations.toLocaleString();
   document.getElementById('unique-users').textContent = summary.unique_users.toLocaleString();
   document.getElementById('success-rate').textContent = `${summary.success_rate}%`;
+  document.getElementById('timeout-rate').textContent = `${summary.timeout_rate}%`;
+  document.getElementById('timeout-count').textContent = timeoutCount(summary.timeout_count);
   document.getElementById('avg-duration').textContent = `${summary.avg_duration_ms}ms`;
+
+  document.getElementById('total-invocations-delta').replaceChildren(deltaMarker(change.total_invocations));
+  document.getElementById('unique-users-delta').replaceChildren(deltaMarker(change.unique_users));
+  document.getElementById('success-rate-delta').replaceChildren(deltaMarker(change.success_rate, ' pp'));
+  document.getElementById('timeout-rate-delta').replaceChildren(deltaMarker(change.timeout_rate, ' pp', true));
+  document.getElementById('avg-duration-delta').replaceChildren(deltaMarker(change.avg_duration_ms, '%', true));
+}
+
+// Update per-tool table with changes vs the previous period
+function updateToolsTable(tools) {
+  const tbody = document.querySelector('#tools-table tbody');
+  tbody.innerHTML = '';
+
+  if (tools.length === 0) {
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = 5;
+    cell.textContent = 'No tool usage yet';
+    cell.style.textAlign = 'center';
+    return;
+  }
+
+  tools.forEach(tool => {
+    const change = tool.change || {};
+    const row = tbody.insertRow();
+    row.insertCell().appendChild(toolLink(tool.tool_name));
+
+    const cells = [
+      [tool.invocations.toLocaleString(), deltaMarker(change.invocations)],
+      [`${tool.avg_duration_ms}ms`, deltaMarker(change.avg_duration_ms, '%', true)],
+      [`${tool.error_rate}%`, deltaMarker(change.error_rate, ' pp', true)],
+      [`${tool.timeout_rate}%`, deltaMarker(change.timeout_rate, ' pp', true)],
+    ];
+    cells.forEach(([value, marker]) => {
+      const cell = row.insertCell();
+      cell.textContent = value;
+      // Tools without usage in the previous period are new
+      if (tool.previous === null) marker.textContent = 'new';
+      cell.appendChild(marker);
+    });
+  });
+}
+
+// Byte count as B/KB/MB
+function formatBytes(bytes) {
+  if (bytes === null) return '-';
+  if (bytes >= 1024 * 1024) return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+  if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)}KB`;
+  return `${bytes}B`;
+}
+
+// Update payload size table (largest average response first)
+function updatePayloadsTable(payloads) {
+  const tbody = document.querySelector('#payloads-table tbody');
+  tbody.innerHTML = '';
+
+  if (payloads.tools.length === 0) {
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = 6;
+    cell.textContent = 'No payload sizes recorded yet';
+    cell.style.textAlign = 'center';
+    return;
+  }
+
+  payloads.tools.forEach(tool => {
+    const row = tbody.insertRow();
+    row.insertCell().appendChild(toolLink(tool.tool_name));
+    row.insertCell().textContent = formatBytes(tool.request.avg_bytes);
+    row.insertCell().textContent = formatBytes(tool.response.avg_bytes);
+    row.insertCell().textContent = formatBytes(tool.response.p95_bytes);
+    row.insertCell().textContent = formatBytes(tool.response.max_bytes);
+    row.insertCell().textContent = tool.duration_correlation === null ? '-' : tool.duration_correlation.toFixed(2);
+  });
+}
+
+// Update latency percentile card
+function updateLatencyCard(latency) {
+  const { p50_ms, p95_ms, p99_ms, max_ms } = latency.overall;
+  const fmt = (ms) => ms === null ? '-' : `${ms}ms`;
+
+  document.getElementById('p95-duration').textContent = fmt(p95_ms);
+  document.getElementById('latency-percentiles').textContent =
+    `p50 ${fmt(p50_ms)} · p99 ${fmt(p99_ms)} · max ${fmt(max_ms)}`;
+}
+
+// Update latency distribution chart (histogram stacked per tool)
+function updateLatencyChart(latency) {
+  const ctx = document.getElementById('latency-chart').getContext('2d');
+  const colors = ['#4CAF50', '#2196F3', '#FFC107', '#FF5722', '#9C27B0', '#00BCD4'];
+
+  if (latencyChart) latencyChart.destroy();
+
+  latencyChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: latency.overall.histogram.map(b => b.label),
+      datasets: latency.tools.map((tool, i) => ({
+        label: `${tool.tool_name} (p95 ${tool.p95_ms}ms)`,
+        data: tool.histogram.map(b => b.count),
+        backgroundColor: colors[i % colors.length],
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { stacked: true },
+        y: { stacked: true, beginAtZero: true }
+      }
+    }
+  });
 }
 
 // Update tool usage chart
@@ -60,6 +346,15 @@ function updateToolUsageChart(tools) {
     options: {
       responsive: true,
       maintainAspectRatio: false,
+      // Click a bar to open the tool's drill-down view
+      onClick: (event, elements) => {
+        if (elements.length > 0) {
+          location.hash = toolUrl(tools[elements[0].index].tool_name);
+        }
+      },
+      onHover: (event, elements) => {
+        event.native.target.style.cursor = elements.length > 0 ? 'pointer' : 'default';
+      },
       scales: {
         y: {
           beginAtZero: true
@@ -99,6 +394,48 @@ function updateStatusChart(tools) {
   });
 }
 
+// Update per-tool trend chart (stacked for count metrics)
+function updateTrendChart(trends) {
+  const ctx = document.getElementById('trend-chart').getContext('2d');
+  const colors = ['#4CAF50', '#2196F3', '#FFC107', '#FF5722', '#9C27B0', '#00BCD4'];
+  const stacked = STACKABLE_METRICS.includes(trends.metric);
+
+  if (trendChart) trendChart.destroy();
+
+  trendChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: trends.buckets,
+      datasets: trends.series.map((series, i) => ({
+        label: series.tool_name,
+        data: series.values,
+        borderColor: colors[i % colors.length],
+        backgroundColor: colors[i % colors.length] + '66',
+        tension: 0.3,
+        fill: stacked,
+        spanGaps: true
+      }))
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        y: { stacked, beginAtZero: true }
+      }
+    }
+  });
+}
+
+// Reload only the trend chart (metric selector)
+async function loadTrends() {
+  try {
+    const trends = await apiFetch(`/analytics/timeseries?${rangeQuery()}&bucket=${trendBucket()}&metric=${currentTrendMetric}`);
+    updateTrendChart(trends);
+  } catch (error) {
+    console.error('Failed to load trends:', error);
+  }
+}
+
 // Update retention chart (DAU)
 function updateRetentionChart(retention) {
   const ctx = document.getElementById('retention-chart').getContext('2d');
@@ -130,6 +467,210 @@ function updateRetentionChart(retention) {
   });
 }
 
+// Update new vs returning users chart (stacked bars)
+function updateNewReturningChart(engagement) {
+  const ctx = document.getElementById('new-returning-chart').getContext('2d');
+  const days = engagement.new_vs_returning;
+
+  if (newReturningChart) newReturningChart.destroy();
+
+  newReturningChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: days.map(d => d.date),
+      datasets: [
+        { label: 'New', data: days.map(d => d.new_users), backgroundColor: '#4CAF50' },
+        { label: 'Returning', data: days.map(d => d.returning_users), backgroundColor: '#2196F3' }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { stacked: true },
+        y: { stacked: true, beginAtZero: true }
+      }
+    }
+  });
+}
+
+// Update cohort retention heatmap
+function updateCohortTable(cohorts, engagement) {
+  document.getElementById('stickiness').textContent =
+    `Stickiness (avg DAU / MAU): ${engagement.stickiness}% · MAU ${engagement.mau}`;
+
+  const maxWeeks = Math.max(0, ...cohorts.cohorts.map(c => c.retention.length));
+  const thead = document.querySelector('#cohort-table thead');
+  const tbody = document.querySelector('#cohort-table tbody');
+  thead.innerHTML = '';
+  tbody.innerHTML = '';
+
+  const header = thead.insertRow();
+  ['Cohort (week of)', 'Users', ...Array.from({ length: maxWeeks }, (_, n) => `W${n}`)].forEach(label => {
+    const th = document.createElement('th');
+    th.textContent = label;
+    header.appendChild(th);
+  });
+
+  if (cohorts.cohorts.length === 0) {
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = 2;
+    cell.textContent = 'No cohorts yet';
+    cell.style.textAlign = 'center';
+    return;
+  }
+
+  cohorts.cohorts.forEach(cohort => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = cohort.cohort_week;
+    row.insertCell().textContent = cohort.users;
+    for (let n = 0; n < maxWeeks; n++) {
+      const cell = row.insertCell();
+      cell.className = 'heat';
+      const pct = cohort.retention[n];
+      if (pct === undefined) continue;
+      cell.textContent = `${Math.round(pct)}%`;
+      cell.style.background = `rgba(26, 115, 232, ${(pct / 100).toFixed(2)})`;
+      cell.style.color = pct > 50 ? 'white' : '#333';
+    }
+  });
+}
+
+// Update skills per session chart (last bucket is "N or more")
+function updateSkillsPerSessionChart(sessions) {
+  const ctx = document.getElementById('skills-per-session-chart').getContext('2d');
+  const buckets = sessions.skills_per_session;
+
+  if (skillsPerSessionChart) skillsPerSessionChart.destroy();
+
+  skillsPerSessionChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: buckets.map((b, i) => i === buckets.length - 1 && b.skills >= 10 ? `${b.skills}+` : String(b.skills)),
+      datasets: [{
+        label: 'Sessions',
+        data: buckets.map(b => b.sessions),
+        backgroundColor: 'rgba(156, 39, 176, 0.6)',
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        x: { title: { display: true, text: 'Distinct skills used' } },
+        y: { beginAtZero: true }
+      }
+    }
+  });
+}
+
+// Render a ranked list with proportional bars
+function renderFlowList(id, items, emptyText = 'No sessions yet') {
+  const list = document.getElementById(id);
+  list.innerHTML = '';
+
+  if (items.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'flow-empty';
+    empty.textContent = emptyText;
+    list.appendChild(empty);
+    return;
+  }
+
+  const max = Math.max(...items.map(item => item.value));
+  items.forEach(item => {
+    const li = document.createElement('li');
+    li.innerHTML = `
+      <div class="flow-label"><span></span><span class="flow-value"></span></div>
+      <div class="flow-bar"><div></div></div>
+    `;
+    li.querySelector('span').textContent = item.label;
+    li.querySelector('.flow-value').textContent = item.detail;
+    li.querySelector('.flow-bar div').style.width = `${(item.value / max * 100).toFixed(1)}%`;
+    list.appendChild(li);
+  });
+}
+
+// Update session flow view: entry skills -> transitions -> abandon skills
+function updateSessionFlow(sessions) {
+  const fmtSeconds = (s) => s === null ? '-' : s < 60 ? `${s}s` : `${Math.round(s / 60)}m`;
+
+  document.getElementById('session-summary').textContent =
+    `${sessions.sessions.toLocaleString()} sessions · median length ${fmtSeconds(sessions.p50_duration_seconds)}` +
+    ` · ${sessions.avg_skills_per_session} skills/session`;
+
+  renderFlowList('first-skills', sessions.first_skills.map(s => ({
+    label: s.tool_name,
+    value: s.sessions,
+    detail: s.sessions.toLocaleString(),
+  })));
+
+  renderFlowList('skill-transitions', sessions.transitions.map(t => ({
+    label: `${t.from} → ${t.to}`,
+    value: t.count,
+    detail: `${t.count.toLocaleString()} (${Math.round(t.share)}%)`,
+  })));
+
+  renderFlowList('abandon-skills', sessions.abandon_skills.map(s => ({
+    label: s.tool_name,
+    value: s.sessions,
+    detail: s.ended_with_error ? `${s.sessions.toLocaleString()} (${s.ended_with_error} errors)` : s.sessions.toLocaleString(),
+  })));
+}
+
+// Update error groups table (click a row to expand trend and samples)
+function updateErrorGroupsTable(errorGroups) {
+  const tbody = document.querySelector('#error-groups-table tbody');
+  tbody.innerHTML = '';
+
+  if (errorGroups.count === 0) {
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = 6;
+    cell.textContent = 'No errors found';
+    cell.style.textAlign = 'center';
+    return;
+  }
+
+  errorGroups.groups.forEach(group => {
+    const row = tbody.insertRow();
+    row.className = 'error-group-row';
+    row.insertCell().appendChild(toolLink(group.tool_name));
+    row.insertCell().textContent = group.error_type || 'unknown';
+    row.insertCell().textContent = group.pattern || '-';
+    row.insertCell().textContent = group.count.toLocaleString();
+    row.insertCell().textContent = group.affected_users.toLocaleString();
+    row.insertCell().textContent = new Date(group.last_seen).toLocaleString();
+
+    const details = tbody.insertRow();
+    details.className = 'error-group-details';
+    details.hidden = true;
+    const cell = details.insertCell();
+    cell.colSpan = 6;
+
+    const trend = errorGroups.trend_buckets
+      .map((day, i) => `${day.slice(5)}: ${group.trend[i]}`)
+      .join(' · ');
+    cell.innerHTML = `
+      <div><strong>Fingerprint:</strong> <code></code></div>
+      <div><strong>First seen:</strong> ${new Date(group.first_seen).toLocaleString()}</div>
+      <div><strong>Daily trend:</strong> ${trend}</div>
+      <div><strong>Samples:</strong><ul></ul></div>
+    `;
+    cell.querySelector('code').textContent = group.fingerprint;
+    const list = cell.querySelector('ul');
+    group.samples.forEach(sample => {
+      const item = document.createElement('li');
+      item.textContent = sample;
+      list.appendChild(item);
+    });
+
+    row.addEventListener('click', () => {
+      details.hidden = !details.hidden;
+      row.classList.toggle('expanded', !details.hidden);
+    });
+  });
+}
+
 // Update errors table
 function updateErrorsTable(errors) {
   const tbody = document.querySelector('#errors-table tbody');
@@ -147,22 +688,350 @@ function updateErrorsTable(errors) {
   errors.errors.forEach(error => {
     const row = tbody.insertRow();
     row.insertCell().textContent = new Date(error.timestamp).toLocaleString();
-    row.insertCell().textContent = error.tool_name;
+    row.insertCell().appendChild(toolLink(error.tool_name));
     row.insertCell().textContent = error.error_type || 'unknown';
     row.insertCell().textContent = error.error_message?.substring(0, 100) || '-';
   });
 }
 
+// Load the drill-down view for currentTool
+async function loadToolView() {
+  const tool = encodeURIComponent(currentTool);
+  document.getElementById('tool-name').textContent = currentTool;
+
+  try {
+    const [details, latency, invocations, errorCounts, errors, payloads, versions, comparison] = await Promise.all([
+      apiFetch(`/analytics/tools/detail?tool=${tool}&${rangeQuery()}`),
+      apiFetch(`/analytics/latency?tool=${tool}&${rangeQuery()}`),
+      apiFetch(`/analytics/timeseries?tool=${tool}&${rangeQuery()}&bucket=${trendBucket()}&metric=invocations`),
+      apiFetch(`/analytics/timeseries?tool=${tool}&${rangeQuery()}&bucket=${trendBucket()}&metric=errors`),
+      apiFetch(`/analytics/errors?tool=${tool}&${rangeQuery()}&limit=20`),
+      apiFetch(`/analytics/payloads?tool=${tool}&${rangeQuery()}`),
+      apiFetch(`/analytics/versions?tool=${tool}&${rangeQuery()}`),
+      apiFetch(`/analytics/versions/compare?tool=${tool}&${rangeQuery()}`),
+    ]);
+
+    updateToolSummary(details, latency);
+    updateToolTrendChart(invocations, errorCounts);
+    updateToolLatencyChart(latency);
+    updateToolResultCountChart(details.result_count);
+    updateToolPayloadChart(payloads.overall);
+    updateToolVersions(versions.versions, comparison);
+    updateToolParams(details.params);
+    updateToolErrorsTable(errors);
+  } catch (error) {
+    console.error('Failed to load tool analytics:', error);
+  }
+}
+
+// Update drill-down summary cards
+function updateToolSummary(details, latency) {
+  const { p50_ms, p95_ms, p99_ms, max_ms } = latency.overall;
+  const fmt = (ms) => ms === null ? '-' : `${ms}ms`;
+
+  document.getElementById('tool-invocations').textContent = details.invocations.toLocaleString();
+  document.getElementById('tool-unique-users').textContent = details.unique_users.toLocaleString();
+  document.getElementById('tool-error-rate').textContent = `${details.error_rate}%`;
+  document.getElementById('tool-timeout-rate').textContent = `${details.timeout_rate}%`;
+  document.getElementById('tool-timeout-count').textContent = timeoutCount(details.timeout_count);
+  document.getElementById('tool-avg-duration').textContent = `${details.avg_duration_ms}ms`;
+  document.getElementById('tool-p95-duration').textContent = fmt(p95_ms);
+  document.getElementById('tool-latency-percentiles').textContent =
+    `p50 ${fmt(p50_ms)} · p99 ${fmt(p99_ms)} · max ${fmt(max_ms)}`;
+}
+
+// Update drill-down invocation/error trend chart
+function updateToolTrendChart(invocations, errorCounts) {
+  const ctx = document.getElementById('tool-trend-chart').getContext('2d');
+
+  if (toolTrendChart) toolTrendChart.destroy();
+
+  toolTrendChart = new Chart(ctx, {
+    type: 'line',
+    data: {
+      labels: invocations.buckets,
+      datasets: [
+        {
+          label: 'Invocations',
+          data: invocations.total,
+          borderColor: '#2196F3',
+          backgroundColor: '#2196F366',
+          tension: 0.3,
+          fill: true
+        },
+        {
+          label: 'Errors',
+          data: errorCounts.total,
+          borderColor: '#FF5722',
+          backgroundColor: '#FF572266',
+          tension: 0.3,
+          fill: true
+        }
+      ]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      scales: {
+        y: { beginAtZero: true }
+      }
+    }
+  });
+}
+
+// Update drill-down latency histogram
+function updateToolLatencyChart(latency) {
+  const ctx = document.getElementById('tool-latency-chart').getContext('2d');
+
+  if (toolLatencyChart) toolLatencyChart.destroy();
+
+  toolLatencyChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: latency.overall.histogram.map(b => b.label),
+      datasets: [{
+        label: 'Invocations',
+        data: latency.overall.histogram.map(b => b.count),
+        backgroundColor: '#4CAF50',
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { display: false } },
+      scales: {
+        y: { beginAtZero: true }
+      }
+    }
+  });
+}
+
+// Update drill-down result_count histogram
+function updateToolResultCountChart(resultCount) {
+  const ctx = document.getElementById('tool-result-count-chart').getContext('2d');
+  const fmt = (value) => value === null ? '-' : value.toLocaleString();
+
+  document.getElementById('tool-result-summary').textContent =
+    `avg ${fmt(resultCount.avg)} · p50 ${fmt(resultCount.p50)} · p90 ${fmt(resultCount.p90)} · max ${fmt(resultCount.max)}`;
+
+  if (toolResultCountChart) toolResultCountChart.destroy();
+
+  toolResultCountChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: resultCount.histogram.map(b => b.label),
+      datasets: [{
+        label: 'Invocations',
+        data: resultCount.histogram.map(b => b.count),
+        backgroundColor: '#00BCD4',
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: { legend: { display: false } },
+      scales: {
+        y: { beginAtZero: true }
+      }
+    }
+  });
+}
+
+// Update drill-down average duration per response size bucket
+function updateToolPayloadChart(payload) {
+  const ctx = document.getElementById('tool-payload-chart').getContext('2d');
+  const r = payload.duration_correlation;
+
+  document.getElementById('tool-payload-summary').textContent =
+    `request avg ${formatBytes(payload.request.avg_bytes)} · response avg ${formatBytes(payload.response.avg_bytes)}` +
+    ` · p95 ${formatBytes(payload.response.p95_bytes)} · r ${r === null ? '-' : r.toFixed(2)}`;
+
+  if (toolPayloadChart) toolPayloadChart.destroy();
+
+  toolPayloadChart = new Chart(ctx, {
+    type: 'bar',
+    data: {
+      labels: payload.duration_by_response_size.map(b => b.label),
+      datasets: [{
+        label: 'Avg duration (ms)',
+        data: payload.duration_by_response_size.map(b => b.avg_duration_ms),
+        backgroundColor: '#9C27B0',
+      }]
+    },
+    options: {
+      responsive: true,
+      maintainAspectRatio: false,
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            afterLabel: (item) => `${payload.duration_by_response_size[item.dataIndex].count.toLocaleString()} invocations`
+          }
+        }
+      },
+      scales: {
+        y: { beginAtZero: true }
+      }
+    }
+  });
+}
+
+// Update drill-down version table, and the newest version vs the one before it
+function updateToolVersions(versions, comparison) {
+  const compare = document.getElementById('tool-version-compare');
+  const { base, target, change } = comparison;
+  if (change) {
+    compare.replaceChildren(
+      `${target.tool_version} vs ${base.tool_version}: error rate `, deltaMarker(change.error_rate, ' pp', true),
+      ' · p95 ', deltaMarker(change.p95_ms, '%', true),
+      ' · invocations ', deltaMarker(change.invocations));
+    compare.querySelectorAll('.delta').forEach(marker => { marker.title = `Change vs ${base.tool_version}`; });
+  } else {
+    compare.textContent = 'Send tool_version to compare releases';
+  }
+
+  const tbody = document.querySelector('#tool-versions-table tbody');
+  tbody.innerHTML = '';
+
+  if (versions.length === 0) {
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = 6;
+    cell.textContent = 'No usage yet';
+    cell.style.textAlign = 'center';
+    return;
+  }
+
+  versions.forEach(version => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = version.tool_version ?? '(unknown)';
+    row.insertCell().textContent = version.invocations.toLocaleString();
+    row.insertCell().textContent = version.unique_users.toLocaleString();
+    row.insertCell().textContent = `${version.error_rate}%`;
+    row.insertCell().textContent = version.p95_ms === null ? '-' : `${version.p95_ms}ms`;
+    row.insertCell().textContent = new Date(version.first_seen).toLocaleString();
+  });
+}
+
+// Update drill-down parameter key breakdowns
+function updateToolParams(params) {
+  document.getElementById('tool-params-summary').textContent =
+    `${params.events.toLocaleString()} invocations with recorded parameters`;
+
+  renderFlowList('tool-param-keys', params.keys.map(k => ({
+    label: k.key,
+    value: k.events,
+    detail: `${k.events.toLocaleString()} (${Math.round(k.share)}%)`,
+  })), 'No parameters recorded');
+
+  renderFlowList('tool-param-sets', params.key_sets.map(set => ({
+    label: set.keys.length > 0 ? set.keys.join(', ') : '(none)',
+    value: set.events,
+    detail: `${set.events.toLocaleString()} (${Math.round(set.share)}%)`,
+  })), 'No parameters recorded');
+}
+
+// Update drill-down errors table
+function updateToolErrorsTable(errors) {
+  const tbody = document.querySelector('#tool-errors-table tbody');
+  tbody.innerHTML = '';
+
+  if (errors.count === 0) {
+    const cell = tbody.insertRow().insertCell();
+    cell.colSpan = 4;
+    cell.textContent = 'No errors found';
+    cell.style.textAlign = 'center';
+    return;
+  }
+
+  errors.errors.forEach(error => {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = new Date(error.timestamp).toLocaleString();
+    row.insertCell().textContent = error.error_type || 'unknown';
+    row.insertCell().textContent = error.error_message?.substring(0, 100) || '-';
+    row.insertCell().textContent = error.duration_ms === null ? '-' : `${error.duration_ms}ms`;
+  });
+}
+
+// Download raw events for the selected range (and drill-down tool), following export pages until the last one
+async function exportEvents() {
+  const button = document.getElementById('export-button');
+  const format = document.getElementById('export-format').value;
+  // Pinned, so later pages don't move with the clock
+  const range = `${rangeQuery(true)}${currentTool ? `&tool=${encodeURIComponent(currentTool)}` : ''}`;
+
+  ensureApiKey();
+  button.disabled = true;
+
+  try {
+    const parts = [];
+    let filename = `events.${format}`;
+    let cursor = null;
+
+    do {
+      const response = await apiRequest(`/analytics/export?format=${format}&${range}${cursor ? `&cursor=${cursor}` : ''}`);
+      if (!response.ok) {
+        throw new Error((await response.json()).error);
+      }
+
+      let text = await response.text();
+      // Every CSV page starts with the header row; keep only the first
+      if (format === 'csv' && parts.length > 0) {
+        text = text.slice(text.indexOf('\r\n') + 2);
+      }
+      parts.push(text);
+
+      filename = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || filename;
+      cursor = response.headers.get('X-Next-Cursor');
+    } while (cursor);
+
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob(parts, { type: format === 'csv' ? 'text/csv' : 'application/x-ndjson' }));
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  } catch (error) {
+    console.error('Failed to export events:', error);
+    alert(`Export failed: ${error.message}`);
+  } finally {
+    button.disabled = false;
+  }
+}
+
 // Event listeners
 function setupEventListeners() {
   document.querySelectorAll('.time-range-selector button').forEach(btn => {
     btn.addEventListener('click', (e) => {
-      document.querySelector('.time-range-selector .active')?.classList.remove('active');
-      e.target.classList.add('active');
-      currentDays = parseInt(e.target.dataset.days);
+      selectRange(parseInt(e.target.dataset.days));
+      // Keep the shared drill-down URL in sync with the range
+      if (currentTool) history.replaceState(null, '', toolUrl(currentTool));
       loadData();
     });
   });
+
+  document.getElementById('range-apply').addEventListener('click', () => {
+    const from = document.getElementById('range-from').value;
+    const to = document.getElementById('range-to').value;
+    if (!from || !to || from > to) {
+      alert('Pick a start date on or before the end date');
+      return;
+    }
+    selectRange(currentDays, { from, to });
+    if (currentTool) history.replaceState(null, '', toolUrl(currentTool));
+    loadData();
+  });
+
+  window.addEventListener('hashchange', () => {
+    readRoute();
+    window.scrollTo(0, 0);
+    loadData();
+  });
+
+  document.getElementById('trend-metric').addEventListener('change', (e) => {
+    currentTrendMetric = e.target.value;
+    loadTrends();
+  });
+
+  document.getElementById('export-button').addEventListener('click', exportEvents);
 }
 
 // Initialize on load
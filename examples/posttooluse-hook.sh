@@ -4,6 +4,11 @@
 # This script receives JSON input from Claude Code after every tool execution.
 # Copy this to your project's .claude/hooks/ directory and customize.
 #
+# For real durations, also install pretooluse-hook.sh as a PreToolUse hook,
+# and copy track-timing.sh (shared by both hooks) next to them. The PreToolUse
+# hook records a start time per tool_use_id that this script picks up.
+# Without them, duration_ms is sent as null.
+#
 # Input JSON structure:
 # {
 #   "session_id": "abc123",
@@ -17,8 +22,11 @@
 # Read hook input from stdin
 INPUT=$(cat)
 
-# Extract tool name from the JSON input
+# Extract tool name, call ID and session ID from the JSON input
+# (the session ID is hashed server-side and used for session analytics)
 TOOL_NAME=$(echo "$INPUT" | jq -r '.tool_name // empty')
+TOOL_USE_ID=$(echo "$INPUT" | jq -r '.tool_use_id // empty')
+SESSION_ID=$(echo "$INPUT" | jq -r '.session_id // empty')
 
 # Exit early if no tool name
 if [ -z "$TOOL_NAME" ]; then
@@ -61,19 +69,139 @@ TOOL_CATEGORY="your_category"
 # Set in ~/.zshrc: export YOUR_API_KEY="sk-..."
 API_KEY="${YOUR_API_KEY}"
 
+# User identifier, hashed server-side (the server falls back to your IP without it).
+# Only sent when TRACK_SKILLS_USER_ID is set; set it only if the Worker has
+# USER_HASH_SECRET, since an unkeyed hash of a name like user@host is reversible.
+USER_ID=$(printf '%s' "${TRACK_SKILLS_USER_ID:-}" | tr -d '\r\n')
+
+# Version of the tools this hook tracks (e.g. your MCP server's release), sent
+# as tool_version to compare releases; leave empty if unknown.
+TOOL_VERSION="${TRACK_SKILLS_TOOL_VERSION:-}"
+
+# Version of the client sending the event, sent as client_version
+CLIENT_VERSION="${TRACK_SKILLS_CLIENT_VERSION:-track-skills-hook/1.0.0}"
+
+# Offline spool (copy client/track-spool.sh next to this hook). Events that can't
+# be sent are queued there and flushed after the next successful send.
+SPOOL="${TRACK_SKILLS_SPOOL:-$(dirname "$0")/track-spool.sh}"
+
+# Shared with pretooluse-hook.sh: now_ms, start_file and STATE_DIR (TRACK_SKILLS_STATE_DIR)
+TIMING_LIB="${TRACK_SKILLS_TIMING_LIB:-$(dirname "$0")/track-timing.sh}"
+
+# ============================================================================
+# Compute real duration from the PreToolUse start record
+# ============================================================================
+
+DURATION_MS="null"
+if [ -n "$TOOL_USE_ID" ] && . "$TIMING_LIB" 2>/dev/null; then
+  START_FILE=$(start_file "$TOOL_USE_ID")
+  if [ -n "$START_FILE" ] && [ -f "$START_FILE" ]; then
+    START_MS=$(cat "$START_FILE" 2>/dev/null)
+    rm -f "$START_FILE"
+    if [[ "$START_MS" =~ ^[0-9]+$ ]]; then
+      DURATION_MS=$(( $(now_ms) - START_MS ))
+    fi
+  fi
+fi
+
+# ============================================================================
+# Detect errors in tool_response
+# ============================================================================
+# MCP tools report failures as {"isError": true, "content": [{"text": "..."}]};
+# other tools may return {"error": "..."} or {"error": {"type": ..., "message": ...}}.
+
+STATUS=$(echo "$INPUT" | jq -r '
+  .tool_response as $r
+  | if ($r | type) == "object"
+      and (($r.isError // $r.is_error // false) == true or ($r.error // null) != null)
+    then "error" else "success" end')
+
+ERROR_TYPE=""
+ERROR_MESSAGE=""
+if [ "$STATUS" = "error" ]; then
+  ERROR_TYPE=$(echo "$INPUT" | jq -r '
+    .tool_response.error as $e
+    | if ($e | type) == "object" then ($e.type // $e.name // $e.code // "tool_error")
+      else "tool_error" end | tostring')
+  ERROR_MESSAGE=$(echo "$INPUT" | jq -r '
+    .tool_response as $r
+    | if ($r.error | type) == "object" then ($r.error.message // ($r.error | tostring))
+      elif ($r.error | type) == "string" then $r.error
+      else ([$r.content[]? | select(.type == "text") | .text] | join(" "))
+      end | .[0:500]')
+fi
+
+# ============================================================================
+# Measure payload sizes
+# ============================================================================
+# Bytes of tool_input and tool_response as compact JSON, i.e. what was sent to
+# the tool and what came back into the model's context (null if missing).
+
+payload_size() {
+  local size
+  size=$(echo "$INPUT" | jq -j "$1 | if . == null then \"\" else tojson end" | LC_ALL=C wc -c | tr -d ' ')
+  if [[ "$size" =~ ^[0-9]+$ ]] && [ "$size" -gt 0 ]; then echo "$size"; else echo null; fi
+}
+
+REQUEST_SIZE_BYTES=$(payload_size '.tool_input')
+RESPONSE_SIZE_BYTES=$(payload_size '.tool_response')
+
 # ============================================================================
 # Send tracking event
 # ============================================================================
 # This uses the standard /api/track endpoint from track-skills.
 # The request is:
+# - Built with jq so names and messages are JSON-escaped
+# - Stamped with the current time, so a spooled event keeps it when sent later
 # - Run in background (&) to not block tool execution
-# - Fail-silent (2>/dev/null) to not break tools if tracking fails
+# - Fail-silent (output discarded) to not break tools if tracking fails
+# - Spooled on network errors, 5xx and 429 (other failures, e.g. an invalid event, are not retried)
+# - tool_use_id is sent as event_id, so a resent event is stored only once
+
+PAYLOAD=$(jq -nc \
+  --arg tool_name "$SKILL_NAME" \
+  --arg tool_category "$TOOL_CATEGORY" \
+  --argjson duration_ms "$DURATION_MS" \
+  --arg status "$STATUS" \
+  --arg error_type "$ERROR_TYPE" \
+  --arg error_message "$ERROR_MESSAGE" \
+  --arg session_id "$SESSION_ID" \
+  --arg event_id "$TOOL_USE_ID" \
+  --argjson request_size_bytes "$REQUEST_SIZE_BYTES" \
+  --argjson response_size_bytes "$RESPONSE_SIZE_BYTES" \
+  --arg tool_version "$TOOL_VERSION" \
+  --arg client_version "$CLIENT_VERSION" \
+  --arg timestamp "$(date -u +%Y-%m-%dT%H:%M:%SZ)" \
+  '{tool_name: $tool_name, tool_category: $tool_category, duration_ms: $duration_ms, status: $status,
+    error_type: (if $error_type == "" then null else $error_type end),
+    error_message: (if $error_message == "" then null else $error_message end),
+    session_id: (if $session_id == "" then null else $session_id end),
+    event_id: (if $event_id == "" then null else $event_id end),
+    request_size_bytes: $request_size_bytes, response_size_bytes: $response_size_bytes,
+    tool_version: (if $tool_version == "" then null else $tool_version end),
+    client_version: (if $client_version == "" then null else $client_version end),
+    timestamp: $timestamp}')
+
+USER_HEADER=()
+if [ -n "$USER_ID" ]; then
+  USER_HEADER=(-H "X-User-Id: $USER_ID")
+fi
+
+(
+  HTTP_CODE=$(curl -s -o /dev/null -w '%{http_code}' --max-time 10 -X POST "$TRACKING_ENDPOINT" \
+    -H "Content-Type: application/json" \
+    -H "Authorization: Bearer ${API_KEY}" \
+    "${USER_HEADER[@]}" \
+    -d "$PAYLOAD")
 
-curl -X POST "$TRACKING_ENDPOINT" \
-  -H "Content-Type: application/json" \
-  -H "Authorization: Bearer ${API_KEY}" \
-  -d "{\"tool_name\":\"$SKILL_NAME\",\"duration_ms\":100,\"status\":\"success\",\"tool_category\":\"$TOOL_CATEGORY\"}" \
-  2>/dev/null &
+  if [ -x "$SPOOL" ]; then
+    if [ "$HTTP_CODE" = "000" ] || [ "$HTTP_CODE" = "429" ] || [[ "$HTTP_CODE" == 5* ]]; then
+      "$SPOOL" add "$TRACKING_ENDPOINT" "$USER_ID" "$PAYLOAD"
+    elif [[ "$HTTP_CODE" == 2* ]]; then
+      TRACK_SKILLS_API_KEY="$API_KEY" "$SPOOL" flush
+    fi
+  fi
+) >/dev/null 2>&1 &
 
 # ============================================================================
 # Exit successfully
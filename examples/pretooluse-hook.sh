@@ -0,0 +1,67 @@
+#!/bin/bash
+# PreToolUse hook template for measuring real skill durations
+#
+# Companion to posttooluse-hook.sh. Records the start time of every tracked
+# tool call, keyed by tool_use_id. The PostToolUse hook reads this record to
+# compute the actual duration, then deletes it.
+# Copy this to your project's .claude/hooks/ directory next to track-skill.sh,
+# together with track-timing.sh (shared helpers, sourced by both hooks).
+#
+# Input JSON structure:
+# {
+#   "session_id": "abc123",
+#   "hook_event_name": "PreToolUse",
+#   "tool_name": "mcp__server-id__skill_name",
+#   "tool_input": { ... },
+#   "tool_use_id": "toolu_..."
+# }
+
+# Read hook input from stdin
+INPUT=$(cat)
+
+TOOL_NAME=$(echo "$INPUT" | jq -r '.tool_name // empty')
+TOOL_USE_ID=$(echo "$INPUT" | jq -r '.tool_use_id // empty')
+
+# Exit early if we can't pair this call with its PostToolUse event
+if [ -z "$TOOL_NAME" ] || [ -z "$TOOL_USE_ID" ]; then
+  exit 0
+fi
+
+# ============================================================================
+# CUSTOMIZE: Filter for your MCP tools
+# ============================================================================
+# Keep this in sync with the filter in track-skill.sh (posttooluse-hook.sh).
+
+if [[ ! "$TOOL_NAME" =~ ^mcp__ ]]; then
+  exit 0
+fi
+
+# ============================================================================
+# CUSTOMIZE: Configuration
+# ============================================================================
+
+# Shared helpers: now_ms, start_file and STATE_DIR (TRACK_SKILLS_STATE_DIR)
+TIMING_LIB="${TRACK_SKILLS_TIMING_LIB:-$(dirname "$0")/track-timing.sh}"
+. "$TIMING_LIB" 2>/dev/null || exit 0
+
+# Start records older than this are removed (tool never finished, hook timed out, etc.)
+STALE_MINUTES=60
+
+# ============================================================================
+# Record start time
+# ============================================================================
+
+# Skip timing if the ID has no characters usable in a file name
+START_FILE=$(start_file "$TOOL_USE_ID")
+if [ -z "$START_FILE" ]; then
+  exit 0
+fi
+
+mkdir -p "$STATE_DIR" 2>/dev/null || exit 0
+now_ms > "$START_FILE" 2>/dev/null
+
+# Clean up stale start records so they don't pile up
+find "$STATE_DIR" -type f -mmin +"$STALE_MINUTES" -delete 2>/dev/null
+
+# Always exit 0 so the tool call is never blocked
+exit 0
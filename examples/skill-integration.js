@@ -67,7 +67,7 @@ export async function queryData(params, context) {
 // When queryData() is called, the wrapper automatically logs:
 // {
 //   tool_name: 'query_data',
-//   tool_category: 'default',
+//   tool_category: 'cms_ontology',
 //   duration_ms: 125,              // How long it took
 //   status: 'success',              // Or 'error' if it failed
 //   metadata: {
@@ -0,0 +1,31 @@
+#!/bin/bash
+# Timing helpers shared by pretooluse-hook.sh and posttooluse-hook.sh
+#
+# Both hooks source this file; copy it next to them
+# (e.g. .claude/hooks/track-timing.sh, or point TRACK_SKILLS_TIMING_LIB at it).
+
+# Start records live here, one file per tool_use_id
+STATE_DIR="${TRACK_SKILLS_STATE_DIR:-${TMPDIR:-/tmp}/track-skills}/pending"
+
+# Milliseconds since epoch (GNU date, then perl for macOS, then seconds)
+now_ms() {
+  local ms
+  ms=$(date +%s%3N 2>/dev/null)
+  if [[ "$ms" =~ ^[0-9]+$ ]]; then
+    echo "$ms"
+  elif command -v perl >/dev/null 2>&1; then
+    perl -MTime::HiRes=time -e 'printf("%d\n", time() * 1000)'
+  else
+    echo "$(( $(date +%s) * 1000 ))"
+  fi
+}
+
+# Start record path for a tool_use_id, or nothing if the ID has no usable characters
+# (the ID becomes a file name, so only safe characters are kept)
+start_file() {
+  local safe_id
+  safe_id=$(printf '%s' "$1" | tr -cd 'A-Za-z0-9_-')
+  if [ -n "$safe_id" ]; then
+    echo "$STATE_DIR/$safe_id"
+  fi
+}
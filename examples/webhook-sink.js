@@ -0,0 +1,34 @@
+#!/usr/bin/env node
+/**
+ * Local Webhook Sink
+ *
+ * Prints every request it receives, for testing alert delivery without Slack
+ * or another real endpoint.
+ *
+ * Usage:
+ *   node examples/webhook-sink.js [port]     (default: 8788)
+ *
+ * Then point a rule at it (webhook_url: "http://localhost:8788/alerts") and
+ * POST /admin/alerts/rules/:id/test or /admin/alerts/evaluate on `wrangler dev`.
+ */
+
+import { createServer } from 'node:http';
+
+const port = Number(process.argv[2] || process.env.PORT || 8788);
+
+createServer((request, response) => {
+  let body = '';
+  request.on('data', chunk => { body += chunk; });
+  request.on('end', () => {
+    console.log(`[${new Date().toISOString()}] ${request.method} ${request.url}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+    response.writeHead(204);
+    response.end();
+  });
+}).listen(port, () => {
+  console.log(`Webhook sink listening on http://localhost:${port}/`);
+});
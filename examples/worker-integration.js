@@ -7,10 +7,201 @@
  * The /api/track endpoint receives tracking data from:
  * - JavaScript skills (via trackSkillExecution wrapper)
  * - Bash scripts (via skills/_track.sh helper)
+ *
+ * The /api/track/batch endpoint receives arrays of events from
+ * buffered JavaScript clients (via createEventBuffer).
+ *
+ * The /v1/traces endpoint receives OpenTelemetry trace exports (OTLP/HTTP
+ * JSON) and stores each span as an event (see server/otlp.js).
+ *
+ * Ingest is rate limited per API key and user hash (RATE_LIMITS), successful
+ * events are sampled per tool (SAMPLE_RATES), and events whose event_id is
+ * already stored are dropped as duplicates.
+ *
+ * Every route requires an API key with the matching scope:
+ * - /api/track*, /v1/traces -> ingest (skills, bash helper, hooks, OTLP exporters)
+ * - /analytics/*             -> read   (dashboard)
+ * - /admin/*                 -> admin  (key management)
+ *
+ * The scheduled handler (cron trigger in wrangler.toml) evaluates alert rules
+ * on every run, and once an hour rolls raw events up into hourly/daily tables
+ * and purges raw events past RAW_RETENTION_DAYS.
+ */
+
+import {
+  hashUserId,
+  hashSessionId,
+  userHashOptions,
+  extractUserIdentifier,
+  identifierSources,
+  validateEvent,
+  eventTimestamp,
+  DEFAULT_TOOL_CATEGORY
+} from '../server/tracking-utils.js';
+import { createRedactor, redactionConfig } from '../server/redaction.js';
+import { checkRateLimits, purgeRateLimits } from '../server/rate-limits.js';
+import { sampleRates, sampleEvent } from '../server/sampling.js';
+import { otlpConfig, spansToEvents } from '../server/otlp.js';
+import { DEFAULT_PROJECT, verifyApiKey, resolveProject, createApiKey, listApiKeys, revokeApiKey } from '../server/auth.js';
+import {
+  getSummary,
+  getToolStats,
+  getToolDetails,
+  getRetentionStats,
+  getRecentErrors,
+  getLatencyStats,
+  getPayloadStats,
+  getToolVersions,
+  compareToolVersions,
+  getTimeSeries,
+  getCohortRetention,
+  getEngagementStats,
+  getToolRetention,
+  getErrorGroups,
+  getSessionStats,
+} from '../analytics/analytics.js';
+import { parseExportParams, exportEvents } from '../analytics/export.js';
+import { parseRangeParams } from '../analytics/range.js';
+import { runMaintenance, lateEventStatement } from '../server/rollups.js';
+import {
+  createAlertRule,
+  listAlertRules,
+  getAlertRule,
+  deleteAlertRule,
+  getAlertHistory,
+  evaluateAlertRules,
+  sendTestAlert,
+} from '../server/alerts.js';
+
+// Maximum number of events accepted by /api/track/batch in one request
+const MAX_BATCH_SIZE = 100;
+
+// Maximum number of spans accepted by /v1/traces in one request
+// (the OpenTelemetry SDKs' default export batch size)
+const MAX_OTLP_SPANS = 512;
+
+/**
+ * Scope required to call a route
+ * @param {string} pathname - Request path
+ * @returns {string|null} Required scope, or null for public routes
  */
+function requiredScope(pathname) {
+  if (pathname.startsWith('/api/track') || pathname === '/v1/traces') return 'ingest';
+  if (pathname.startsWith('/analytics/')) return 'read';
+  if (pathname.startsWith('/admin/')) return 'admin';
+  return null;
+}
 
-import { hashUserId } from '../server/tracking-utils.js';
-import { getSummary, getToolStats, getRetentionStats, getRecentErrors } from '../analytics/analytics.js';
+/**
+ * Build the D1 INSERT statement for a single tracking event
+ * Does nothing (changes: 0) if the project already has an event with this event_id.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {string} projectId - Project of the ingesting API key
+ * @param {string} userIdHash - Hashed user identifier
+ * @param {string|null} sessionIdHash - Hashed session identifier
+ * @param {Object} event - Event payload as sent to /api/track, after redaction
+ * @param {string} timestamp - Stored timestamp (see eventTimestamp())
+ * @param {number} sampleRate - Sample rate the event was kept with (see sampleEvent())
+ * @returns {D1PreparedStatement} Bound statement (not yet executed)
+ */
+function insertEventStatement(env, projectId, userIdHash, sessionIdHash, event, timestamp, sampleRate) {
+  return env.DB.prepare(`
+    INSERT INTO skill_usage_events
+    (timestamp, project_id, user_id_hash, session_id_hash, tool_name, tool_category, duration_ms, status, error_type, error_message, metadata, redacted,
+     request_size_bytes, response_size_bytes, event_id, sample_rate, tool_version, client_version)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (project_id, event_id) DO NOTHING
+  `).bind(
+    timestamp,
+    projectId,
+    userIdHash,
+    sessionIdHash,
+    event.tool_name,
+    event.tool_category || DEFAULT_TOOL_CATEGORY,
+    event.duration_ms ?? null,
+    event.status,
+    event.error_type || null,
+    event.error_message || null,
+    typeof event.metadata === 'object' && event.metadata !== null
+      ? JSON.stringify(event.metadata)
+      : event.metadata || null,
+    event.redacted ? 1 : 0,
+    event.request_size_bytes ?? null,
+    event.response_size_bytes ?? null,
+    event.event_id || null,
+    sampleRate,
+    event.tool_version || null,
+    event.client_version || null
+  );
+}
+
+/**
+ * Store valid events: rate limits, then sampling, then redaction and insert
+ * Shared by /api/track, /api/track/batch and /v1/traces. Over a limit,
+ * nothing is stored; sampled-out events aren't stored either.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {Request} request - Ingest request (mcp-session-id header)
+ * @param {Object} options - What to store
+ * @param {number|null} options.keyId - API key ID (per-key limit)
+ * @param {string} options.projectId - Project of the ingesting API key
+ * @param {Object[]} options.events - Valid events as { event, userIdentifier }
+ * @param {string|null} options.limitUser - Identifier for the per-user limit (null: per-key only)
+ * @param {Date} options.now - Receive time
+ * @returns {Promise<Object>} { limit, results }: limit from checkRateLimits(); results
+ *   (null when limited) has { sampled, duplicate } per event
+ */
+async function ingestEvents(env, request, { keyId, projectId, events, limitUser, now }) {
+  const hashOptions = userHashOptions(env);
+
+  // The current user hash, whatever the events' timestamps
+  const limit = await checkRateLimits(env, {
+    keyId,
+    userIdHash: limitUser && limitUser !== 'anonymous' ? await hashUserId(limitUser, { ...hashOptions, now }) : null,
+    events: events.length,
+    now,
+  });
+  if (!limit.ok) {
+    return { limit, results: null };
+  }
+
+  const rates = sampleRates(env);
+  const results = events.map(({ event }) => ({ sampleRate: sampleEvent(event, rates), sampled: true, duplicate: false }));
+  const stored = [];
+  results.forEach((result, index) => {
+    if (result.sampleRate === null) result.sampled = false;
+    else stored.push(index);
+  });
+
+  if (stored.length > 0) {
+    const headerSessionId = request.headers.get('mcp-session-id');
+    // Scrub PII and secrets before anything is stored
+    const redactor = createRedactor(redactionConfig(env));
+    const statements = [];
+    let oldest = null;
+    for (const index of stored) {
+      const { event, userIdentifier } = events[index];
+      // Client-supplied timestamp (spooled events), else the receive time
+      const timestamp = eventTimestamp(event, now);
+      // Anonymous user hash, keyed with USER_HASH_SECRET if set (rotated by event time)
+      const userIdHash = await hashUserId(userIdentifier, { ...hashOptions, now: new Date(`${timestamp.replace(' ', 'T')}Z`) });
+      // Session from the event (hooks, JS client) or the MCP session header
+      const sessionIdHash = await hashSessionId(event.session_id || headerSessionId, hashOptions);
+      statements.push(insertEventStatement(env, projectId, userIdHash, sessionIdHash, redactor.redactEvent(event), timestamp, results[index].sampleRate));
+      oldest = oldest === null || timestamp < oldest ? timestamp : oldest;
+    }
+
+    // One D1 batch (one round-trip); late events also mark their buckets for re-aggregation
+    const late = lateEventStatement(env, oldest, now);
+    const inserted = await env.DB.batch(late ? [...statements, late] : statements);
+
+    // Events whose event_id was already stored (or repeated within the request)
+    stored.forEach((index, position) => {
+      results[index].duplicate = inserted[position].meta.changes === 0;
+    });
+  }
+
+  return { limit, results: results.map(({ sampled, duplicate }) => ({ sampled, duplicate })) };
+}
 
 export default {
   async fetch(request, env, ctx) {
@@ -19,38 +210,80 @@ export default {
     // Handle CORS
     const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
-      'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+      'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+      'Access-Control-Allow-Headers': 'Content-Type, Content-Encoding, Authorization, X-API-Key, X-User-Id, Mcp-Session-Id',
     };
 
     if (request.method === 'OPTIONS') {
       return new Response(null, { headers: corsHeaders });
     }
 
+    // API key authentication
+    // The key also decides which project events are written to / read from
+    const scope = requiredScope(url.pathname);
+    let auth = null;
+    let projectId = null;
+    // 429 for requests over an ingest rate limit (see ingestEvents())
+    const rateLimited = (limit) => new Response(JSON.stringify({ success: false, error: `Rate limit exceeded (${limit.limit} events per ${limit.scope})`, retry_after: limit.retryAfter }), {
+      status: 429,
+      headers: { ...corsHeaders, 'Content-Type': 'application/json', 'Retry-After': String(limit.retryAfter) }
+    });
+
+    if (scope) {
+      auth = await verifyApiKey(env, request, scope);
+      if (!auth.ok) {
+        return new Response(JSON.stringify({ success: false, error: auth.error }), {
+          status: auth.status,
+          headers: {
+            ...corsHeaders,
+            'Content-Type': 'application/json',
+            ...(auth.status === 401 ? { 'WWW-Authenticate': 'Bearer' } : {})
+          }
+        });
+      }
+      projectId = resolveProject(auth.key, url);
+    }
+
     // Client-side tracking endpoint
     if (url.pathname === '/api/track' && request.method === 'POST') {
       try {
-        const event = await request.json();
-
-        // Generate anonymous user hash from IP
-        const userIdentifier = request.headers.get('cf-connecting-ip') || 'anonymous';
-        const userIdHash = await hashUserId(userIdentifier);
-
-        // Log to D1
-        await env.DB.prepare(`
-          INSERT INTO skill_usage_events
-          (user_id_hash, tool_name, tool_category, duration_ms, status, error_type, error_message, metadata)
-          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-        `).bind(
-          userIdHash,
-          event.tool_name,
-          event.tool_category || 'default',
-          event.duration_ms,
-          event.status,
-          event.error_type || null,
-          event.error_message || null,
-          event.metadata || null
-        ).run();
+        const event = await request.json().catch(() => undefined);
+        const now = new Date();
+
+        // Reject malformed events with per-field errors instead of a DB error
+        const { valid, errors } = validateEvent(event, now);
+        if (!valid) {
+          return new Response(JSON.stringify({ success: false, error: 'Invalid event', errors }), {
+            status: 400,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
+
+        // Per-key and per-user limits, sampling, redaction and insert
+        const userIdentifier = extractUserIdentifier(request, identifierSources(env));
+        const { limit, results } = await ingestEvents(env, request, {
+          keyId: auth.key.id,
+          projectId,
+          events: [{ event, userIdentifier }],
+          limitUser: userIdentifier,
+          now,
+        });
+        if (!results) {
+          return rateLimited(limit);
+        }
+
+        // Sampled-out events are acknowledged, so clients don't retry them
+        if (!results[0].sampled) {
+          return new Response(JSON.stringify({ success: true, message: 'Event sampled out', sampled: false }), {
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
+
+        if (results[0].duplicate) {
+          return new Response(JSON.stringify({ success: true, message: 'Duplicate event ignored', duplicate: true }), {
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
 
         return new Response(JSON.stringify({ success: true, message: 'Event tracked' }), {
           headers: { ...corsHeaders, 'Content-Type': 'application/json' }
@@ -63,41 +296,506 @@ export default {
       }
     }
 
+    // Batch tracking endpoint (used by buffered clients)
+    if (url.pathname === '/api/track/batch' && request.method === 'POST') {
+      try {
+        const body = await request.json().catch(() => null);
+        const events = Array.isArray(body) ? body : body?.events;
+
+        if (!Array.isArray(events) || events.length === 0) {
+          return new Response(JSON.stringify({ success: false, error: 'Expected a non-empty array of events' }), {
+            status: 400,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
+
+        if (events.length > MAX_BATCH_SIZE) {
+          return new Response(JSON.stringify({ success: false, error: `Batch exceeds ${MAX_BATCH_SIZE} events` }), {
+            status: 413,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const userIdentifier = extractUserIdentifier(request, identifierSources(env));
+        const now = new Date();
+
+        // Split into accepted/rejected so one bad event doesn't sink the batch
+        const accepted = [];
+        const results = events.map((event, index) => {
+          const { valid, errors } = validateEvent(event, now);
+          if (!valid) {
+            return { index, status: 'rejected', error: 'Invalid event', errors };
+          }
+          accepted.push(index);
+          return { index, status: 'accepted' };
+        });
+        const rejectedCount = events.length - accepted.length;
+
+        // Valid events count against the limits; over a limit, the whole batch is refused.
+        // Sampled-out and duplicate events count as accepted, but aren't stored
+        let duplicates = 0;
+        let sampledOut = 0;
+        if (accepted.length > 0) {
+          const ingested = await ingestEvents(env, request, {
+            keyId: auth.key.id,
+            projectId,
+            events: accepted.map(index => ({ event: events[index], userIdentifier })),
+            limitUser: userIdentifier,
+            now,
+          });
+          if (!ingested.results) {
+            return rateLimited(ingested.limit);
+          }
+          ingested.results.forEach(({ sampled, duplicate }, position) => {
+            const result = results[accepted[position]];
+            if (!sampled) {
+              result.sampled = false;
+              sampledOut++;
+            }
+            if (duplicate) {
+              result.duplicate = true;
+              duplicates++;
+            }
+          });
+        }
+
+        return new Response(JSON.stringify({
+          success: rejectedCount === 0,
+          accepted: accepted.length,
+          rejected: rejectedCount,
+          duplicates,
+          sampled_out: sampledOut,
+          results
+        }), {
+          status: accepted.length > 0 ? 200 : 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    // OpenTelemetry trace ingest (OTLP/HTTP JSON): each span becomes an event
+    if (url.pathname === '/v1/traces' && request.method === 'POST') {
+      try {
+        if (!(request.headers.get('content-type') || '').includes('application/json')) {
+          return new Response(JSON.stringify({ success: false, error: 'Only OTLP/HTTP JSON is supported (Content-Type: application/json)' }), {
+            status: 415,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
+
+        // Exporters may gzip the request
+        const stream = request.headers.get('content-encoding') === 'gzip' && request.body
+          ? request.body.pipeThrough(new DecompressionStream('gzip'))
+          : request.body;
+        const body = await new Response(stream).json().catch(() => null);
+
+        const config = otlpConfig(env);
+        let spans;
+        try {
+          ({ spans } = spansToEvents(body, config));
+        } catch (error) {
+          return new Response(JSON.stringify({ success: false, error: error.message }), {
+            status: 400,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
+
+        if (spans.length > MAX_OTLP_SPANS) {
+          return new Response(JSON.stringify({ success: false, error: `Export exceeds ${MAX_OTLP_SPANS} spans` }), {
+            status: 413,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          });
+        }
+
+        const requestUser = extractUserIdentifier(request, identifierSources(env));
+        const now = new Date();
+
+        // Invalid spans are rejected one by one, like invalid events in a batch
+        const accepted = [];
+        const rejections = [];
+        spans.forEach(({ event, errors: spanErrors }, index) => {
+          const { valid, errors } = validateEvent(event, now);
+          errors.unshift(...spanErrors);
+          if (valid && spanErrors.length === 0) {
+            accepted.push(index);
+          } else {
+            rejections.push(`span ${event?.tool_name || index}: ${errors.map(e => `${e.field} ${e.message}`).join(', ')}`);
+          }
+        });
+
+        // Only the per-key limit applies: one export usually carries spans of many users.
+        // Sampled-out and duplicate spans count as accepted, but aren't stored
+        if (accepted.length > 0) {
+          const { limit, results } = await ingestEvents(env, request, {
+            keyId: auth.key.id,
+            projectId,
+            // user.id / enduser.id on the span, else the exporter's identity
+            events: accepted.map(index => ({ event: spans[index].event, userIdentifier: spans[index].userId || requestUser })),
+            limitUser: null,
+            now,
+          });
+          if (!results) {
+            return rateLimited(limit);
+          }
+        }
+
+        // ExportTraceServiceResponse; int64 is a string in the protobuf JSON mapping
+        const response = rejections.length === 0 ? {} : {
+          partialSuccess: {
+            rejectedSpans: String(rejections.length),
+            errorMessage: rejections.slice(0, 10).join('; '),
+          }
+        };
+        return new Response(JSON.stringify(response), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
     // Analytics endpoints
+    // An explicit from/to/tz range (see analytics/range.js) replaces `days` (and `weeks`);
+    // parseRangeParams() also rejects a days, weeks, limit or idle that isn't a positive number
+    let range = null;
+    if (url.pathname.startsWith('/analytics/')) {
+      try {
+        range = parseRangeParams(url.searchParams);
+      } catch (error) {
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+    const rangeOrDays = (defaultDays) => range
+      ? { ...range, days: range.days ?? defaultDays }
+      : Number(url.searchParams.get('days') || defaultDays);
+    const compare = url.searchParams.get('compare') === 'previous';
+
     if (url.pathname === '/analytics/summary') {
-      const days = parseInt(url.searchParams.get('days') || '7');
-      const data = await getSummary(env, days);
+      const days = rangeOrDays(7);
+      const data = await getSummary(env, days, projectId, { compare });
       return new Response(JSON.stringify(data), {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
     if (url.pathname === '/analytics/tools') {
-      const days = parseInt(url.searchParams.get('days') || '7');
-      const data = await getToolStats(env, days);
+      const days = rangeOrDays(7);
+      const data = await getToolStats(env, days, projectId, { compare });
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/tools/detail') {
+      const tool = url.searchParams.get('tool');
+      if (!tool) {
+        return new Response(JSON.stringify({ success: false, error: 'Missing tool parameter' }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      const days = rangeOrDays(7);
+      const data = await getToolDetails(env, days, projectId, tool, {
+        limit: parseInt(url.searchParams.get('limit') || '20'),
+      });
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/versions' || url.pathname === '/analytics/versions/compare') {
+      const tool = url.searchParams.get('tool');
+      if (!tool) {
+        return new Response(JSON.stringify({ success: false, error: 'Missing tool parameter' }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      const days = rangeOrDays(30);
+      const data = url.pathname === '/analytics/versions'
+        ? await getToolVersions(env, days, projectId, tool)
+        : await compareToolVersions(env, days, projectId, tool, {
+          base: url.searchParams.get('base'),
+          target: url.searchParams.get('target'),
+        });
       return new Response(JSON.stringify(data), {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
     if (url.pathname === '/analytics/retention') {
-      const days = parseInt(url.searchParams.get('days') || '30');
-      const data = await getRetentionStats(env, days);
+      const days = rangeOrDays(30);
+      const data = await getRetentionStats(env, days, projectId);
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/cohorts') {
+      const weeks = range?.from ? range : parseInt(url.searchParams.get('weeks') || '8');
+      const tool = url.searchParams.get('tool') || null;
+      const data = await getCohortRetention(env, weeks, projectId, tool);
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/engagement') {
+      const days = rangeOrDays(30);
+      const data = await getEngagementStats(env, days, projectId);
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/retention/tools') {
+      const weeks = range?.from ? range : parseInt(url.searchParams.get('weeks') || '8');
+      const data = await getToolRetention(env, weeks, projectId);
       return new Response(JSON.stringify(data), {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
     if (url.pathname === '/analytics/errors') {
-      const days = parseInt(url.searchParams.get('days') || '7');
+      const days = rangeOrDays(7);
       const limit = parseInt(url.searchParams.get('limit') || '50');
-      const data = await getRecentErrors(env, days, limit);
+      const tool = url.searchParams.get('tool') || null;
+      const data = await getRecentErrors(env, days, limit, projectId, tool);
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/latency') {
+      const days = rangeOrDays(7);
+      const tool = url.searchParams.get('tool') || null;
+      const data = await getLatencyStats(env, days, projectId, tool);
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/payloads') {
+      const days = rangeOrDays(7);
+      const tool = url.searchParams.get('tool') || null;
+      const data = await getPayloadStats(env, days, projectId, tool);
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/timeseries') {
+      try {
+        const days = rangeOrDays(7);
+        const data = await getTimeSeries(env, days, projectId, {
+          bucket: url.searchParams.get('bucket') || 'day',
+          metric: url.searchParams.get('metric') || 'invocations',
+          toolName: url.searchParams.get('tool') || null,
+          category: url.searchParams.get('category') || null,
+          limit: parseInt(url.searchParams.get('limit') || '10'),
+        });
+        return new Response(JSON.stringify(data), {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    if (url.pathname === '/analytics/errors/groups') {
+      const days = rangeOrDays(7);
+      const data = await getErrorGroups(env, days, projectId, {
+        limit: parseInt(url.searchParams.get('limit') || '50'),
+        toolName: url.searchParams.get('tool') || null,
+      });
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/analytics/alerts') {
+      const rule = url.searchParams.get('rule');
+      const data = await getAlertHistory(env, projectId, {
+        ruleId: rule ? parseInt(rule) : null,
+        limit: parseInt(url.searchParams.get('limit') || '50'),
+      });
       return new Response(JSON.stringify(data), {
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
       });
     }
 
+    if (url.pathname === '/analytics/sessions') {
+      const days = rangeOrDays(7);
+      const data = await getSessionStats(env, days, projectId, {
+        limit: parseInt(url.searchParams.get('limit') || '20'),
+        idleMinutes: parseInt(url.searchParams.get('idle') || '30'),
+      });
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Raw event export, one page per request (see analytics/export.js)
+    if (url.pathname === '/analytics/export') {
+      let options;
+      try {
+        options = parseExportParams(url.searchParams);
+      } catch (error) {
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+
+      const { stream, contentType, filename, nextCursor } = await exportEvents(env, projectId, options);
+      const headers = {
+        ...corsHeaders,
+        'Access-Control-Expose-Headers': 'X-Next-Cursor, Link, Content-Disposition',
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store',
+      };
+      if (nextCursor) {
+        // Pin the range, so later pages don't move with the clock
+        const nextUrl = new URL(url);
+        nextUrl.searchParams.delete('days');
+        nextUrl.searchParams.set('from', options.from.toISOString());
+        nextUrl.searchParams.set('to', options.to.toISOString());
+        nextUrl.searchParams.set('cursor', nextCursor);
+        headers['X-Next-Cursor'] = nextCursor;
+        headers['Link'] = `<${nextUrl}>; rel="next"`;
+      }
+      return new Response(stream, { headers });
+    }
+
+    // API key management (admin scope)
+    // Project-bound admin keys only see and manage keys of their own project
+    if (url.pathname === '/admin/keys' && request.method === 'GET') {
+      const data = await listApiKeys(env, auth.key.projectId);
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/admin/keys' && request.method === 'POST') {
+      try {
+        const { name, scopes, project_id } = await request.json();
+        const data = await createApiKey(env, { name, scopes, projectId: auth.key.projectId || project_id || DEFAULT_PROJECT });
+        return new Response(JSON.stringify(data), {
+          status: 201,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    const keyMatch = url.pathname.match(/^\/admin\/keys\/(\d+)$/);
+    if (keyMatch && request.method === 'DELETE') {
+      const revoked = await revokeApiKey(env, parseInt(keyMatch[1]), auth.key.projectId);
+      return new Response(JSON.stringify({ success: revoked }), {
+        status: revoked ? 200 : 404,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Alert rules (admin scope), scoped like API keys
+    if (url.pathname === '/admin/alerts/rules' && request.method === 'GET') {
+      const data = await listAlertRules(env, auth.key.projectId);
+      return new Response(JSON.stringify(data), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    if (url.pathname === '/admin/alerts/rules' && request.method === 'POST') {
+      try {
+        const body = await request.json();
+        const data = await createAlertRule(env, {
+          projectId: auth.key.projectId || body.project_id || DEFAULT_PROJECT,
+          name: body.name,
+          toolName: body.tool_name ?? null,
+          metric: body.metric,
+          comparison: body.comparison,
+          threshold: body.threshold,
+          windowMinutes: body.window_minutes ?? 60,
+          cooldownMinutes: body.cooldown_minutes ?? 60,
+          webhookUrl: body.webhook_url ?? null,
+        });
+        return new Response(JSON.stringify(data), {
+          status: 201,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      } catch (error) {
+        return new Response(JSON.stringify({ success: false, error: error.message }), {
+          status: 400,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+    }
+
+    const ruleMatch = url.pathname.match(/^\/admin\/alerts\/rules\/(\d+)$/);
+    if (ruleMatch && request.method === 'DELETE') {
+      const deleted = await deleteAlertRule(env, parseInt(ruleMatch[1]), auth.key.projectId);
+      return new Response(JSON.stringify({ success: deleted }), {
+        status: deleted ? 200 : 404,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Send a test payload to the rule's webhook (e.g. a local sink)
+    const ruleTestMatch = url.pathname.match(/^\/admin\/alerts\/rules\/(\d+)\/test$/);
+    if (ruleTestMatch && request.method === 'POST') {
+      const rule = await getAlertRule(env, parseInt(ruleTestMatch[1]), auth.key.projectId);
+      if (!rule) {
+        return new Response(JSON.stringify({ success: false, error: 'Rule not found' }), {
+          status: 404,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        });
+      }
+      const delivery = await sendTestAlert(env, rule);
+      return new Response(JSON.stringify({ success: !delivery.error, ...delivery }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
+    // Evaluate rules now instead of waiting for the cron trigger
+    if (url.pathname === '/admin/alerts/evaluate' && request.method === 'POST') {
+      const data = await evaluateAlertRules(env, new Date(), { projectId: auth.key.projectId });
+      return new Response(JSON.stringify({ results: data }), {
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      });
+    }
+
     // Your other endpoints here...
     return new Response('Not found', { status: 404 });
+  },
+
+  // Cron trigger (every 5 minutes): evaluate alert rules; on the first run
+  // of each hour also roll up raw events, apply the raw retention policy and
+  // drop expired rate limit counters
+  async scheduled(event, env, ctx) {
+    const now = new Date(event.scheduledTime);
+    ctx.waitUntil(evaluateAlertRules(env, now));
+    if (now.getUTCMinutes() < 5) {
+      ctx.waitUntil(runMaintenance(env, now));
+      ctx.waitUntil(purgeRateLimits(env, now));
+    }
   }
 };
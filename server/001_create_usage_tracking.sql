@@ -1,6 +1,6 @@
 -- Migration: 001_create_usage_tracking.sql
 -- Create skill_usage_events table for tracking tool usage analytics
--- Run using: wrangler d1 execute content-ontology --file=migrations/001_create_usage_tracking.sql
+-- Applied by: npm run db:migrate (server/migrate.js)
 
 CREATE TABLE IF NOT EXISTS skill_usage_events (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -0,0 +1,24 @@
+-- Migration: 002_create_api_keys.sql
+-- Create api_keys table for authenticating ingest and analytics requests
+-- Applied by: npm run db:migrate (server/migrate.js)
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+
+  -- Human-readable label (e.g. "cms-ontology hooks", "dashboard")
+  name TEXT NOT NULL,
+
+  -- First characters of the key, shown in listings to identify it
+  key_prefix TEXT NOT NULL,
+
+  -- SHA-256 of the full key (the plaintext key is never stored)
+  key_hash TEXT NOT NULL UNIQUE,
+
+  -- Comma-separated scopes: ingest, read, admin
+  scopes TEXT NOT NULL DEFAULT 'ingest',
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  revoked_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_hash ON api_keys(key_hash);
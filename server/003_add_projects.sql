@@ -0,0 +1,23 @@
+-- Migration: 003_add_projects.sql
+-- Add a project dimension so several teams can share one deployment
+-- Existing events and keys are assigned to the 'default' project
+-- Applied by: npm run db:migrate (server/migrate.js)
+
+CREATE TABLE IF NOT EXISTS projects (
+  -- Short slug, e.g. 'cms-ontology'
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT OR IGNORE INTO projects (id, name) VALUES ('default', 'Default');
+
+-- Every event belongs to exactly one project, set at ingest from the API key
+ALTER TABLE skill_usage_events ADD COLUMN project_id TEXT NOT NULL DEFAULT 'default';
+
+-- Every key is bound to one project
+ALTER TABLE api_keys ADD COLUMN project_id TEXT NOT NULL DEFAULT 'default';
+
+-- Analytics queries always filter by project first
+CREATE INDEX IF NOT EXISTS idx_project_timestamp ON skill_usage_events(project_id, timestamp);
+CREATE INDEX IF NOT EXISTS idx_project_tool_timestamp ON skill_usage_events(project_id, tool_name, timestamp);
@@ -0,0 +1,69 @@
+-- Migration: 004_create_rollups.sql
+-- Create hourly/daily rollup tables filled by the scheduled handler (server/rollups.js)
+-- Applied by: npm run db:migrate (server/migrate.js)
+
+-- Per project, tool and hour ('YYYY-MM-DD HH:00', UTC)
+CREATE TABLE IF NOT EXISTS usage_rollups_hourly (
+  project_id TEXT NOT NULL,
+  bucket TEXT NOT NULL,
+  tool_name TEXT NOT NULL,
+  tool_category TEXT NOT NULL,
+
+  -- Counts
+  invocations INTEGER NOT NULL,
+  success_count INTEGER NOT NULL,
+  error_count INTEGER NOT NULL,
+  timeout_count INTEGER NOT NULL,
+
+  -- Durations (only events with a recorded duration_ms)
+  duration_count INTEGER NOT NULL,
+  duration_sum INTEGER,
+  duration_max INTEGER,
+  p50_ms INTEGER,
+  p95_ms INTEGER,
+  p99_ms INTEGER,
+
+  -- Distinct users within this bucket (not additive across buckets)
+  unique_users INTEGER NOT NULL,
+
+  PRIMARY KEY (project_id, bucket, tool_name, tool_category)
+);
+
+-- Per project, tool and day ('YYYY-MM-DD', UTC); same columns as hourly
+CREATE TABLE IF NOT EXISTS usage_rollups_daily (
+  project_id TEXT NOT NULL,
+  bucket TEXT NOT NULL,
+  tool_name TEXT NOT NULL,
+  tool_category TEXT NOT NULL,
+  invocations INTEGER NOT NULL,
+  success_count INTEGER NOT NULL,
+  error_count INTEGER NOT NULL,
+  timeout_count INTEGER NOT NULL,
+  duration_count INTEGER NOT NULL,
+  duration_sum INTEGER,
+  duration_max INTEGER,
+  p50_ms INTEGER,
+  p95_ms INTEGER,
+  p99_ms INTEGER,
+  unique_users INTEGER NOT NULL,
+  PRIMARY KEY (project_id, bucket, tool_name, tool_category)
+);
+
+-- Which users used which tool on which day, so distinct user counts
+-- (DAU/WAU, cohorts, unique users over a range) survive raw-event purging
+CREATE TABLE IF NOT EXISTS usage_daily_users (
+  project_id TEXT NOT NULL,
+  day TEXT NOT NULL,
+  tool_name TEXT NOT NULL,
+  user_id_hash TEXT NOT NULL,
+  PRIMARY KEY (project_id, day, tool_name, user_id_hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_daily_users_user ON usage_daily_users(project_id, user_id_hash, day);
+
+-- Rollup watermarks: raw events before 'hourly_until' / 'daily_until' are rolled up
+CREATE TABLE IF NOT EXISTS rollup_state (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,10 @@
+-- Migration: 005_add_sessions.sql
+-- Add a hashed session identifier to events, for session and skill sequence analysis
+-- Applied by: npm run db:migrate (server/migrate.js)
+
+-- SHA-256 hash of the client's session ID (hook session_id, mcp-session-id header)
+-- NULL for events sent without a session
+ALTER TABLE skill_usage_events ADD COLUMN session_id_hash TEXT;
+
+-- Sessions are read as ordered event sequences per project
+CREATE INDEX IF NOT EXISTS idx_project_session_timestamp ON skill_usage_events(project_id, session_id_hash, timestamp);
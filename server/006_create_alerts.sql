@@ -0,0 +1,52 @@
+-- Migration: 006_create_alerts.sql
+-- Create alert rules and alert history, evaluated by the scheduled handler (server/alerts.js)
+-- Applied by: npm run db:migrate (server/migrate.js)
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  project_id TEXT NOT NULL DEFAULT 'default',
+  name TEXT NOT NULL,
+
+  -- What to watch: one tool, or all tools of the project when NULL
+  tool_name TEXT,
+  metric TEXT NOT NULL CHECK(metric IN ('error_rate', 'p95_latency', 'invocations')),
+  comparison TEXT NOT NULL CHECK(comparison IN ('>', '>=', '<', '<=')),
+  threshold REAL NOT NULL,
+  window_minutes INTEGER NOT NULL DEFAULT 60,
+
+  -- Minimum time between two "fired" notifications of this rule
+  cooldown_minutes INTEGER NOT NULL DEFAULT 60,
+
+  -- Falls back to the ALERT_WEBHOOK_URL variable when NULL
+  webhook_url TEXT,
+
+  enabled INTEGER NOT NULL DEFAULT 1,
+
+  -- Evaluation state
+  state TEXT NOT NULL DEFAULT 'ok' CHECK(state IN ('ok', 'firing')),
+  last_value REAL,
+  last_evaluated_at DATETIME,
+  last_fired_at DATETIME,
+
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_project ON alert_rules(project_id);
+
+-- One row per state change, with the webhook delivery result
+CREATE TABLE IF NOT EXISTS alert_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id INTEGER NOT NULL,
+  project_id TEXT NOT NULL,
+  event TEXT NOT NULL CHECK(event IN ('fired', 'recovered')),
+  value REAL,
+  threshold REAL NOT NULL,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  -- HTTP status of the webhook response (NULL if not delivered)
+  delivery_status INTEGER,
+  delivery_error TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_project ON alert_events(project_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_alert_events_rule ON alert_events(rule_id, created_at);
@@ -0,0 +1,7 @@
+-- Migration: 007_add_redaction.sql
+-- Record whether an event's error message or metadata was redacted at ingest
+-- Applied by: npm run db:migrate (server/migrate.js)
+
+-- 1 if PII/secret redaction (server/redaction.js) changed, truncated or dropped
+-- anything, at ingest or already in the client
+ALTER TABLE skill_usage_events ADD COLUMN redacted INTEGER NOT NULL DEFAULT 0;
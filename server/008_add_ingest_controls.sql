@@ -0,0 +1,27 @@
+-- Migration: 008_add_ingest_controls.sql
+-- Add event IDs for deduplication, per-event sample rates and ingest rate limit counters
+-- Applied by: npm run db:migrate (server/migrate.js)
+
+-- Client-generated event ID (hook tool_use_id, JavaScript client UUID)
+-- NULL for events sent without one; those are never deduplicated
+ALTER TABLE skill_usage_events ADD COLUMN event_id TEXT;
+
+-- A resubmitted event ID is dropped at ingest (NULLs never conflict)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_project_event_id ON skill_usage_events(project_id, event_id);
+
+-- Share of events of this kind that were stored (server/sampling.js);
+-- analytics count each stored event as 1 / sample_rate events
+ALTER TABLE skill_usage_events ADD COLUMN sample_rate REAL NOT NULL DEFAULT 1 CHECK(sample_rate > 0 AND sample_rate <= 1);
+
+-- Events received per API key or user hash in a fixed window (server/rate-limits.js)
+CREATE TABLE IF NOT EXISTS ingest_rate_limits (
+  -- 'key:<api key id>' or 'user:<user hash>'
+  bucket TEXT NOT NULL,
+
+  -- Window start, epoch seconds
+  window_start INTEGER NOT NULL,
+
+  count INTEGER NOT NULL DEFAULT 0,
+
+  PRIMARY KEY (bucket, window_start)
+);
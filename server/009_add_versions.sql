@@ -0,0 +1,12 @@
+-- Migration: 009_add_versions.sql
+-- Record which version of a tool ran, and which client/agent version sent the event
+-- Applied by: npm run db:migrate (server/migrate.js)
+
+-- Version of the skill/tool (e.g. '1.4.0'); NULL when the client doesn't know it
+ALTER TABLE skill_usage_events ADD COLUMN tool_version TEXT;
+
+-- Version of the client or agent that sent the event (e.g. 'track-skills-js/1.0.0')
+ALTER TABLE skill_usage_events ADD COLUMN client_version TEXT;
+
+-- Version breakdowns and comparisons read one tool's events grouped by version
+CREATE INDEX IF NOT EXISTS idx_project_tool_version ON skill_usage_events(project_id, tool_name, tool_version, timestamp);
@@ -0,0 +1,360 @@
+/**
+ * Threshold Alerts
+ *
+ * Alert rules live in the alert_rules table (server/006_create_alerts.sql).
+ * The Worker's scheduled handler calls evaluateAlertRules(): each enabled rule
+ * is measured with the analytics queries over its window, and every state
+ * change (ok -> firing, firing -> ok) is recorded in alert_events and POSTed
+ * as JSON to the rule's webhook (or ALERT_WEBHOOK_URL).
+ */
+
+import { getSummary, getToolStats, getLatencyStats } from '../analytics/analytics.js';
+import { sqlTimestamp } from '../analytics/range.js';
+
+export const ALERT_METRICS = ['error_rate', 'p95_latency', 'invocations'];
+
+export const ALERT_COMPARISONS = ['>', '>=', '<', '<='];
+
+// Longest supported evaluation window (7 days)
+const MAX_WINDOW_MINUTES = 7 * 24 * 60;
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+
+const COMPARE = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold,
+};
+
+/**
+ * Convert an alert_rules row to its API shape
+ * @param {Object} row - Database row
+ * @returns {Object} Rule
+ */
+function toRule(row) {
+  return {
+    ...row,
+    enabled: Boolean(row.enabled),
+  };
+}
+
+/**
+ * Create an alert rule
+ * @param {Object} env - Worker environment with DB binding
+ * @param {Object} options - Rule options
+ * @param {string} options.projectId - Project the rule watches
+ * @param {string} options.name - Human-readable label
+ * @param {string|null} options.toolName - Tool to watch (null: all tools)
+ * @param {string} options.metric - One of ALERT_METRICS
+ * @param {string} options.comparison - One of ALERT_COMPARISONS
+ * @param {number} options.threshold - Value to compare against
+ * @param {number} options.windowMinutes - Evaluation window (default: 60)
+ * @param {number} options.cooldownMinutes - Minimum time between notifications (default: 60)
+ * @param {string|null} options.webhookUrl - Webhook to notify (null: ALERT_WEBHOOK_URL)
+ * @returns {Promise<Object>} Created rule
+ */
+export async function createAlertRule(env, {
+  projectId,
+  name,
+  toolName = null,
+  metric,
+  comparison,
+  threshold,
+  windowMinutes = 60,
+  cooldownMinutes = 60,
+  webhookUrl = null,
+}) {
+  if (!name || typeof name !== 'string') {
+    throw new Error('name is required');
+  }
+  if (toolName !== null && (typeof toolName !== 'string' || toolName === '')) {
+    throw new Error('tool_name must be a non-empty string or null (all tools)');
+  }
+  if (!ALERT_METRICS.includes(metric)) {
+    throw new Error(`metric must be one of ${ALERT_METRICS.join(', ')}`);
+  }
+  if (!ALERT_COMPARISONS.includes(comparison)) {
+    throw new Error(`comparison must be one of ${ALERT_COMPARISONS.join(' ')}`);
+  }
+  if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+    throw new Error('threshold must be a number');
+  }
+  if (!Number.isInteger(windowMinutes) || windowMinutes < 1 || windowMinutes > MAX_WINDOW_MINUTES) {
+    throw new Error(`window_minutes must be an integer between 1 and ${MAX_WINDOW_MINUTES}`);
+  }
+  if (!Number.isInteger(cooldownMinutes) || cooldownMinutes < 0) {
+    throw new Error('cooldown_minutes must be a non-negative integer');
+  }
+  if (webhookUrl !== null) {
+    let url;
+    try {
+      url = new URL(webhookUrl);
+    } catch {
+      throw new Error('webhook_url must be a valid URL');
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error('webhook_url must be an http(s) URL');
+    }
+  }
+
+  const row = await env.DB.prepare(`
+    INSERT INTO alert_rules
+    (project_id, name, tool_name, metric, comparison, threshold, window_minutes, cooldown_minutes, webhook_url)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    RETURNING *
+  `).bind(projectId, name, toolName, metric, comparison, threshold, windowMinutes, cooldownMinutes, webhookUrl).first();
+
+  return toRule(row);
+}
+
+/**
+ * List alert rules
+ * @param {Object} env - Worker environment with DB binding
+ * @param {string|null} projectId - Only list rules of this project (null: all projects)
+ * @returns {Promise<Array>} Rules with their current state
+ */
+export async function listAlertRules(env, projectId = null) {
+  const results = await env.DB.prepare(`
+    SELECT * FROM alert_rules
+    WHERE ? IS NULL OR project_id = ?
+    ORDER BY id DESC
+  `).bind(projectId, projectId).all();
+
+  return results.results.map(toRule);
+}
+
+/**
+ * Get a single alert rule
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number} id - Rule ID
+ * @param {string|null} projectId - Only return the rule if it belongs to this project (null: any)
+ * @returns {Promise<Object|null>} Rule, or null if not found
+ */
+export async function getAlertRule(env, id, projectId = null) {
+  const row = await env.DB.prepare(`
+    SELECT * FROM alert_rules
+    WHERE id = ? AND (? IS NULL OR project_id = ?)
+  `).bind(id, projectId, projectId).first();
+
+  return row ? toRule(row) : null;
+}
+
+/**
+ * Delete an alert rule (its history is kept)
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number} id - Rule ID
+ * @param {string|null} projectId - Only delete if the rule belongs to this project (null: any)
+ * @returns {Promise<boolean>} True if a rule was deleted
+ */
+export async function deleteAlertRule(env, id, projectId = null) {
+  const result = await env.DB.prepare(`
+    DELETE FROM alert_rules
+    WHERE id = ? AND (? IS NULL OR project_id = ?)
+  `).bind(id, projectId, projectId).run();
+
+  return result.meta.changes > 0;
+}
+
+/**
+ * Get alert history (fired/recovered events), newest first
+ * @param {Object} env - Worker environment with DB binding
+ * @param {string} projectId - Project to report on
+ * @param {Object} options - History options
+ * @param {number|null} options.ruleId - Only events of this rule
+ * @param {number} options.limit - Maximum number of events (default: 50)
+ * @returns {Promise<Object>} Events with rule name, value, threshold and delivery result
+ */
+export async function getAlertHistory(env, projectId, { ruleId = null, limit = 50 } = {}) {
+  const results = await env.DB.prepare(`
+    SELECT
+      e.id,
+      e.rule_id,
+      r.name as rule_name,
+      r.tool_name,
+      r.metric,
+      e.event,
+      e.value,
+      e.threshold,
+      e.created_at,
+      e.delivery_status,
+      e.delivery_error
+    FROM alert_events e
+    LEFT JOIN alert_rules r ON r.id = e.rule_id
+    WHERE e.project_id = ? AND (? IS NULL OR e.rule_id = ?)
+    ORDER BY e.created_at DESC, e.id DESC
+    LIMIT ?
+  `).bind(projectId, ruleId, ruleId, limit).all();
+
+  return {
+    events: results.results,
+    count: results.results.length,
+  };
+}
+
+/**
+ * Measure a rule's metric over its window using the analytics queries
+ * @param {Object} env - Worker environment with DB binding
+ * @param {Object} rule - Alert rule
+ * @param {Date} now - End of the window (default: now)
+ * @returns {Promise<number|null>} Current value, or null without data (no invocations / durations)
+ */
+export async function measureAlertRule(env, rule, now = new Date()) {
+  // An explicit range, so the window ends at the evaluation time rather than SQL 'now'
+  const days = { from: new Date(now.getTime() - rule.window_minutes * 60000), to: now };
+
+  if (rule.metric === 'p95_latency') {
+    const latency = await getLatencyStats(env, days, rule.project_id, rule.tool_name);
+    const stats = rule.tool_name ? latency.tools[0] : latency.overall;
+    return stats?.p95_ms ?? null;
+  }
+
+  let invocations = 0;
+  let errorRate = null;
+  if (rule.tool_name) {
+    const tool = (await getToolStats(env, days, rule.project_id)).find(t => t.tool_name === rule.tool_name);
+    invocations = tool?.invocations || 0;
+    errorRate = tool ? Number(tool.error_rate) : null;
+  } else {
+    const summary = await getSummary(env, days, rule.project_id);
+    invocations = summary.total_invocations;
+    errorRate = invocations ? Number(summary.error_rate) : null;
+  }
+
+  return rule.metric === 'invocations' ? invocations : errorRate;
+}
+
+/**
+ * Build the webhook payload for a rule
+ * `text` makes the payload readable as-is by Slack-style incoming webhooks.
+ * @param {Object} rule - Alert rule
+ * @param {string} event - fired, recovered or test
+ * @param {number|null} value - Measured value
+ * @param {Date} now - Evaluation time
+ * @returns {Object} JSON payload
+ */
+function alertPayload(rule, event, value, now) {
+  const scope = rule.tool_name || 'all tools';
+  const condition = `${rule.metric} ${rule.comparison} ${rule.threshold}`;
+  const text = {
+    fired: `[FIRING] ${rule.name}: ${rule.metric} for ${scope} is ${value} (${condition}, last ${rule.window_minutes} min)`,
+    recovered: `[RECOVERED] ${rule.name}: ${rule.metric} for ${scope} is ${value ?? 'n/a'}`,
+    test: `[TEST] ${rule.name}: ${condition} for ${scope}`,
+  }[event];
+
+  return {
+    event: `alert.${event}`,
+    text,
+    project_id: rule.project_id,
+    rule: {
+      id: rule.id,
+      name: rule.name,
+      tool_name: rule.tool_name,
+      metric: rule.metric,
+      comparison: rule.comparison,
+      threshold: rule.threshold,
+      window_minutes: rule.window_minutes,
+    },
+    value,
+    timestamp: now.toISOString(),
+  };
+}
+
+/**
+ * POST a payload to a webhook
+ * Never throws; failures are returned so they can be stored in the history.
+ * @param {string|null} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @returns {Promise<Object>} { status, error }
+ */
+async function sendWebhook(url, payload) {
+  if (!url) {
+    return { status: null, error: 'No webhook URL configured' };
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'User-Agent': 'track-skills-alerts' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    return { status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+  } catch (error) {
+    return { status: null, error: error.message };
+  }
+}
+
+/**
+ * Send a test notification for a rule (not recorded in the history)
+ * @param {Object} env - Worker environment (ALERT_WEBHOOK_URL fallback)
+ * @param {Object} rule - Alert rule
+ * @returns {Promise<Object>} { status, error }
+ */
+export async function sendTestAlert(env, rule) {
+  return sendWebhook(rule.webhook_url || env.ALERT_WEBHOOK_URL, alertPayload(rule, 'test', null, new Date()));
+}
+
+/**
+ * Evaluate enabled alert rules and notify on state changes
+ * A breached rule in state ok fires, unless it fired less than cooldown_minutes
+ * ago. A firing rule recovers once the condition no longer holds. Without data
+ * (value null) the state is left unchanged.
+ * @param {Object} env - Worker environment with DB binding (and optional ALERT_WEBHOOK_URL)
+ * @param {Date} now - Evaluation time (default: now)
+ * @param {Object} options - Evaluation options
+ * @param {string|null} options.projectId - Only evaluate rules of this project (null: all)
+ * @returns {Promise<Array>} Per-rule results { rule_id, name, value, state, event, delivery }
+ */
+export async function evaluateAlertRules(env, now = new Date(), { projectId = null } = {}) {
+  const rules = await env.DB.prepare(`
+    SELECT * FROM alert_rules
+    WHERE enabled = 1 AND (? IS NULL OR project_id = ?)
+    ORDER BY id
+  `).bind(projectId, projectId).all();
+
+  const results = [];
+  for (const rule of rules.results) {
+    try {
+      const value = await measureAlertRule(env, rule, now);
+      const breached = value !== null && COMPARE[rule.comparison](value, rule.threshold);
+      const lastFired = rule.last_fired_at ? Date.parse(`${rule.last_fired_at.replace(' ', 'T')}Z`) : 0;
+      const coolingDown = now.getTime() - lastFired < rule.cooldown_minutes * 60000;
+
+      let event = null;
+      if (breached && rule.state === 'ok' && !coolingDown) {
+        event = 'fired';
+      } else if (!breached && value !== null && rule.state === 'firing') {
+        event = 'recovered';
+      }
+
+      const state = event === 'fired' ? 'firing' : event === 'recovered' ? 'ok' : rule.state;
+      const delivery = event
+        ? await sendWebhook(rule.webhook_url || env.ALERT_WEBHOOK_URL, alertPayload(rule, event, value, now))
+        : null;
+
+      const statements = [
+        env.DB.prepare(`
+          UPDATE alert_rules
+          SET state = ?, last_value = ?, last_evaluated_at = ?,
+            last_fired_at = CASE WHEN ? = 'fired' THEN ? ELSE last_fired_at END
+          WHERE id = ?
+        `).bind(state, value, sqlTimestamp(now), event, sqlTimestamp(now), rule.id),
+      ];
+      if (event) {
+        statements.push(env.DB.prepare(`
+          INSERT INTO alert_events (rule_id, project_id, event, value, threshold, created_at, delivery_status, delivery_error)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(rule.id, rule.project_id, event, value, rule.threshold, sqlTimestamp(now), delivery.status, delivery.error));
+      }
+      await env.DB.batch(statements);
+
+      results.push({ rule_id: rule.id, name: rule.name, value, state, event, delivery });
+    } catch (error) {
+      // One broken rule must not stop the others
+      results.push({ rule_id: rule.id, name: rule.name, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,189 @@
+/**
+ * API Key Authentication
+ *
+ * Verifies API keys sent by skills, hooks and the dashboard.
+ * Keys are stored as SHA-256 hashes in the api_keys table and carry scopes:
+ * - ingest: may POST events to /api/track*
+ * - read:   may query /analytics/*
+ * - admin:  may manage keys via /admin/keys (implies all other scopes)
+ *
+ * Every key belongs to one project. Events ingested with a key are stored
+ * under its project, and analytics read with a key only see that project.
+ */
+
+export const SCOPES = ['ingest', 'read', 'admin'];
+
+export const DEFAULT_PROJECT = 'default';
+
+const PROJECT_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plaintext API key
+ * @returns {Promise<string>} 64-character hex SHA-256 hash
+ */
+export async function hashApiKey(key) {
+  const data = new TextEncoder().encode(key);
+  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a new random API key
+ * @returns {string} Key in the form tsk_<64 hex chars>
+ */
+export function generateApiKey() {
+  const bytes = crypto.getRandomValues(new Uint8Array(32));
+  return 'tsk_' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Extract the API key from a request
+ * Accepts "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {Request} request - The incoming request
+ * @returns {string|null} API key, or null if none was sent
+ */
+export function extractApiKey(request) {
+  const authorization = request.headers.get('authorization') || '';
+  const match = authorization.match(/^Bearer\s+(.+)$/i);
+  const key = match ? match[1].trim() : request.headers.get('x-api-key');
+  return key || null;
+}
+
+/**
+ * Verify the request's API key against a required scope
+ * The ADMIN_API_KEY secret (if set) is accepted as a bootstrap admin key,
+ * so the first real keys can be created via /admin/keys. It is not bound
+ * to a project (projectId: null) and may act on any project.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {Request} request - The incoming request
+ * @param {string} requiredScope - Scope needed for this route
+ * @returns {Promise<Object>} { ok: true, key } or { ok: false, status, error }
+ */
+export async function verifyApiKey(env, request, requiredScope) {
+  const key = extractApiKey(request);
+  if (!key) {
+    return { ok: false, status: 401, error: 'Missing API key' };
+  }
+
+  const keyHash = await hashApiKey(key);
+
+  if (env.ADMIN_API_KEY && keyHash === await hashApiKey(env.ADMIN_API_KEY)) {
+    return { ok: true, key: { id: null, name: 'ADMIN_API_KEY', scopes: ['admin'], projectId: null } };
+  }
+
+  const row = await env.DB.prepare(`
+    SELECT id, name, scopes, project_id, revoked_at
+    FROM api_keys
+    WHERE key_hash = ?
+  `).bind(keyHash).first();
+
+  if (!row || row.revoked_at) {
+    return { ok: false, status: 401, error: 'Invalid or revoked API key' };
+  }
+
+  const scopes = row.scopes.split(',').map(s => s.trim());
+  if (!scopes.includes(requiredScope) && !scopes.includes('admin')) {
+    return { ok: false, status: 403, error: `API key lacks required scope: ${requiredScope}` };
+  }
+
+  return { ok: true, key: { id: row.id, name: row.name, scopes, projectId: row.project_id } };
+}
+
+/**
+ * Resolve the project a request acts on
+ * Project-bound keys always use their own project. The unbound bootstrap
+ * admin key may pick one with ?project=<id> (default: 'default').
+ * @param {Object} key - Verified key from verifyApiKey()
+ * @param {URL} url - Request URL
+ * @returns {string} Project ID
+ */
+export function resolveProject(key, url) {
+  return key.projectId || url.searchParams.get('project') || DEFAULT_PROJECT;
+}
+
+/**
+ * Create a new API key
+ * The plaintext key is only returned here; store it somewhere safe.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {Object} options - Key options
+ * @param {string} options.name - Human-readable label
+ * @param {string[]} options.scopes - Scopes to grant (default: ['ingest'])
+ * @param {string} options.projectId - Project the key belongs to (created if missing)
+ * @returns {Promise<Object>} Created key including plaintext `key`
+ */
+export async function createApiKey(env, { name, scopes = ['ingest'], projectId = DEFAULT_PROJECT }) {
+  if (!name) {
+    throw new Error('name is required');
+  }
+  if (!PROJECT_ID_PATTERN.test(projectId)) {
+    throw new Error('project_id must be lowercase letters, digits, "-" or "_" (max 64 chars)');
+  }
+  if (!Array.isArray(scopes)) {
+    throw new Error('scopes must be an array');
+  }
+  const invalid = scopes.filter(s => !SCOPES.includes(s));
+  if (scopes.length === 0 || invalid.length > 0) {
+    throw new Error(`Invalid scopes: ${invalid.join(', ') || '(none)'}. Allowed: ${SCOPES.join(', ')}`);
+  }
+
+  const key = generateApiKey();
+  const keyPrefix = key.slice(0, 12);
+
+  const [, result] = await env.DB.batch([
+    env.DB.prepare(`
+      INSERT OR IGNORE INTO projects (id, name) VALUES (?, ?)
+    `).bind(projectId, projectId),
+    env.DB.prepare(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, project_id)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(name, keyPrefix, await hashApiKey(key), scopes.join(','), projectId)
+  ]);
+
+  return {
+    id: result.meta.last_row_id,
+    name,
+    key,
+    key_prefix: keyPrefix,
+    scopes,
+    project_id: projectId,
+  };
+}
+
+/**
+ * List API keys (without hashes)
+ * @param {Object} env - Worker environment with DB binding
+ * @param {string|null} projectId - Only list keys of this project (null: all projects)
+ * @returns {Promise<Array>} Keys with id, name, prefix, scopes, project and status
+ */
+export async function listApiKeys(env, projectId = null) {
+  const results = await env.DB.prepare(`
+    SELECT id, name, key_prefix, scopes, project_id, created_at, revoked_at
+    FROM api_keys
+    WHERE ? IS NULL OR project_id = ?
+    ORDER BY id DESC
+  `).bind(projectId, projectId).all();
+
+  return results.results.map(row => ({
+    ...row,
+    scopes: row.scopes.split(','),
+    active: !row.revoked_at,
+  }));
+}
+
+/**
+ * Revoke an API key
+ * @param {Object} env - Worker environment with DB binding
+ * @param {number} id - Key ID
+ * @param {string|null} projectId - Only revoke if the key belongs to this project (null: any)
+ * @returns {Promise<boolean>} True if an active key was revoked
+ */
+export async function revokeApiKey(env, id, projectId = null) {
+  const result = await env.DB.prepare(`
+    UPDATE api_keys
+    SET revoked_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND revoked_at IS NULL AND (? IS NULL OR project_id = ?)
+  `).bind(id, projectId, projectId).run();
+
+  return result.meta.changes > 0;
+}
@@ -0,0 +1,153 @@
+/**
+ * D1-Compatible SQLite Binding
+ *
+ * Implements the parts of the Cloudflare D1 binding API used by this repo
+ * (prepare/bind/run/first/all/raw, batch and exec) over a local SQLite file,
+ * so the Worker, analytics and maintenance code run unchanged in Node.js.
+ * Used by the local development server (server/local-server.js) and the seed
+ * command (server/seed.js). Requires Node 22.5+ for node:sqlite.
+ *
+ * Differences from D1: statements run synchronously on one connection, and
+ * BLOB values come back as Uint8Array instead of number arrays.
+ */
+
+/**
+ * Convert a bound value the way D1 does
+ * @param {*} value - Value passed to bind()
+ * @param {number} index - Parameter position (for the error message)
+ * @returns {*} Value accepted by node:sqlite
+ * @throws {TypeError} For types D1 doesn't support
+ */
+function toSqliteValue(value, index) {
+  if (value === null || typeof value === 'string' || typeof value === 'number' || typeof value === 'bigint') {
+    return value;
+  }
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof ArrayBuffer) return new Uint8Array(value);
+  if (ArrayBuffer.isView(value)) return new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+  throw new TypeError(`D1_TYPE_ERROR: Type '${value === undefined ? 'undefined' : typeof value}' not supported for value at position ${index + 1}`);
+}
+
+/**
+ * Open a SQLite file as a D1 binding
+ * @param {string} file - Path to the SQLite database file (":memory:" for a throwaway database)
+ * @returns {Promise<Object>} Binding with prepare(), batch(), exec() and close()
+ */
+export async function createSqliteD1(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error(`SQLite support needs Node 22.5 or newer (running ${process.version})`);
+  }
+  const db = new DatabaseSync(file);
+  db.exec('PRAGMA foreign_keys = ON');
+
+  // Run a statement, returning rows for statements that have result columns
+  const execute = (sql, params) => {
+    const started = performance.now();
+    let stmt;
+    try {
+      stmt = db.prepare(sql);
+    } catch (error) {
+      throw new Error(`D1_ERROR: ${error.message}`, { cause: error });
+    }
+
+    let results = [];
+    let changes = 0;
+    let lastRowId = null;
+    try {
+      if (stmt.columns().length > 0) {
+        results = stmt.all(...params).map(row => ({ ...row }));
+      } else {
+        const info = stmt.run(...params);
+        changes = Number(info.changes);
+        lastRowId = Number(info.lastInsertRowid);
+      }
+    } catch (error) {
+      throw new Error(`D1_ERROR: ${error.message}`, { cause: error });
+    }
+
+    return {
+      success: true,
+      results,
+      meta: {
+        duration: performance.now() - started,
+        changes,
+        last_row_id: lastRowId,
+        changed_db: changes > 0,
+        rows_read: results.length,
+        rows_written: changes,
+      },
+    };
+  };
+
+  const statement = (sql, params = []) => ({
+    sql,
+
+    bind(...values) {
+      return statement(sql, values.map(toSqliteValue));
+    },
+
+    async run() {
+      return execute(sql, params);
+    },
+
+    async all() {
+      return execute(sql, params);
+    },
+
+    async first(column) {
+      const [row] = execute(sql, params).results;
+      if (!row) return null;
+      if (column === undefined) return row;
+      if (!(column in row)) throw new Error(`D1_COLUMN_NOTFOUND: Column not found (${column})`);
+      return row[column];
+    },
+
+    async raw({ columnNames = false } = {}) {
+      const stmt = db.prepare(sql);
+      const rows = execute(sql, params).results.map(row => Object.values(row));
+      return columnNames ? [stmt.columns().map(column => column.name), ...rows] : rows;
+    },
+
+    // Used by batch(), inside its transaction
+    execute() {
+      return execute(sql, params);
+    },
+  });
+
+  return {
+    prepare(sql) {
+      return statement(sql);
+    },
+
+    // Statements run in one transaction; if one fails, none are applied
+    async batch(statements) {
+      db.exec('BEGIN');
+      try {
+        const results = statements.map(stmt => stmt.execute());
+        db.exec('COMMIT');
+        return results;
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    async exec(sql) {
+      const started = performance.now();
+      try {
+        db.exec(sql);
+      } catch (error) {
+        throw new Error(`D1_EXEC_ERROR: ${error.message}`, { cause: error });
+      }
+      return { count: sql.split(';').filter(part => part.trim()).length, duration: performance.now() - started };
+    },
+
+    // Not part of D1: closes the file
+    close() {
+      db.close();
+    },
+  };
+}
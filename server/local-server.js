@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+/**
+ * Local Development Server
+ *
+ * Runs the Worker's fetch handler (examples/worker-integration.js) in Node.js
+ * against a local SQLite file, so the API, analytics and dashboard can be used
+ * without deploying. The DB binding is the D1-compatible adapter from
+ * server/d1-sqlite.js; pending migrations are applied on startup.
+ *
+ * Usage:
+ *   node server/local-server.js [--port 8787] [--sqlite <file>] [--api-base <url>]
+ *
+ * Options:
+ *   --port <port>        Port to listen on (default: PORT or 8787)
+ *   --host <host>        Interface to listen on (default: 127.0.0.1)
+ *   --sqlite <file>      Database file (default: TRACK_SKILLS_SQLITE or .local/track-skills.sqlite)
+ *   --api-base <url>     API URL the dashboard calls (default: this server)
+ *   --worker <file>      Worker module to run (default: examples/worker-integration.js)
+ *   --no-cron            Don't run the scheduled handler every 5 minutes
+ *
+ * The dashboard is served at /, everything else goes to the Worker. Worker
+ * vars and secrets (ADMIN_API_KEY, USER_HASH_SECRET, RAW_RETENTION_DAYS, ...)
+ * are read from the environment; ADMIN_API_KEY defaults to "local-admin-key".
+ * Fill the database with `node server/seed.js` (same --sqlite option).
+ */
+
+import { createServer } from 'node:http';
+import { mkdir, readFile, stat } from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { join, dirname, extname, resolve, sep } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { createBindingDriver, loadMigrations, migrate } from './migrate.js';
+import { createSqliteD1 } from './d1-sqlite.js';
+
+const ROOT_DIR = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+const DASHBOARD_DIR = join(ROOT_DIR, 'dashboard');
+
+export const DEFAULT_SQLITE_FILE = '.local/track-skills.sqlite';
+export const DEFAULT_ADMIN_API_KEY = 'local-admin-key';
+
+// Vars and secrets the Worker reads from env (see wrangler.toml.example)
+const WORKER_VARS = [
+  'ENVIRONMENT',
+  'ADMIN_API_KEY',
+  'RAW_RETENTION_DAYS',
+  'REDACTION_CONFIG',
+  'USER_HASH_SECRET',
+  'USER_HASH_ROTATION',
+  'USER_ID_SOURCES',
+  'RATE_LIMITS',
+  'SAMPLE_RATES',
+  'OTLP_CONFIG',
+  'ALERT_WEBHOOK_URL',
+];
+
+// Same schedule as the cron trigger in wrangler.toml.example
+const CRON = '*/5 * * * *';
+const CRON_INTERVAL_MS = 5 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.ico': 'image/x-icon',
+};
+
+/**
+ * Open the local database, applying pending migrations first
+ * @param {string} file - SQLite database file
+ * @param {Function} log - Progress logger (default: no-op)
+ * @returns {Promise<Object>} D1-compatible binding (see createSqliteD1())
+ */
+export async function openLocalDatabase(file, log = () => {}) {
+  if (file !== ':memory:') {
+    await mkdir(dirname(resolve(file)), { recursive: true });
+  }
+
+  // Migrate through the returned binding: a ':memory:' database only exists on its connection
+  const DB = await createSqliteD1(file);
+  try {
+    const { applied } = await migrate(createBindingDriver(DB, `SQLite file ${file}`), await loadMigrations(), { log });
+    if (applied.length > 0) log(`Applied ${applied.length} migration(s)`);
+  } catch (error) {
+    DB.close();
+    throw error;
+  }
+
+  return DB;
+}
+
+/**
+ * Build the Worker env from process.env
+ * @param {Object} DB - D1-compatible binding
+ * @returns {Object} Worker environment
+ */
+export function localEnv(DB) {
+  const env = { DB, ENVIRONMENT: 'development', ADMIN_API_KEY: DEFAULT_ADMIN_API_KEY };
+  for (const name of WORKER_VARS) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+  return env;
+}
+
+/**
+ * Execution context for fetch and scheduled handlers
+ * waitUntil() promises keep running after the response; failures are logged.
+ * @returns {Object} Context with waitUntil() and passThroughOnException()
+ */
+function executionContext() {
+  return {
+    waitUntil(promise) {
+      Promise.resolve(promise).catch(error => console.error('waitUntil failed:', error));
+    },
+    passThroughOnException() {},
+  };
+}
+
+/**
+ * Serve a dashboard file, if the path names one
+ * index.html gets a script setting TRACK_SKILLS_API_BASE (read by dashboard/app.js).
+ * @param {string} pathname - Request path
+ * @param {string} apiBase - API URL for the dashboard ('' for this server)
+ * @returns {Promise<Object|null>} { body, contentType }, or null if there is no such file
+ */
+async function dashboardFile(pathname, apiBase) {
+  let file;
+  try {
+    file = join(DASHBOARD_DIR, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+  } catch {
+    return null;
+  }
+  if (!file.startsWith(DASHBOARD_DIR + sep) || !(await stat(file).catch(() => null))?.isFile()) {
+    return null;
+  }
+
+  let body = await readFile(file);
+  if (file === join(DASHBOARD_DIR, 'index.html')) {
+    body = body.toString('utf8').replace('<script src="app.js">',
+      `<script>window.TRACK_SKILLS_API_BASE = ${JSON.stringify(apiBase).replace(/</g, '\\u003c')};</script>\n  <script src="app.js">`);
+  }
+  return { body, contentType: CONTENT_TYPES[extname(file)] || 'application/octet-stream' };
+}
+
+/**
+ * Convert a Node.js request into a fetch Request
+ * cf-connecting-ip is set from the socket, as Cloudflare does.
+ * @param {http.IncomingMessage} req - Incoming request
+ * @param {URL} url - Full request URL
+ * @returns {Promise<Request>} Request for the Worker
+ */
+async function toFetchRequest(req, url) {
+  const headers = new Headers();
+  for (const [name, value] of Object.entries(req.headers)) {
+    headers.set(name, Array.isArray(value) ? value.join(', ') : value);
+  }
+  if (!headers.has('cf-connecting-ip')) {
+    headers.set('cf-connecting-ip', req.socket.remoteAddress || '127.0.0.1');
+  }
+
+  let body;
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    body = Buffer.concat(chunks);
+  }
+
+  return new Request(url, { method: req.method, headers, body });
+}
+
+/**
+ * Start the local server
+ * @param {Object} options - Server options
+ * @param {number} options.port - Port (0 picks a free one)
+ * @param {string} options.host - Interface to listen on
+ * @param {string} options.sqlite - Database file
+ * @param {string|null} options.apiBase - API URL for the dashboard (default: this server)
+ * @param {string|null} options.worker - Worker module path (default: examples/worker-integration.js)
+ * @param {boolean} options.cron - Run the scheduled handler every 5 minutes
+ * @param {Function} options.log - Logger (default: console.log)
+ * @returns {Promise<Object>} { server, env, url, close() }
+ */
+export async function startLocalServer({
+  port = 8787,
+  host = '127.0.0.1',
+  sqlite = DEFAULT_SQLITE_FILE,
+  apiBase = null,
+  worker = null,
+  cron = true,
+  log = console.log,
+} = {}) {
+  const workerUrl = worker ? pathToFileURL(resolve(worker)).href : new URL('../examples/worker-integration.js', import.meta.url).href;
+  const { default: handler } = await import(workerUrl);
+  const DB = await openLocalDatabase(sqlite, message => log(`  ${message}`));
+  const env = localEnv(DB);
+
+  const server = createServer(async (req, res) => {
+    const started = Date.now();
+    const url = new URL(req.url, `http://${req.headers.host || `${host}:${port}`}`);
+
+    try {
+      const file = (req.method === 'GET' || req.method === 'HEAD') && await dashboardFile(url.pathname, apiBase ?? '');
+      if (file) {
+        res.writeHead(200, { 'Content-Type': file.contentType, 'Cache-Control': 'no-cache' });
+        res.end(req.method === 'HEAD' ? undefined : file.body);
+      } else {
+        const response = await handler.fetch(await toFetchRequest(req, url), env, executionContext());
+        res.writeHead(response.status, Object.fromEntries(response.headers));
+        if (response.body && req.method !== 'HEAD') {
+          await pipeline(Readable.fromWeb(response.body), res);
+        } else {
+          res.end();
+        }
+      }
+    } catch (error) {
+      console.error(`${req.method} ${url.pathname} failed:`, error);
+      if (!res.headersSent) {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+      }
+      res.end();
+    }
+
+    log(`${req.method} ${url.pathname}${url.search} ${res.statusCode} ${Date.now() - started}ms`);
+  });
+
+  await new Promise((resolveListen, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolveListen);
+  });
+  const address = server.address();
+  const url = `http://${host.includes(':') ? `[${host}]` : host}:${address.port}`;
+
+  // Cron trigger, at every full 5 minutes like Cloudflare's scheduler
+  let timer = null;
+  if (cron && handler.scheduled) {
+    const schedule = () => {
+      const next = Math.ceil((Date.now() + 1) / CRON_INTERVAL_MS) * CRON_INTERVAL_MS;
+      timer = setTimeout(async () => {
+        try {
+          await handler.scheduled({ cron: CRON, scheduledTime: next }, env, executionContext());
+          log(`Scheduled handler ran (${new Date(next).toISOString()})`);
+        } catch (error) {
+          console.error('Scheduled handler failed:', error);
+        }
+        schedule();
+      }, next - Date.now());
+    };
+    schedule();
+  }
+
+  return {
+    server,
+    env,
+    url,
+    async close() {
+      clearTimeout(timer);
+      await new Promise(resolveClose => server.close(resolveClose));
+      DB.close();
+    },
+  };
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Options for startLocalServer()
+ */
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.PORT || 8787),
+    host: '127.0.0.1',
+    sqlite: process.env.TRACK_SKILLS_SQLITE || DEFAULT_SQLITE_FILE,
+    apiBase: null,
+    worker: null,
+    cron: true,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--port': options.port = Number(argv[++i]); break;
+      case '--host': options.host = argv[++i]; break;
+      case '--sqlite': options.sqlite = argv[++i]; break;
+      case '--api-base': options.apiBase = argv[++i]; break;
+      case '--worker': options.worker = argv[++i]; break;
+      case '--no-cron': options.cron = false; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!Number.isInteger(options.port) || options.port < 0) {
+    throw new Error('Invalid --port');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`Database: ${options.sqlite}`);
+  const { url, env, close } = await startLocalServer(options);
+
+  console.log(`Track-skills running on ${url}/`);
+  console.log(`  Dashboard:  ${url}/ (API: ${options.apiBase || url})`);
+  console.log(`  Admin key:  ${env.ADMIN_API_KEY === DEFAULT_ADMIN_API_KEY ? DEFAULT_ADMIN_API_KEY : '(ADMIN_API_KEY)'}`);
+  console.log(`  Cron:       ${options.cron ? `every 5 minutes (${CRON})` : 'off'}`);
+
+  const shutdown = () => {
+    close().finally(() => process.exit(0));
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Local server failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,325 @@
+#!/usr/bin/env node
+/**
+ * Schema Migration Runner
+ *
+ * Applies the numbered SQL migrations in server/ (NNN_description.sql) in order,
+ * recording each one in the schema_migrations table so it only runs once.
+ * Works against Cloudflare D1 (through wrangler) and against a local SQLite file.
+ *
+ * Usage:
+ *   node server/migrate.js [--remote | --local] [--database <name>]
+ *   node server/migrate.js --sqlite <file>
+ *
+ * Options:
+ *   --status, --dry-run   List applied and pending migrations without applying anything
+ *   --baseline <version>  Record migrations up to <version> as applied without running them
+ *                         (for databases that were set up by hand before the runner existed)
+ */
+
+import { readdir, readFile, writeFile, mkdtemp, rm } from 'node:fs/promises';
+import { execFile } from 'node:child_process';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+export const MIGRATIONS_DIR = dirname(fileURLToPath(import.meta.url));
+
+const MIGRATION_FILE_PATTERN = /^(\d{3})_([a-z0-9_]+)\.sql$/;
+
+const CREATE_MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+/**
+ * Load migration files from a directory, sorted by version
+ * @param {string} dir - Directory containing NNN_description.sql files
+ * @returns {Promise<Array>} Migrations with version, name, file and sql
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await readdir(dir)).filter(file => MIGRATION_FILE_PATTERN.test(file)).sort();
+  const migrations = [];
+
+  for (const file of files) {
+    const [, version] = file.match(MIGRATION_FILE_PATTERN);
+    if (migrations.some(m => m.version === Number(version))) {
+      throw new Error(`Duplicate migration version ${version} (${file})`);
+    }
+    migrations.push({
+      version: Number(version),
+      name: file.replace(/\.sql$/, ''),
+      file: join(dir, file),
+      sql: await readFile(join(dir, file), 'utf8'),
+    });
+  }
+
+  return migrations;
+}
+
+/**
+ * Build the SQL that records a migration as applied
+ * @param {Object} migration - Migration from loadMigrations()
+ * @returns {string} INSERT statement
+ */
+function recordMigrationSql(migration) {
+  return `INSERT INTO schema_migrations (version, name) VALUES (${migration.version}, '${migration.name}');`;
+}
+
+/**
+ * Driver for a local SQLite file (requires Node 22.5+ for node:sqlite)
+ * Each migration runs in its own transaction.
+ * @param {string} file - Path to the SQLite database file
+ * @returns {Promise<Object>} Driver with query(), apply() and close()
+ */
+export async function createSqliteDriver(file) {
+  let DatabaseSync;
+  try {
+    ({ DatabaseSync } = await import('node:sqlite'));
+  } catch {
+    throw new Error(`SQLite support needs Node 22.5 or newer (running ${process.version})`);
+  }
+  const db = new DatabaseSync(file);
+
+  return {
+    description: `SQLite file ${file}`,
+
+    async query(sql) {
+      const stmt = db.prepare(sql);
+      return stmt.columns().length > 0 ? stmt.all() : (stmt.run(), []);
+    },
+
+    async apply(sql) {
+      db.exec('BEGIN');
+      try {
+        db.exec(sql);
+        db.exec('COMMIT');
+      } catch (error) {
+        db.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    async close() {
+      db.close();
+    }
+  };
+}
+
+/**
+ * Driver for an open D1-compatible binding (see server/d1-sqlite.js)
+ * Migrates on the binding's own connection, which a ":memory:" database
+ * needs. Each migration runs in its own transaction; close() leaves the
+ * binding open.
+ * @param {Object} DB - Binding from createSqliteD1()
+ * @param {string} description - Database description for log output
+ * @returns {Object} Driver with query(), apply() and close()
+ */
+export function createBindingDriver(DB, description) {
+  return {
+    description,
+
+    async query(sql) {
+      return (await DB.prepare(sql).all()).results;
+    },
+
+    async apply(sql) {
+      await DB.exec('BEGIN');
+      try {
+        await DB.exec(sql);
+        await DB.exec('COMMIT');
+      } catch (error) {
+        await DB.exec('ROLLBACK');
+        throw error;
+      }
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Driver for Cloudflare D1 via `wrangler d1 execute`
+ * @param {string} database - D1 database name
+ * @param {Object} options - Driver options
+ * @param {boolean} options.remote - Target the remote database instead of the local one
+ * @returns {Object} Driver with query(), apply() and close()
+ */
+export function createWranglerDriver(database, { remote = false } = {}) {
+  const target = remote ? '--remote' : '--local';
+
+  const wrangler = (args) => new Promise((resolve, reject) => {
+    execFile('npx', ['wrangler', 'd1', 'execute', database, ...args, target, '--json'],
+      { maxBuffer: 16 * 1024 * 1024 },
+      (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(stderr.trim() || stdout.trim() || error.message));
+          return;
+        }
+        try {
+          resolve(JSON.parse(stdout));
+        } catch {
+          reject(new Error(`Unexpected wrangler output: ${stdout.slice(0, 200)}`));
+        }
+      });
+  });
+
+  return {
+    description: `D1 database ${database} (${remote ? 'remote' : 'local'})`,
+
+    async query(sql) {
+      const [result] = await wrangler(['--command', sql.replace(/\s+/g, ' ').trim()]);
+      return result?.results || [];
+    },
+
+    async apply(sql) {
+      // --file accepts multi-statement SQL, including comments
+      const dir = await mkdtemp(join(tmpdir(), 'track-skills-migrate-'));
+      const file = join(dir, 'migration.sql');
+      try {
+        await writeFile(file, sql);
+        await wrangler(['--file', file]);
+      } finally {
+        await rm(dir, { recursive: true, force: true });
+      }
+    },
+
+    async close() {}
+  };
+}
+
+/**
+ * Get the versions already recorded in schema_migrations
+ * Read-only (--status and --dry-run run it against production): a database
+ * without the table has no versions applied.
+ * @param {Object} driver - Database driver
+ * @returns {Promise<Set<number>>} Applied versions
+ */
+export async function getAppliedVersions(driver) {
+  const tables = await driver.query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`);
+  if (tables.length === 0) {
+    return new Set();
+  }
+  const rows = await driver.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(rows.map(row => Number(row.version)));
+}
+
+/**
+ * Apply pending migrations in version order
+ * Stops at the first failing migration; later migrations are not attempted.
+ * @param {Object} driver - Database driver
+ * @param {Array} migrations - Migrations from loadMigrations()
+ * @param {Object} options - Runner options
+ * @param {boolean} options.dryRun - Only report what would be applied
+ * @param {Function} options.log - Progress logger (default: no-op)
+ * @returns {Promise<Object>} { applied, pending } lists of migration names
+ */
+export async function migrate(driver, migrations, { dryRun = false, log = () => {} } = {}) {
+  const appliedVersions = await getAppliedVersions(driver);
+  const pending = migrations.filter(m => !appliedVersions.has(m.version));
+  const applied = [];
+
+  if (dryRun) {
+    return { applied, pending: pending.map(m => m.name) };
+  }
+
+  await driver.query(CREATE_MIGRATIONS_TABLE);
+  for (const migration of pending) {
+    log(`Applying ${migration.name}...`);
+    await driver.apply(`${migration.sql}\n${recordMigrationSql(migration)}\n`);
+    applied.push(migration.name);
+  }
+
+  return { applied, pending: [] };
+}
+
+/**
+ * Record migrations up to a version as applied without running them
+ * @param {Object} driver - Database driver
+ * @param {Array} migrations - Migrations from loadMigrations()
+ * @param {number} version - Highest version to mark as applied
+ * @returns {Promise<Array>} Names of migrations that were recorded
+ */
+export async function baseline(driver, migrations, version) {
+  const appliedVersions = await getAppliedVersions(driver);
+  const recorded = migrations.filter(m => m.version <= version && !appliedVersions.has(m.version));
+
+  if (recorded.length > 0) {
+    await driver.query(CREATE_MIGRATIONS_TABLE);
+    await driver.apply(recorded.map(recordMigrationSql).join('\n'));
+  }
+
+  return recorded.map(m => m.name);
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    database: process.env.TRACK_SKILLS_DB || 'track-skills-db',
+    remote: false,
+    sqlite: null,
+    dryRun: false,
+    baseline: null,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--remote': options.remote = true; break;
+      case '--local': options.remote = false; break;
+      case '--database': options.database = argv[++i]; break;
+      case '--sqlite': options.sqlite = argv[++i]; break;
+      case '--status':
+      case '--dry-run': options.dryRun = true; break;
+      case '--baseline': options.baseline = Number(argv[++i]); break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const driver = options.sqlite
+    ? await createSqliteDriver(options.sqlite)
+    : createWranglerDriver(options.database, { remote: options.remote });
+
+  try {
+    const migrations = await loadMigrations();
+    console.log(`Migrations for ${driver.description}`);
+
+    if (options.baseline !== null) {
+      const recorded = await baseline(driver, migrations, options.baseline);
+      console.log(recorded.length ? `Marked as applied: ${recorded.join(', ')}` : 'Nothing to baseline');
+      return;
+    }
+
+    if (options.dryRun) {
+      const appliedVersions = await getAppliedVersions(driver);
+      for (const m of migrations) {
+        console.log(`  ${appliedVersions.has(m.version) ? '[applied]' : '[pending]'} ${m.name}`);
+      }
+      const { pending } = await migrate(driver, migrations, { dryRun: true });
+      console.log(pending.length ? `${pending.length} migration(s) would be applied` : 'Database is up to date');
+      return;
+    }
+
+    const { applied } = await migrate(driver, migrations, { log: message => console.log(`  ${message}`) });
+    console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+  } finally {
+    await driver.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Migration failed:', error.message);
+    process.exit(1);
+  });
+}
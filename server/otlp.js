@@ -0,0 +1,212 @@
+/**
+ * OpenTelemetry (OTLP/HTTP JSON) Span Mapping
+ *
+ * Converts OTLP trace exports into tracking events, so services that already
+ * emit OpenTelemetry can send their spans to /v1/traces. The reverse, for the
+ * JavaScript client, is shared/otlp.js.
+ *
+ * A span maps to an event like this:
+ * - tool_name: the first of toolNameAttributes, else the span name
+ * - duration_ms and timestamp: end minus start time, and the end time
+ * - status: error for span status ERROR (timeout with track_skills.status),
+ *   success otherwise; error_type and error_message come from error.type,
+ *   the span's exception event and the status message
+ * - tool_category: the first of categoryAttributes
+ * - metadata: trace_id, span_id, metadataAttributes and track_skills.metadata.*
+ * Attributes are looked up on the span, then on its resource.
+ *
+ * Configured with the OTLP_CONFIG var (a JSON object with the fields of
+ * DEFAULT_OTLP_CONFIG), e.g.
+ *   { "requireAttribute": "gen_ai.tool.name", "metadataAttributes": ["http.route"] }
+ */
+
+import { SPAN_ATTRIBUTES, STATUS_CODE_ERROR } from '../shared/otlp.js';
+import { EVENT_LIMITS } from '../shared/events.js';
+
+// User identifier attributes, in priority order (hashed like X-User-Id)
+const USER_ATTRIBUTES = ['user.id', 'enduser.id'];
+
+// Latest time a Date can hold (8.64e15 ms), in nanoseconds
+const MAX_TIME_NANOS = 8640000000000000n * 1000000n;
+
+export const DEFAULT_OTLP_CONFIG = {
+  // Only spans with this attribute are ingested; null ingests every span
+  requireAttribute: null,
+  // The first one present becomes the tool name (else the span name)
+  toolNameAttributes: [SPAN_ATTRIBUTES.toolName],
+  // The first one present becomes tool_category
+  categoryAttributes: [SPAN_ATTRIBUTES.toolCategory, 'service.name'],
+  // Copied into metadata under their own names
+  metadataAttributes: [],
+};
+
+/**
+ * Read OTLP mapping options from the OTLP_CONFIG var
+ * @param {Object} env - Worker environment
+ * @returns {Object} Options (defaults for unset fields)
+ * @throws {Error} If the var is not a JSON object or a field has the wrong type
+ */
+export function otlpConfig(env) {
+  const config = env.OTLP_CONFIG;
+  const options = typeof config === 'string' ? JSON.parse(config) : config || {};
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error('OTLP_CONFIG must be a JSON object');
+  }
+
+  const merged = { ...DEFAULT_OTLP_CONFIG, ...options };
+  if (merged.requireAttribute !== null && typeof merged.requireAttribute !== 'string') {
+    throw new Error('OTLP_CONFIG.requireAttribute must be a string or null');
+  }
+  for (const name of ['toolNameAttributes', 'categoryAttributes', 'metadataAttributes']) {
+    if (!Array.isArray(merged[name]) || merged[name].some(key => typeof key !== 'string')) {
+      throw new Error(`OTLP_CONFIG.${name} must be an array of attribute names`);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Decode an OTLP AnyValue
+ * int64 values arrive as strings or numbers; both become numbers.
+ * @param {Object} value - AnyValue ({ stringValue }, { intValue }, { arrayValue }, ...)
+ * @returns {*} Plain value, or null if empty
+ */
+function fromAnyValue(value) {
+  if (!value || typeof value !== 'object') return null;
+  if ('stringValue' in value) return String(value.stringValue);
+  if ('boolValue' in value) return Boolean(value.boolValue);
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return Number(value.doubleValue);
+  if ('arrayValue' in value) return (value.arrayValue?.values || []).map(fromAnyValue);
+  if ('kvlistValue' in value) return attributeMap(value.kvlistValue?.values);
+  if ('bytesValue' in value) return String(value.bytesValue);
+  return null;
+}
+
+/**
+ * Decode a KeyValue list into an object
+ * @param {Object[]} attributes - [{ key, value: AnyValue }]
+ * @returns {Object} Attribute name to value
+ */
+function attributeMap(attributes) {
+  const map = {};
+  for (const attribute of Array.isArray(attributes) ? attributes : []) {
+    if (attribute && typeof attribute.key === 'string') {
+      map[attribute.key] = fromAnyValue(attribute.value);
+    }
+  }
+  return map;
+}
+
+/**
+ * Parse a span time (nanoseconds since epoch, as a string or number)
+ * @param {string|number} time - startTimeUnixNano or endTimeUnixNano
+ * @returns {bigint|null} Nanoseconds, or null if missing or invalid
+ */
+function parseNanos(time) {
+  if ((typeof time !== 'string' && typeof time !== 'number') || !/^\d+$/.test(String(time))) {
+    return null;
+  }
+  return BigInt(time);
+}
+
+/**
+ * Convert one span into an event in the /api/track payload shape
+ * @param {Object} span - OTLP span
+ * @param {Object} resource - Decoded resource attributes
+ * @param {Object} config - Options from otlpConfig()
+ * @returns {Object} { event, userId, errors } (userId: from user.id/enduser.id, or null;
+ *   errors: span fields that can't be mapped, as validateEvent() errors)
+ */
+function spanToEvent(span, resource, config) {
+  const attributes = attributeMap(span.attributes);
+  const attribute = (key) => attributes[key] ?? resource[key] ?? null;
+  const firstOf = (keys) => keys.map(attribute).find(value => value !== null) ?? null;
+  const text = (value) => value === null ? null : String(value);
+
+  const start = parseNanos(span.startTimeUnixNano);
+  const errors = [];
+  let end = parseNanos(span.endTimeUnixNano);
+  if (end !== null && end > MAX_TIME_NANOS) {
+    errors.push({ field: 'endTimeUnixNano', message: 'is out of range' });
+    end = null;
+  }
+  const duration = start !== null && end !== null && end >= start ? Number((end - start) / 1000000n) : null;
+
+  // Errors: span status ERROR; timeouts are errors flagged with track_skills.status
+  const statusCode = span.status?.code;
+  const failed = statusCode === STATUS_CODE_ERROR || statusCode === 'STATUS_CODE_ERROR';
+  const status = failed ? (attribute(SPAN_ATTRIBUTES.status) === 'timeout' ? 'timeout' : 'error') : 'success';
+  const exception = (Array.isArray(span.events) ? span.events : []).find(event => event?.name === 'exception');
+  const exceptionAttributes = attributeMap(exception?.attributes);
+
+  const metadata = {};
+  if (span.traceId) metadata.trace_id = String(span.traceId);
+  if (span.spanId) metadata.span_id = String(span.spanId);
+  for (const key of config.metadataAttributes) {
+    if (attribute(key) !== null) metadata[key] = attribute(key);
+  }
+  for (const [key, value] of Object.entries(attributes)) {
+    if (key.startsWith(SPAN_ATTRIBUTES.metadataPrefix) && value !== null) {
+      metadata[key.slice(SPAN_ATTRIBUTES.metadataPrefix.length)] = value;
+    }
+  }
+
+  const size = (key) => Number.isInteger(attribute(key)) ? attribute(key) : null;
+  const event = {
+    tool_name: text(firstOf(config.toolNameAttributes)) ?? span.name,
+    tool_category: text(firstOf(config.categoryAttributes)),
+    duration_ms: duration,
+    status,
+    error_type: failed ? text(attribute(SPAN_ATTRIBUTES.errorType) ?? exceptionAttributes['exception.type']) : null,
+    // Long exception messages are cut to the cap, like the JavaScript client does
+    error_message: failed ? text(exceptionAttributes['exception.message'] ?? (span.status?.message || null))?.slice(0, EVENT_LIMITS.errorMessageLength) ?? null : null,
+    metadata: Object.keys(metadata).length > 0 ? metadata : null,
+    session_id: text(attribute(SPAN_ATTRIBUTES.sessionId)),
+    request_size_bytes: size(SPAN_ATTRIBUTES.requestSizeBytes),
+    response_size_bytes: size(SPAN_ATTRIBUTES.responseSizeBytes),
+    tool_version: text(attribute(SPAN_ATTRIBUTES.toolVersion) ?? resource['service.version'] ?? null),
+    client_version: text(attribute(SPAN_ATTRIBUTES.clientVersion)),
+    // Resent spans keep their IDs, so they are dropped as duplicates
+    event_id: text(attribute(SPAN_ATTRIBUTES.eventId)) ?? (span.traceId && span.spanId ? `${span.traceId}-${span.spanId}` : null),
+    timestamp: end !== null ? new Date(Number(end / 1000000n)).toISOString() : null,
+  };
+  return { event, userId: text(USER_ATTRIBUTES.map(attribute).find(value => value !== null) ?? null), errors };
+}
+
+/**
+ * Convert an OTLP/HTTP JSON trace export into events
+ * Events still need validateEvent(); spans without config.requireAttribute
+ * are skipped.
+ * @param {Object} body - ExportTraceServiceRequest ({ resourceSpans: [...] })
+ * @param {Object} config - Options from otlpConfig() (default: DEFAULT_OTLP_CONFIG)
+ * @returns {Object} { spans: Array<{ event, userId, errors }>, skipped }
+ * @throws {Error} If the body is not an ExportTraceServiceRequest
+ */
+export function spansToEvents(body, config = DEFAULT_OTLP_CONFIG) {
+  if (!body || typeof body !== 'object' || !Array.isArray(body.resourceSpans)) {
+    throw new Error('Expected an OTLP trace export with resourceSpans');
+  }
+
+  const spans = [];
+  let skipped = 0;
+  for (const resourceSpans of body.resourceSpans) {
+    const resource = attributeMap(resourceSpans?.resource?.attributes);
+    // instrumentationLibrarySpans is the pre-1.0 name of scopeSpans
+    for (const scopeSpans of resourceSpans?.scopeSpans || resourceSpans?.instrumentationLibrarySpans || []) {
+      for (const span of scopeSpans?.spans || []) {
+        if (!span || typeof span !== 'object') {
+          spans.push({ event: null, userId: null, errors: [] });
+          continue;
+        }
+        const required = config.requireAttribute;
+        if (required && !Object.hasOwn(attributeMap(span.attributes), required) && !Object.hasOwn(resource, required)) {
+          skipped++;
+          continue;
+        }
+        spans.push(spanToEvent(span, resource, config));
+      }
+    }
+  }
+  return { spans, skipped };
+}
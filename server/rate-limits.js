@@ -0,0 +1,100 @@
+/**
+ * Ingest Rate Limits
+ *
+ * Caps how many events one API key and one user hash may send to /api/track*
+ * per fixed window, so a runaway hook loop or a misbehaving skill can't flood
+ * D1. Requests over a limit get 429 with Retry-After; the clients spool them
+ * and retry later. The user hash comes from the client-chosen X-User-Id, so
+ * only the per-key limit holds against a caller that varies it.
+ *
+ * Counters live in the ingest_rate_limits table (server/008_add_ingest_controls.sql).
+ * Configured with the RATE_LIMITS var (a JSON object with the fields of
+ * DEFAULT_RATE_LIMITS), e.g.
+ *   { "windowSeconds": 60, "perKey": 5000, "perUser": 300 }
+ * A limit of 0 turns it off; with both off, ingest does no extra D1 writes.
+ */
+
+export const DEFAULT_RATE_LIMITS = {
+  windowSeconds: 60,
+  // Events per API key and window (all clients sharing the key)
+  perKey: 3000,
+  // Events per user hash and window (clients choose X-User-Id; not a hard cap)
+  perUser: 600,
+};
+
+// Counters of windows that ended this long ago are purged
+const RATE_LIMIT_RETENTION_SECONDS = 3600;
+
+/**
+ * Read rate limits from the RATE_LIMITS var
+ * @param {Object} env - Worker environment
+ * @returns {Object} { windowSeconds, perKey, perUser } (defaults for unset fields)
+ * @throws {Error} If the var is not a JSON object or a value is not a non-negative integer
+ */
+export function rateLimitConfig(env) {
+  const config = env.RATE_LIMITS;
+  const options = typeof config === 'string' ? JSON.parse(config) : config || {};
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error('RATE_LIMITS must be a JSON object');
+  }
+
+  const limits = { ...DEFAULT_RATE_LIMITS, ...options };
+  for (const [name, value] of Object.entries(limits)) {
+    if (!Number.isInteger(value) || value < 0 || (name === 'windowSeconds' && value === 0)) {
+      throw new Error(`Invalid RATE_LIMITS.${name}: ${value}`);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Count events against the key and user limits
+ * Events are counted even when the request is then refused, so a client that
+ * keeps retrying stays limited until the window ends.
+ * @param {Object} env - Worker environment with DB binding (and optional RATE_LIMITS var)
+ * @param {Object} request - What is being ingested
+ * @param {number|null} request.keyId - API key ID (null for ADMIN_API_KEY)
+ * @param {string|null} request.userIdHash - User hash (null: no per-user limit)
+ * @param {number} request.events - Number of events in the request (default: 1)
+ * @param {Date} request.now - Current time (default: now)
+ * @returns {Promise<Object>} { ok: true } or { ok: false, scope: 'key'|'user', limit, retryAfter (seconds) }
+ */
+export async function checkRateLimits(env, { keyId, userIdHash, events = 1, now = new Date() }) {
+  const { windowSeconds, perKey, perUser } = rateLimitConfig(env);
+  const checks = [
+    perKey > 0 && { scope: 'key', bucket: `key:${keyId ?? 'admin'}`, limit: perKey },
+    perUser > 0 && userIdHash && { scope: 'user', bucket: `user:${userIdHash}`, limit: perUser },
+  ].filter(Boolean);
+  if (checks.length === 0) {
+    return { ok: true };
+  }
+
+  const windowStart = Math.floor(now.getTime() / 1000 / windowSeconds) * windowSeconds;
+  const results = await env.DB.batch(checks.map(({ bucket }) => env.DB.prepare(`
+    INSERT INTO ingest_rate_limits (bucket, window_start, count) VALUES (?, ?, ?)
+    ON CONFLICT (bucket, window_start) DO UPDATE SET count = count + excluded.count
+    RETURNING count
+  `).bind(bucket, windowStart, events)));
+
+  for (const [index, { scope, limit }] of checks.entries()) {
+    if ((results[index].results[0]?.count ?? 0) > limit) {
+      const retryAfter = Math.max(1, Math.ceil(windowStart + windowSeconds - now.getTime() / 1000));
+      return { ok: false, scope, limit, retryAfter };
+    }
+  }
+  return { ok: true };
+}
+
+/**
+ * Delete counters of windows that ended more than an hour ago
+ * @param {Object} env - Worker environment with DB binding (and optional RATE_LIMITS var)
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<number>} Deleted counters
+ */
+export async function purgeRateLimits(env, now = new Date()) {
+  const { windowSeconds } = rateLimitConfig(env);
+  const result = await env.DB.prepare(`
+    DELETE FROM ingest_rate_limits WHERE window_start < ?
+  `).bind(Math.floor(now.getTime() / 1000) - windowSeconds - RATE_LIMIT_RETENTION_SECONDS).run();
+  return result.meta?.changes || 0;
+}
@@ -0,0 +1,30 @@
+/**
+ * PII and Secret Redaction at Ingest
+ *
+ * Scrubs error messages and metadata before they are stored, with the
+ * redactor from shared/redaction.js.
+ *
+ * Configured with the REDACTION_CONFIG var (a JSON object with the options of
+ * createRedactor()), e.g.
+ *   { "detectors": ["email", "bearer_token"], "patterns": [{ "name": "ticket", "pattern": "ACME-\\d+" }] }
+ */
+
+export { REDACTION_DETECTORS, DEFAULT_DENY_KEYS, DEFAULT_REDACTION_OPTIONS, createRedactor } from '../shared/redaction.js';
+
+/**
+ * Read redaction options from the REDACTION_CONFIG var
+ * @param {Object} env - Worker environment
+ * @returns {Object} Options for createRedactor() (defaults if the var is unset)
+ * @throws {Error} If the var is not a JSON object
+ */
+export function redactionConfig(env) {
+  const config = env.REDACTION_CONFIG;
+  if (!config) {
+    return {};
+  }
+  const options = typeof config === 'string' ? JSON.parse(config) : config;
+  if (typeof options !== 'object' || options === null || Array.isArray(options)) {
+    throw new Error('REDACTION_CONFIG must be a JSON object');
+  }
+  return options;
+}
@@ -0,0 +1,283 @@
+#!/usr/bin/env node
+/**
+ * Re-key Stored User Hashes
+ *
+ * Converts user and session hashes stored before USER_HASH_SECRET was set
+ * (plain SHA-256) into the keyed hashes the Worker writes now, so users keep
+ * one hash across the switch and retention/cohort history stays intact.
+ * Keyed hashes are derived from the plain ones (see keyUserHash() in
+ * tracking-utils.js), so the original identifiers are not needed.
+ *
+ * Only rows older than --before (the time the secret went live) are touched;
+ * newer rows already carry keyed hashes. usage_daily_users is re-keyed in
+ * place for days whose raw events were purged, and rebuilt from the re-keyed
+ * raw events for the rest. The rollup watermarks are moved back to the start
+ * of the --before day, so the next rollup run recounts unique users there.
+ *
+ * Back up the database first (D1 Time Travel, or a copy of the SQLite file):
+ * a run is recorded in rollup_state and can't be repeated or undone.
+ *
+ * Usage:
+ *   USER_HASH_SECRET=... node server/rehash-users.js --before <timestamp> [--remote | --local] [--database <name>]
+ *   USER_HASH_SECRET=... node server/rehash-users.js --before <timestamp> --sqlite <file>
+ *
+ * Options:
+ *   --before <timestamp>  When the secret was deployed, UTC ('YYYY-MM-DD HH:MM:SS' or ISO)
+ *   --rotation <period>   USER_HASH_ROTATION of the Worker (default: $USER_HASH_ROTATION or none)
+ *   --apply               Write the changes (default: only report what would change)
+ */
+
+import { pathToFileURL } from 'node:url';
+import { createSqliteDriver, createWranglerDriver } from './migrate.js';
+import { HASH_ROTATIONS, hashPeriod, keyUserHash } from './tracking-utils.js';
+
+// rollup_state key recording a completed (or interrupted) run
+export const REHASH_STATE_KEY = 'user_hash_keyed_before';
+
+// Statements per driver.apply() call (one wrangler file / transaction each)
+const REHASH_CHUNK_SIZE = 500;
+
+/**
+ * Quote a string as an SQL literal
+ * @param {string} value - Value to quote
+ * @returns {string} Quoted literal
+ */
+function sqlString(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} day - Date
+ * @param {number} days - Days to add
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(day, days) {
+  const date = new Date(`${day}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First and next-after-last day of a rotation period
+ * @param {string} period - Result of hashPeriod()
+ * @param {string} rotation - One of HASH_ROTATIONS except none
+ * @returns {Object} { start, end } as YYYY-MM-DD (end exclusive)
+ */
+function periodDays(period, rotation) {
+  switch (rotation) {
+    case 'daily': return { start: period, end: addDays(period, 1) };
+    case 'weekly': return { start: period, end: addDays(period, 7) };
+    default: {
+      const start = `${period}-01`;
+      const next = new Date(`${start}T00:00:00Z`);
+      next.setUTCMonth(next.getUTCMonth() + 1);
+      return { start, end: next.toISOString().slice(0, 10) };
+    }
+  }
+}
+
+/**
+ * Parse the --before timestamp
+ * @param {string} value - 'YYYY-MM-DD HH:MM[:SS]' or ISO, UTC
+ * @returns {string} SQL timestamp ('YYYY-MM-DD HH:MM:SS')
+ * @throws {Error} If the value is not a UTC timestamp
+ */
+function parseBefore(value) {
+  const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2}:\d{2}(?::\d{2})?)(?:\.\d+)?Z?$/.exec(value || '');
+  const date = match && new Date(`${match[1]}T${match[2]}Z`);
+  if (!date || isNaN(date.getTime())) {
+    throw new Error('--before must be a UTC timestamp (YYYY-MM-DD HH:MM:SS)');
+  }
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Work out the statements that re-key stored hashes
+ * @param {Object} driver - Database driver (see migrate.js)
+ * @param {Object} options - Re-key options
+ * @param {string} options.secret - USER_HASH_SECRET
+ * @param {string} options.rotation - USER_HASH_ROTATION (default: none)
+ * @param {string} options.before - SQL timestamp the secret went live
+ * @returns {Promise<Object>} { statements, users, sessions, rebuildFrom }
+ * @throws {Error} If the database was already re-keyed
+ */
+export async function planRehash(driver, { secret, rotation = 'none', before }) {
+  if (!secret) {
+    throw new Error('USER_HASH_SECRET is not set');
+  }
+  if (!HASH_ROTATIONS.includes(rotation)) {
+    throw new Error(`Invalid rotation: ${rotation}. Use one of ${HASH_ROTATIONS.join(', ')}`);
+  }
+
+  const state = Object.fromEntries(
+    (await driver.query('SELECT key, value FROM rollup_state')).map(row => [row.key, row.value])
+  );
+  if (state[REHASH_STATE_KEY]) {
+    throw new Error(`User hashes were already re-keyed (before ${state[REHASH_STATE_KEY]}); restore a backup to run again`);
+  }
+
+  // Days from here on still have complete raw events, so their daily users are rebuilt
+  const [{ oldest }] = await driver.query('SELECT MIN(timestamp) AS oldest FROM skill_usage_events');
+  const beforeDay = before.slice(0, 10);
+  const rebuildFrom = oldest && addDays(String(oldest).slice(0, 10), 1) < beforeDay
+    ? addDays(String(oldest).slice(0, 10), 1)
+    : beforeDay;
+
+  // Distinct (hash, day) pairs; without rotation the day doesn't matter
+  const dayColumn = (column) => (rotation === 'none' ? `'all'` : column);
+  const eventUsers = await driver.query(`
+    SELECT DISTINCT user_id_hash AS hash, ${dayColumn('DATE(timestamp)')} AS day
+    FROM skill_usage_events WHERE timestamp < ${sqlString(before)}
+  `);
+  const dailyUsers = await driver.query(`
+    SELECT DISTINCT user_id_hash AS hash, ${dayColumn('day')} AS day
+    FROM usage_daily_users WHERE day < ${sqlString(rebuildFrom)}
+  `);
+  const sessions = await driver.query(`
+    SELECT DISTINCT session_id_hash AS hash
+    FROM skill_usage_events WHERE session_id_hash IS NOT NULL AND timestamp < ${sqlString(before)}
+  `);
+
+  // One keyed hash per (hash, rotation period)
+  const keyed = new Map();
+  for (const { hash, day } of [...eventUsers, ...dailyUsers]) {
+    const period = rotation === 'none' ? 'all' : hashPeriod(new Date(`${day}T00:00:00Z`), rotation);
+    const key = `${period}|${hash}`;
+    if (!keyed.has(key)) {
+      keyed.set(key, { hash, period, now: new Date(`${day}T00:00:00Z`) });
+    }
+  }
+
+  const statements = [
+    `INSERT INTO rollup_state (key, value, updated_at) VALUES (${sqlString(REHASH_STATE_KEY)}, ${sqlString(before)}, CURRENT_TIMESTAMP);`,
+  ];
+
+  for (const { hash, period, now } of keyed.values()) {
+    const newHash = await keyUserHash(hash, { secret, rotation, now });
+    let eventRange = '';
+    let dayRange = '';
+    if (rotation !== 'none') {
+      const { start, end } = periodDays(period, rotation);
+      eventRange = ` AND timestamp >= ${sqlString(`${start} 00:00:00`)} AND timestamp < ${sqlString(`${end} 00:00:00`)}`;
+      dayRange = ` AND day >= ${sqlString(start)} AND day < ${sqlString(end)}`;
+    }
+    statements.push(
+      `UPDATE skill_usage_events SET user_id_hash = ${sqlString(newHash)} WHERE user_id_hash = ${sqlString(hash)} AND timestamp < ${sqlString(before)}${eventRange};`,
+      `UPDATE usage_daily_users SET user_id_hash = ${sqlString(newHash)} WHERE user_id_hash = ${sqlString(hash)} AND day < ${sqlString(rebuildFrom)}${dayRange};`
+    );
+  }
+
+  // Session hashes are keyed but never rotated (see hashSessionId())
+  for (const { hash } of sessions) {
+    const newHash = await keyUserHash(hash, { secret, rotation: 'none' });
+    statements.push(
+      `UPDATE skill_usage_events SET session_id_hash = ${sqlString(newHash)} WHERE session_id_hash = ${sqlString(hash)} AND timestamp < ${sqlString(before)};`
+    );
+  }
+
+  // Rebuild daily users from the re-keyed raw events, up to where rollups got
+  statements.push(`DELETE FROM usage_daily_users WHERE day >= ${sqlString(rebuildFrom)};`);
+  if (state.daily_until) {
+    statements.push(`
+      INSERT OR IGNORE INTO usage_daily_users (project_id, day, tool_name, user_id_hash)
+      SELECT DISTINCT project_id, DATE(timestamp), tool_name, user_id_hash
+      FROM skill_usage_events
+      WHERE timestamp >= ${sqlString(`${rebuildFrom} 00:00:00`)} AND timestamp < ${sqlString(state.daily_until)};
+    `.trim());
+  }
+
+  // Rollup buckets around the switch counted some users under both hashes
+  const rewindTo = `${beforeDay} 00:00:00`;
+  for (const key of ['hourly_until', 'daily_until']) {
+    if (state[key] && state[key] > rewindTo) {
+      statements.push(`UPDATE rollup_state SET value = ${sqlString(rewindTo)}, updated_at = CURRENT_TIMESTAMP WHERE key = '${key}';`);
+    }
+  }
+
+  return { statements, users: keyed.size, sessions: sessions.length, rebuildFrom };
+}
+
+/**
+ * Apply planned statements in chunks
+ * The run marker goes first, so an interrupted run can't be repeated on top
+ * of partially re-keyed rows.
+ * @param {Object} driver - Database driver
+ * @param {string[]} statements - Result of planRehash()
+ * @param {Function} log - Progress logger (default: no-op)
+ * @returns {Promise<void>}
+ */
+export async function applyRehash(driver, statements, log = () => {}) {
+  for (let i = 0; i < statements.length; i += REHASH_CHUNK_SIZE) {
+    log(`Applying statements ${i + 1}-${Math.min(i + REHASH_CHUNK_SIZE, statements.length)} of ${statements.length}...`);
+    await driver.apply(statements.slice(i, i + REHASH_CHUNK_SIZE).join('\n'));
+  }
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    database: process.env.TRACK_SKILLS_DB || 'track-skills-db',
+    remote: false,
+    sqlite: null,
+    rotation: process.env.USER_HASH_ROTATION || 'none',
+    before: null,
+    apply: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--remote': options.remote = true; break;
+      case '--local': options.remote = false; break;
+      case '--database': options.database = argv[++i]; break;
+      case '--sqlite': options.sqlite = argv[++i]; break;
+      case '--rotation': options.rotation = argv[++i]; break;
+      case '--before': options.before = parseBefore(argv[++i]); break;
+      case '--apply': options.apply = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  if (!options.before) {
+    throw new Error('--before is required: the UTC time USER_HASH_SECRET went live');
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const driver = options.sqlite
+    ? await createSqliteDriver(options.sqlite)
+    : createWranglerDriver(options.database, { remote: options.remote });
+
+  try {
+    console.log(`Re-keying user hashes before ${options.before} in ${driver.description} (rotation: ${options.rotation})`);
+    const plan = await planRehash(driver, {
+      secret: process.env.USER_HASH_SECRET,
+      rotation: options.rotation,
+      before: options.before,
+    });
+    console.log(`  ${plan.users} user hash(es), ${plan.sessions} session hash(es); daily users rebuilt from ${plan.rebuildFrom}`);
+
+    if (!options.apply) {
+      console.log(`Dry run: ${plan.statements.length} statement(s) would be applied (pass --apply to write)`);
+      return;
+    }
+
+    await applyRehash(driver, plan.statements, message => console.log(`  ${message}`));
+    console.log('Done. The next rollup run recounts unique users from the --before day on.');
+  } finally {
+    await driver.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Re-keying failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,281 @@
+/**
+ * Usage Rollups and Raw Event Retention
+ *
+ * Run from the Worker's scheduled handler (see examples/worker-integration.js).
+ * Aggregates skill_usage_events into hourly and daily rollup tables, records
+ * which users were active per day, and purges raw events past their retention
+ * age. Analytics read the rollups for everything before the daily watermark,
+ * so queries stay fast and keep working after raw rows are gone.
+ *
+ * Tables: server/004_create_rollups.sql
+ */
+
+import { DEFAULT_TOOL_CATEGORY } from '../shared/events.js';
+
+// Raw events older than this are deleted (override with the RAW_RETENTION_DAYS var, 0 keeps them forever)
+export const DEFAULT_RAW_RETENTION_DAYS = 90;
+
+// Already rolled-up buckets are re-aggregated this far back, to pick up late events
+const REROLL_HOURS = 24;
+
+// rollup_state key holding the oldest timestamp of events that arrived too late for re-aggregation
+export const LATE_EVENTS_STATE_KEY = 'late_since';
+
+// Upper bound on the range aggregated per run, so a first backfill is spread over several runs
+const MAX_ROLLUP_DAYS_PER_RUN = 31;
+
+// Raw rows deleted per statement, and statements per run
+const PURGE_CHUNK_SIZE = 5000;
+const MAX_PURGE_CHUNKS = 20;
+
+const HOUR_MS = 3600000;
+
+/**
+ * Rollup granularities: target table, watermark key, SQL bucket expression
+ * and the matching JS formatter (both produce the same bucket keys)
+ */
+const GRANULARITIES = {
+  hour: {
+    table: 'usage_rollups_hourly',
+    stateKey: 'hourly_until',
+    bucketSql: `strftime('%Y-%m-%d %H:00', timestamp)`,
+    format: (date) => `${date.toISOString().slice(0, 10)} ${date.toISOString().slice(11, 13)}:00`,
+    truncate: (date) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS),
+  },
+  day: {
+    table: 'usage_rollups_daily',
+    stateKey: 'daily_until',
+    bucketSql: `DATE(timestamp)`,
+    format: (date) => date.toISOString().slice(0, 10),
+    truncate: (date) => new Date(Math.floor(date.getTime() / (24 * HOUR_MS)) * 24 * HOUR_MS),
+  },
+};
+
+/**
+ * Parse a stored timestamp or bucket key ('YYYY-MM-DD', 'YYYY-MM-DD HH:00',
+ * 'YYYY-MM-DD HH:MM:SS' or ISO) as UTC, truncated to the hour
+ * @param {string} value - Timestamp or bucket key
+ * @returns {Date} Parsed date
+ */
+function parseBucket(value) {
+  return new Date(`${value.slice(0, 10)}T${value.slice(11, 13) || '00'}:00:00Z`);
+}
+
+/**
+ * Read the rollup watermarks
+ * @param {Object} env - Worker environment with DB binding
+ * @returns {Promise<Object>} { hourly_until, daily_until }, null where nothing is rolled up yet
+ */
+export async function getRollupState(env) {
+  const results = await env.DB.prepare(`SELECT key, value FROM rollup_state`).all();
+  const state = { hourly_until: null, daily_until: null };
+  for (const row of results.results) {
+    state[row.key] = row.value;
+  }
+  return state;
+}
+
+/**
+ * Statement recording a late event, if it is one
+ * Events with a client-supplied timestamp (e.g. from an offline spool) may
+ * land in buckets that won't be re-aggregated anymore. Their oldest timestamp
+ * is kept in rollup_state, and the next runRollups() starts from there. The
+ * threshold leaves two hours of slack for a watermark that lags behind now.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {string} timestamp - Stored event timestamp ('YYYY-MM-DD HH:MM:SS')
+ * @param {Date} now - Current time (default: now)
+ * @returns {D1PreparedStatement|null} Statement to run with the insert, or null for on-time events
+ */
+export function lateEventStatement(env, timestamp, now = new Date()) {
+  const threshold = new Date(now.getTime() - (REROLL_HOURS - 2) * HOUR_MS).toISOString().slice(0, 19).replace('T', ' ');
+  if (timestamp >= threshold) {
+    return null;
+  }
+  return env.DB.prepare(`
+    INSERT INTO rollup_state (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+    ON CONFLICT (key) DO UPDATE SET value = MIN(value, excluded.value), updated_at = CURRENT_TIMESTAMP
+  `).bind(LATE_EVENTS_STATE_KEY, timestamp);
+}
+
+/**
+ * Build the statements that aggregate raw events in [from, to) into one granularity
+ * Existing rollup rows for the same buckets are replaced, so re-running is safe.
+ * @param {Object} env - Worker environment with DB binding
+ * @param {string} granularity - hour or day
+ * @param {string} from - First bucket key to aggregate (inclusive)
+ * @param {string} to - Bucket key to stop at (exclusive); becomes the new watermark
+ * @returns {D1PreparedStatement[]} Statements to run in one batch
+ */
+function rollupStatements(env, granularity, from, to) {
+  const { table, stateKey, bucketSql } = GRANULARITIES[granularity];
+
+  const statements = [
+    // Nearest-rank percentiles, as in getLatencyStats(); counts scaled for sampling (server/sampling.js)
+    env.DB.prepare(`
+      INSERT OR REPLACE INTO ${table}
+      (project_id, bucket, tool_name, tool_category, invocations, success_count, error_count, timeout_count,
+       duration_count, duration_sum, duration_max, p50_ms, p95_ms, p99_ms, unique_users)
+      WITH events AS (
+        SELECT project_id, ${bucketSql} AS bucket, tool_name, COALESCE(tool_category, ?) AS tool_category,
+          user_id_hash, status, duration_ms, sample_rate
+        FROM skill_usage_events
+        WHERE timestamp >= ? AND timestamp < ?
+      ),
+      ranked AS (
+        SELECT *,
+          ROW_NUMBER() OVER (PARTITION BY project_id, bucket, tool_name, tool_category, duration_ms IS NULL ORDER BY duration_ms) AS rn,
+          SUM(duration_ms IS NOT NULL) OVER (PARTITION BY project_id, bucket, tool_name, tool_category) AS cnt
+        FROM events
+      )
+      SELECT
+        project_id,
+        bucket,
+        tool_name,
+        tool_category,
+        ROUND(SUM(1.0 / sample_rate)),
+        ROUND(SUM(CASE WHEN status = 'success' THEN 1.0 / sample_rate ELSE 0 END)),
+        ROUND(SUM(CASE WHEN status = 'error' THEN 1.0 / sample_rate ELSE 0 END)),
+        ROUND(SUM(CASE WHEN status = 'timeout' THEN 1.0 / sample_rate ELSE 0 END)),
+        ROUND(SUM(CASE WHEN duration_ms IS NOT NULL THEN 1.0 / sample_rate ELSE 0 END)),
+        ROUND(SUM(duration_ms / sample_rate)),
+        MAX(duration_ms),
+        MIN(CASE WHEN duration_ms IS NOT NULL AND rn >= cnt * 0.50 THEN duration_ms END),
+        MIN(CASE WHEN duration_ms IS NOT NULL AND rn >= cnt * 0.95 THEN duration_ms END),
+        MIN(CASE WHEN duration_ms IS NOT NULL AND rn >= cnt * 0.99 THEN duration_ms END),
+        COUNT(DISTINCT user_id_hash)
+      FROM ranked
+      GROUP BY project_id, bucket, tool_name, tool_category
+    `).bind(DEFAULT_TOOL_CATEGORY, from, to),
+  ];
+
+  // Distinct users only add up across days through the per-user table
+  if (granularity === 'day') {
+    statements.push(env.DB.prepare(`
+      INSERT OR IGNORE INTO usage_daily_users (project_id, day, tool_name, user_id_hash)
+      SELECT DISTINCT project_id, DATE(timestamp), tool_name, user_id_hash
+      FROM skill_usage_events
+      WHERE timestamp >= ? AND timestamp < ?
+    `).bind(from, to));
+  }
+
+  statements.push(env.DB.prepare(`
+    INSERT OR REPLACE INTO rollup_state (key, value, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)
+  `).bind(stateKey, to));
+
+  return statements;
+}
+
+/**
+ * Aggregate completed hours and days into the rollup tables
+ * Starts from the oldest raw event on the first run; afterwards re-aggregates
+ * the last REROLL_HOURS before the watermark (or from the oldest late event,
+ * see lateEventStatement()) and moves the watermark up to the current
+ * (incomplete) hour or day. Late events in days whose raw events may already
+ * be purged are not rolled up, so complete rollup rows are never replaced.
+ * @param {Object} env - Worker environment with DB binding (and optional RAW_RETENTION_DAYS var)
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object>} Aggregated { hour, day } ranges, null where nothing was due
+ */
+export async function runRollups(env, now = new Date()) {
+  const state = await getRollupState(env);
+
+  let oldest = null;
+  if (!state.hourly_until || !state.daily_until) {
+    const row = await env.DB.prepare(`SELECT MIN(timestamp) AS oldest FROM skill_usage_events`).first();
+    if (!row?.oldest) {
+      return { hour: null, day: null };
+    }
+    oldest = parseBucket(String(row.oldest));
+  }
+
+  // Purging only deletes whole days before now minus the retention, so later days are complete
+  let late = state[LATE_EVENTS_STATE_KEY] ? parseBucket(state[LATE_EVENTS_STATE_KEY]) : null;
+  const retentionDays = parseInt(env.RAW_RETENTION_DAYS ?? DEFAULT_RAW_RETENTION_DAYS);
+  if (late && retentionDays > 0) {
+    const complete = GRANULARITIES.day.truncate(new Date(now.getTime() - retentionDays * 24 * HOUR_MS));
+    late = new Date(Math.max(late.getTime(), complete.getTime() + 24 * HOUR_MS));
+  }
+
+  const ranges = {};
+  for (const [granularity, { stateKey, format, truncate }] of Object.entries(GRANULARITIES)) {
+    let from = truncate(state[stateKey]
+      ? new Date(parseBucket(state[stateKey]).getTime() - REROLL_HOURS * HOUR_MS)
+      : oldest);
+    if (late && state[stateKey] && late < from) {
+      from = truncate(late);
+    }
+    const end = truncate(now);
+    const to = new Date(Math.min(end.getTime(), from.getTime() + MAX_ROLLUP_DAYS_PER_RUN * 24 * HOUR_MS));
+
+    if (from >= to) {
+      ranges[granularity] = null;
+      continue;
+    }
+
+    // D1 runs a batch as one transaction: rollup rows and watermark move together
+    const statements = rollupStatements(env, granularity, format(from), format(to));
+    if (granularity === 'day' && state[LATE_EVENTS_STATE_KEY]) {
+      // Only clear the marker if no older late event arrived since it was read
+      statements.push(env.DB.prepare(`
+        DELETE FROM rollup_state WHERE key = ? AND value = ?
+      `).bind(LATE_EVENTS_STATE_KEY, state[LATE_EVENTS_STATE_KEY]));
+    }
+    await env.DB.batch(statements);
+    ranges[granularity] = { from: format(from), to: format(to) };
+  }
+
+  return ranges;
+}
+
+/**
+ * Delete raw events older than the retention age
+ * Only deletes events that are already rolled up and outside the re-aggregation
+ * window, so the rollups never lose data. Deletes whole UTC days, in chunks.
+ * @param {Object} env - Worker environment with DB binding (and optional RAW_RETENTION_DAYS var)
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object>} { deleted, cutoff } (cutoff is null when nothing may be purged)
+ */
+export async function purgeRawEvents(env, now = new Date()) {
+  const retentionDays = parseInt(env.RAW_RETENTION_DAYS ?? DEFAULT_RAW_RETENTION_DAYS);
+  if (!(retentionDays > 0)) {
+    return { deleted: 0, cutoff: null };
+  }
+
+  const state = await getRollupState(env);
+  if (!state.hourly_until || !state.daily_until) {
+    return { deleted: 0, cutoff: null };
+  }
+
+  const rerollStart = (key) => parseBucket(state[key]).getTime() - REROLL_HOURS * HOUR_MS;
+  const cutoff = GRANULARITIES.day.format(GRANULARITIES.day.truncate(new Date(Math.min(
+    now.getTime() - retentionDays * 24 * HOUR_MS,
+    rerollStart('hourly_until'),
+    rerollStart('daily_until')
+  ))));
+
+  let deleted = 0;
+  for (let chunk = 0; chunk < MAX_PURGE_CHUNKS; chunk++) {
+    const result = await env.DB.prepare(`
+      DELETE FROM skill_usage_events
+      WHERE id IN (SELECT id FROM skill_usage_events WHERE timestamp < ? LIMIT ?)
+    `).bind(cutoff, PURGE_CHUNK_SIZE).run();
+
+    const changes = result.meta?.changes || 0;
+    deleted += changes;
+    if (changes < PURGE_CHUNK_SIZE) break;
+  }
+
+  return { deleted, cutoff };
+}
+
+/**
+ * Scheduled maintenance: roll up new events, then purge old raw events
+ * @param {Object} env - Worker environment with DB binding
+ * @param {Date} now - Current time (default: now)
+ * @returns {Promise<Object>} { rollups, purge } results
+ */
+export async function runMaintenance(env, now = new Date()) {
+  const rollups = await runRollups(env, now);
+  const purge = await purgeRawEvents(env, now);
+  return { rollups, purge };
+}
@@ -0,0 +1,67 @@
+/**
+ * Ingest Sampling
+ *
+ * Stores only a share of the successful events of high-volume tools. Each
+ * stored event keeps its sample_rate, and analytics count it as
+ * 1 / sample_rate events, so invocation and status counts stay accurate.
+ * Errors and timeouts are always stored.
+ *
+ * Configured with the SAMPLE_RATES var (a JSON object of tool name to rate,
+ * 0 < rate <= 1; "*" applies to all other tools), e.g.
+ *   { "read_file": 0.1, "*": 0.5 }
+ */
+
+/**
+ * Read per-tool sample rates from the SAMPLE_RATES var
+ * @param {Object} env - Worker environment
+ * @returns {Object} Tool name (or "*") to rate; empty if the var is unset
+ * @throws {Error} If the var is not a JSON object or a rate is out of range
+ */
+export function sampleRates(env) {
+  const config = env.SAMPLE_RATES;
+  if (!config) {
+    return {};
+  }
+  const rates = typeof config === 'string' ? JSON.parse(config) : config;
+  if (typeof rates !== 'object' || rates === null || Array.isArray(rates)) {
+    throw new Error('SAMPLE_RATES must be a JSON object');
+  }
+  for (const [tool, rate] of Object.entries(rates)) {
+    if (typeof rate !== 'number' || !(rate > 0 && rate <= 1)) {
+      throw new Error(`Invalid sample rate for ${tool}: ${rate} (must be > 0 and <= 1)`);
+    }
+  }
+  return rates;
+}
+
+/**
+ * Uniform number in [0, 1) for an event
+ * Derived from the event ID when there is one (FNV-1a), so a resent event
+ * gets the same sampling decision.
+ * @param {string|null} eventId - Client event ID
+ * @returns {number} Draw
+ */
+function sampleDraw(eventId) {
+  if (!eventId) {
+    return Math.random();
+  }
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < eventId.length; i++) {
+    hash = Math.imul(hash ^ eventId.charCodeAt(i), 0x01000193);
+  }
+  return (hash >>> 0) / 2 ** 32;
+}
+
+/**
+ * Decide whether to store an event
+ * @param {Object} event - Validated event payload (tool_name, status, event_id)
+ * @param {Object} rates - Rates from sampleRates()
+ * @returns {number|null} Sample rate to store the event with, or null to drop it
+ */
+export function sampleEvent(event, rates) {
+  const rate = Object.hasOwn(rates, event.tool_name) ? rates[event.tool_name] : rates['*'] ?? 1;
+  if (rate >= 1 || event.status !== 'success') {
+    return 1;
+  }
+  return sampleDraw(event.event_id) < rate ? rate : null;
+}
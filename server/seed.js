@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+/**
+ * Synthetic Event Seeder
+ *
+ * Fills a local SQLite database with realistic usage events, so the analytics
+ * and dashboard can be built and checked offline (see server/local-server.js).
+ * Users join and churn over time, work in sessions during office hours (less
+ * on weekends) and favour a few tools; each tool has its own latency profile,
+ * error mix, metadata and payload sizes; two tools ship a new version partway
+ * through, one faster and one with more errors. Events are rolled up afterwards, like the Worker's
+ * scheduled handler would.
+ *
+ * Usage:
+ *   node server/seed.js [--sqlite <file>] [--days 30] [--users 40]
+ *
+ * Options:
+ *   --sqlite <file>      Database file (default: TRACK_SKILLS_SQLITE or .local/track-skills.sqlite)
+ *   --days <n>           Days of history ending now (default: 30)
+ *   --users <n>          Number of users (default: 40)
+ *   --project <id>       Project to write to (default: default)
+ *   --random-seed <n>    Seed for the generator, same seed gives the same events (default: 1)
+ *   --reset              Delete the project's events and rollups first
+ *
+ * User and session hashes honour USER_HASH_SECRET and USER_HASH_ROTATION from
+ * the environment, like the local server.
+ */
+
+import { pathToFileURL } from 'node:url';
+import { openLocalDatabase, DEFAULT_SQLITE_FILE } from './local-server.js';
+import { hashUserId, hashSessionId, userHashOptions } from './tracking-utils.js';
+import { DEFAULT_PROJECT } from './auth.js';
+import { runRollups, purgeRawEvents } from './rollups.js';
+
+// Tools with median latency, error/timeout rates, error mix, parameter sets, result counts and bytes per result
+const TOOLS = [
+  {
+    name: 'search_pages', category: 'cms_ontology', weight: 30, medianMs: 180, errorRate: 0.02, timeoutRate: 0.002,
+    errors: [['NetworkError', 'fetch failed: upstream connection reset'], ['ValidationError', 'query must not be empty']],
+    params: [['query'], ['query', 'limit'], ['query', 'limit', 'filters']], results: [0, 50], resultBytes: 400,
+  },
+  {
+    name: 'get_page', category: 'cms_ontology', weight: 25, medianMs: 60, errorRate: 0.04, timeoutRate: 0,
+    errors: [['NotFoundError', 'Page not found'], ['PermissionError', 'Access denied for this space']],
+    params: [['id'], ['id', 'include_children']], results: [1, 1], resultBytes: 6000,
+  },
+  {
+    name: 'update_page', category: 'cms_ontology', weight: 8, medianMs: 320, errorRate: 0.08, timeoutRate: 0.005,
+    errors: [['ValidationError', 'title must be at most 255 characters'], ['ConflictError', 'Page was modified by another user']],
+    params: [['id', 'content'], ['id', 'title', 'content']], results: [1, 1], resultBytes: 300,
+  },
+  {
+    name: 'list_collections', category: 'cms_ontology', weight: 10, medianMs: 90, errorRate: 0.01, timeoutRate: 0,
+    errors: [['NetworkError', 'fetch failed: getaddrinfo ENOTFOUND']],
+    params: [[], ['parent']], results: [3, 40], resultBytes: 150,
+  },
+  {
+    name: 'query_data', category: 'analytics', weight: 12, medianMs: 1400, errorRate: 0.05, timeoutRate: 0.03,
+    errors: [['SyntaxError', 'Unexpected token in query at position 42'], ['QuotaError', 'Daily query quota exceeded']],
+    params: [['sql'], ['sql', 'params'], ['dataset', 'filters', 'group_by']], results: [0, 500], resultBytes: 120,
+  },
+  {
+    name: 'export_report', category: 'analytics', weight: 4, medianMs: 4200, errorRate: 0.06, timeoutRate: 0.06,
+    errors: [['RenderError', 'Chart rendering failed'], ['QuotaError', 'Export size limit reached']],
+    params: [['report_id', 'format']], results: [1, 1], resultBytes: 2500,
+  },
+  {
+    name: 'send_notification', category: 'messaging', weight: 6, medianMs: 240, errorRate: 0.03, timeoutRate: 0.01,
+    errors: [['RateLimitError', 'Too many requests, retry in 30s'], ['ValidationError', 'Unknown channel']],
+    params: [['channel', 'text'], ['channel', 'text', 'thread']], results: [1, 1], resultBytes: 200,
+  },
+  {
+    name: 'summarize_thread', category: 'messaging', weight: 5, medianMs: 2600, errorRate: 0.02, timeoutRate: 0.02,
+    errors: [['ModelError', 'Context length exceeded']],
+    params: [['thread']], results: [1, 1], resultBytes: 3000,
+  },
+];
+
+// Tools that ship a new version partway through the history (at: share of the
+// history before the release), with the profile fields that change
+const RELEASES = {
+  query_data: { before: '1.8.2', after: '1.9.0', at: 0.6, medianMs: 900 },
+  update_page: { before: '2.3.0', after: '2.4.0', at: 0.75, errorRate: 0.15 },
+};
+
+// Version of the tools without a release
+const DEFAULT_TOOL_VERSION = '1.0.0';
+
+// Clients the users send events from
+const CLIENT_VERSIONS = ['track-skills-hook/1.0.0', 'track-skills-js/1.0.0'];
+
+// Hard timeout of the simulated tools
+const TIMEOUT_MS = 30000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Random helpers over a generator
+ * @param {Function} random - Generator from createRandom()
+ * @returns {Object} { int, pick, weighted, normal }
+ */
+function randomHelpers(random) {
+  const normal = () => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+  return {
+    int: (min, max) => min + Math.floor(random() * (max - min + 1)),
+    pick: (items) => items[Math.floor(random() * items.length)],
+    weighted: (items, weightOf) => {
+      const total = items.reduce((sum, item) => sum + weightOf(item), 0);
+      let r = random() * total;
+      for (const item of items) {
+        r -= weightOf(item);
+        if (r < 0) return item;
+      }
+      return items[items.length - 1];
+    },
+    normal,
+  };
+}
+
+/**
+ * Generate synthetic users and their events
+ * @param {Object} options - { days, users, now, randomSeed }
+ * @returns {Object[]} Events sorted by time: { time, user, session, tool, status, durationMs, errorType, errorMessage, metadata, requestSizeBytes, responseSizeBytes }
+ */
+export function generateEvents({ days, users, now, randomSeed }) {
+  const random = createRandom(randomSeed);
+  const { int, pick, weighted, normal } = randomHelpers(random);
+  const start = now.getTime() - days * DAY_MS;
+
+  // A third are there from the start, the rest join over time; some stop after a while
+  const people = Array.from({ length: users }, (_, i) => {
+    const joined = i < users / 3 ? start : start + random() * days * DAY_MS;
+    const churned = random() < 0.3 ? joined + (2 + random() * days / 2) * DAY_MS : Infinity;
+    return {
+      id: `seed-user-${i + 1}@example.com`,
+      joined,
+      churned,
+      // Few heavy users, many light ones
+      activity: 0.15 + Math.pow(random(), 2) * 0.85,
+      // Timezone offset in hours, so activity spreads over the UTC day
+      offset: pick([-8, -5, 0, 1, 2, 5.5, 9]),
+      favourites: [pick(TOOLS), pick(TOOLS)],
+      clientVersion: pick(CLIENT_VERSIONS),
+    };
+  });
+
+  const events = [];
+  let sessionCount = 0;
+  for (let day = 0; day < days + 1; day++) {
+    for (const person of people) {
+      const dayStart = start - (start % DAY_MS) + day * DAY_MS - person.offset * 3600000;
+      const weekday = new Date(dayStart + 12 * 3600000).getUTCDay();
+      const weekend = weekday === 0 || weekday === 6;
+      if (random() > person.activity * (weekend ? 0.2 : 0.9)) continue;
+
+      const sessions = int(1, 1 + Math.round(person.activity * 3));
+      for (let s = 0; s < sessions; s++) {
+        // Sessions start during office hours of the user's timezone
+        let time = dayStart + (8.5 + Math.max(0, Math.min(10, 4.5 + normal() * 2.5))) * 3600000;
+        if (time < person.joined || time > person.churned || time > now.getTime()) continue;
+
+        const session = `seed-session-${++sessionCount}`;
+        const length = int(1, 4 + Math.round(person.activity * 16));
+        for (let n = 0; n < length && time <= now.getTime(); n++) {
+          const tool = random() < 0.4 ? pick(person.favourites) : weighted(TOOLS, t => t.weight);
+          const release = RELEASES[tool.name];
+          const released = release && time >= start + release.at * days * DAY_MS;
+          const profile = released ? { ...tool, ...release } : tool;
+
+          const roll = random();
+          const status = roll < profile.timeoutRate ? 'timeout' : roll < profile.timeoutRate + profile.errorRate ? 'error' : 'success';
+          const paramsKeys = pick(tool.params);
+          const resultCount = int(tool.results[0], tool.results[1]);
+
+          // Responses grow with the result count; larger responses take longer
+          const responseSizeBytes = status === 'success'
+            ? Math.round(40 + resultCount * tool.resultBytes * Math.exp(normal() * 0.3))
+            : null;
+
+          // Log-normal latency around the tool's median
+          const durationMs = status === 'timeout'
+            ? TIMEOUT_MS
+            : Math.min(TIMEOUT_MS - 1, Math.max(5, Math.round(
+              profile.medianMs * Math.exp(normal() * 0.5) * (1 + (responseSizeBytes || 0) / (100 * 1024)))));
+
+          const event = {
+            time, user: person.id, session, tool, status, durationMs,
+            errorType: null, errorMessage: null, metadata: null,
+            requestSizeBytes: 2 + paramsKeys.reduce((sum, key) => sum + key.length + int(8, 60), 0),
+            responseSizeBytes,
+            toolVersion: release ? (released ? release.after : release.before) : DEFAULT_TOOL_VERSION,
+            clientVersion: person.clientVersion,
+          };
+          if (status === 'error') {
+            [event.errorType, event.errorMessage] = pick(tool.errors);
+          } else if (status === 'timeout') {
+            [event.errorType, event.errorMessage] = ['SkillTimeoutError', `Skill ${tool.name} timed out after ${TIMEOUT_MS}ms`];
+          } else {
+            event.metadata = { params_keys: paramsKeys, result_count: resultCount };
+          }
+          events.push(event);
+
+          time += durationMs + int(5, 240) * 1000;
+        }
+      }
+    }
+  }
+
+  return events.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * Format a time as a stored timestamp ('YYYY-MM-DD HH:MM:SS' UTC)
+ * @param {number} time - Epoch milliseconds
+ * @returns {string} Timestamp
+ */
+function sqlTimestamp(time) {
+  return new Date(time).toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * Insert generated events and roll them up
+ * Rollup watermarks are reset so the rollups cover the seeded history.
+ * @param {Object} env - Environment with DB binding (and optional USER_HASH_* and RAW_RETENTION_DAYS vars)
+ * @param {Object[]} events - Events from generateEvents()
+ * @param {Object} options - { projectId, reset, now }
+ * @returns {Promise<Object>} { inserted, purged }
+ */
+export async function seedEvents(env, events, { projectId = DEFAULT_PROJECT, reset = false, now = new Date() } = {}) {
+  if (reset) {
+    await env.DB.batch(['skill_usage_events', 'usage_rollups_hourly', 'usage_rollups_daily', 'usage_daily_users']
+      .map(table => env.DB.prepare(`DELETE FROM ${table} WHERE project_id = ?`).bind(projectId)));
+  }
+
+  const hashOptions = userHashOptions(env);
+  const statements = [];
+  for (const event of events) {
+    const time = new Date(event.time);
+    statements.push(env.DB.prepare(`
+      INSERT INTO skill_usage_events
+      (timestamp, project_id, user_id_hash, session_id_hash, tool_name, tool_category, duration_ms, status, error_type, error_message, metadata,
+       request_size_bytes, response_size_bytes, tool_version, client_version)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+      sqlTimestamp(event.time),
+      projectId,
+      await hashUserId(event.user, { ...hashOptions, now: time }),
+      await hashSessionId(event.session, hashOptions),
+      event.tool.name,
+      event.tool.category,
+      event.durationMs,
+      event.status,
+      event.errorType,
+      event.errorMessage,
+      event.metadata ? JSON.stringify(event.metadata) : null,
+      event.requestSizeBytes,
+      event.responseSizeBytes,
+      event.toolVersion,
+      event.clientVersion
+    ));
+  }
+  for (let i = 0; i < statements.length; i += 500) {
+    await env.DB.batch(statements.slice(i, i + 500));
+  }
+
+  // Roll up from the oldest raw event; a long backfill takes several runs
+  await env.DB.prepare(`
+    DELETE FROM rollup_state WHERE key IN ('hourly_until', 'daily_until')
+  `).run();
+  const currentHour = `${now.toISOString().slice(0, 10)} ${now.toISOString().slice(11, 13)}:00`;
+  let ranges;
+  do {
+    ranges = await runRollups(env, now);
+  } while ((ranges.hour && ranges.hour.to < currentHour) || (ranges.day && ranges.day.to < currentHour.slice(0, 10)));
+  const { deleted } = await purgeRawEvents(env, now);
+
+  return { inserted: statements.length, purged: deleted };
+}
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    sqlite: process.env.TRACK_SKILLS_SQLITE || DEFAULT_SQLITE_FILE,
+    days: 30,
+    users: 40,
+    projectId: DEFAULT_PROJECT,
+    randomSeed: 1,
+    reset: false,
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--sqlite': options.sqlite = argv[++i]; break;
+      case '--days': options.days = Number(argv[++i]); break;
+      case '--users': options.users = Number(argv[++i]); break;
+      case '--project': options.projectId = argv[++i]; break;
+      case '--random-seed': options.randomSeed = Number(argv[++i]); break;
+      case '--reset': options.reset = true; break;
+      default: throw new Error(`Unknown option: ${argv[i]}`);
+    }
+  }
+
+  for (const name of ['days', 'users', 'randomSeed']) {
+    if (!Number.isInteger(options[name]) || options[name] < 1) {
+      throw new Error(`Invalid --${name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`)}: must be a positive integer`);
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const DB = await openLocalDatabase(options.sqlite, message => console.log(`  ${message}`));
+  const env = { DB };
+  for (const name of ['USER_HASH_SECRET', 'USER_HASH_ROTATION', 'RAW_RETENTION_DAYS']) {
+    if (process.env[name] !== undefined) env[name] = process.env[name];
+  }
+
+  try {
+    const now = new Date();
+    const events = generateEvents({ ...options, now });
+    console.log(`Seeding ${options.sqlite} (project ${options.projectId}): ${events.length} events, ${options.users} users, ${options.days} days`);
+    const { inserted, purged } = await seedEvents(env, events, { ...options, now });
+    console.log(`Inserted ${inserted} events${purged ? `, purged ${purged} past RAW_RETENTION_DAYS` : ''}; rollups are up to date`);
+  } finally {
+    DB.close();
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(error => {
+    console.error('Seeding failed:', error.message);
+    process.exit(1);
+  });
+}
@@ -2,60 +2,233 @@
  * Usage Tracking Utilities
  *
  * Provides functions for privacy-preserving usage tracking of MCP tools.
- * Tracks invocations, performance, and errors while hashing user identifiers.
+ * Tracks invocations, performance, and errors while hashing user identifiers
+ * and redacting PII and secrets (see server/redaction.js).
  */
 
+import { createRedactor, redactionConfig } from './redaction.js';
+import { sampleRates, sampleEvent } from './sampling.js';
+import { DEFAULT_PROJECT } from './auth.js';
+import { DEFAULT_TOOL_CATEGORY, parseEventTimestamp } from '../shared/events.js';
+
+export { EVENT_STATUSES, DEFAULT_TOOL_CATEGORY, EVENT_LIMITS, parseEventTimestamp, validateEvent } from '../shared/events.js';
+
 /**
- * Generates a consistent hashed user ID from an identifier string
- * Uses SHA-256 for anonymization while maintaining consistency
- * @param {string} identifier - User identifier (session ID, auth header, or IP+UA)
+ * Stored timestamp for an event
+ * Events without a timestamp get the receive time. Timestamps in the future
+ * (a client clock running ahead) are stored as the receive time too.
+ * @param {Object} event - Validated event payload
+ * @param {Date} now - Receive time (default: now)
+ * @returns {string} SQL timestamp ('YYYY-MM-DD HH:MM:SS', UTC)
+ */
+export function eventTimestamp(event, now = new Date()) {
+  const date = parseEventTimestamp(event.timestamp);
+  const stored = date && date < now ? date : now;
+  return stored.toISOString().slice(0, 19).replace('T', ' ');
+}
+
+/**
+ * How often keyed user hashes change (see hashUserId())
+ * Hashes from different periods can't be linked, so user analytics (DAU/WAU,
+ * retention, cohorts) only follow users within one period.
+ */
+export const HASH_ROTATIONS = ['none', 'daily', 'weekly', 'monthly'];
+
+/**
+ * Request headers extractUserIdentifier() can read, by source name
+ */
+const IDENTIFIER_SOURCES = {
+  user: (request) => request.headers.get('x-user-id'),
+  session: (request) => request.headers.get('mcp-session-id'),
+  authorization: (request) => request.headers.get('authorization'),
+  ip: (request) => request.headers.get('cf-connecting-ip'),
+  ip_user_agent: (request) => `${request.headers.get('cf-connecting-ip')}_${request.headers.get('user-agent')}`,
+};
+
+/**
+ * Default identifier priority, for the Worker and extractUserIdentifier():
+ * explicit user ID > session ID > IP. `authorization` is left out because at
+ * /api/track it carries the ingest API key, which many users share.
+ */
+export const DEFAULT_IDENTIFIER_SOURCES = ['user', 'session', 'ip'];
+
+/**
+ * Hex-encode a digest
+ * @param {ArrayBuffer} buffer - Digest bytes
+ * @returns {string} Lowercase hex
+ */
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Key of the rotation period containing a date (UTC)
+ * @param {Date} date - Point in time
+ * @param {string} rotation - One of HASH_ROTATIONS
+ * @returns {string} 'all', YYYY-MM-DD (day, or Monday of the week) or YYYY-MM
+ */
+export function hashPeriod(date, rotation) {
+  switch (rotation) {
+    case 'none': return 'all';
+    case 'daily': return date.toISOString().slice(0, 10);
+    case 'weekly': {
+      const monday = new Date(date);
+      monday.setUTCDate(monday.getUTCDate() - ((monday.getUTCDay() + 6) % 7));
+      return monday.toISOString().slice(0, 10);
+    }
+    case 'monthly': return date.toISOString().slice(0, 7);
+    default: throw new Error(`Invalid hash rotation: ${rotation}. Use one of ${HASH_ROTATIONS.join(', ')}`);
+  }
+}
+
+/**
+ * Key an unkeyed (plain SHA-256) user hash with a secret
+ * hashUserId() with a secret equals this applied to its unkeyed result, so
+ * hashes stored before the secret was set can be converted in place
+ * (server/rehash-users.js).
+ * @param {string} plainHash - 32-character unkeyed hash
+ * @param {Object} options - Keying options
+ * @param {string} options.secret - HMAC secret
+ * @param {string} options.rotation - One of HASH_ROTATIONS (default: none)
+ * @param {Date} options.now - Time deciding the rotation period (default: now)
  * @returns {Promise<string>} 32-character hex hash
  */
-export async function hashUserId(identifier) {
+export async function keyUserHash(plainHash, { secret, rotation = 'none', now = new Date() }) {
   const encoder = new TextEncoder();
-  const data = encoder.encode(identifier);
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('').slice(0, 32);
+  const key = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${hashPeriod(now, rotation)}:${plainHash}`));
+  return toHex(signature).slice(0, 32);
+}
+
+/**
+ * Generates a consistent hashed user ID from an identifier string
+ * With a secret, the SHA-256 hash is keyed with HMAC-SHA256, so stored hashes
+ * can't be brute-forced back to IPs or session IDs without the secret.
+ * Without one, the plain SHA-256 hash is returned (legacy behavior).
+ * @param {string} identifier - User identifier (see extractUserIdentifier())
+ * @param {Object} options - Keying options (see userHashOptions())
+ * @param {string|null} options.secret - HMAC secret (default: none, unkeyed)
+ * @param {string} options.rotation - One of HASH_ROTATIONS (default: none)
+ * @param {Date} options.now - Time deciding the rotation period (default: now)
+ * @returns {Promise<string>} 32-character hex hash
+ */
+export async function hashUserId(identifier, options = {}) {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(identifier));
+  const plainHash = toHex(hashBuffer).slice(0, 32);
+  return options.secret ? keyUserHash(plainHash, options) : plainHash;
+}
+
+/**
+ * Hash a client session ID for storage
+ * Prefixed so it never equals the user hash extractUserIdentifier() derives
+ * from the same mcp-session-id. Keyed with the same secret as user hashes, but
+ * never rotated, so sessions spanning a period boundary stay whole. The raw ID
+ * is never stored.
+ * @param {string|null} sessionId - Session ID from the event or mcp-session-id header
+ * @param {Object} options - Keying options (only options.secret is used)
+ * @returns {Promise<string|null>} 32-character hex hash, or null without a session
+ */
+export async function hashSessionId(sessionId, options = {}) {
+  return sessionId ? hashUserId(`session:${sessionId}`, { secret: options.secret }) : null;
+}
+
+/**
+ * Read user hash keying options from the Worker environment
+ * @param {Object} env - Worker environment (USER_HASH_SECRET secret, USER_HASH_ROTATION var)
+ * @returns {Object} { secret, rotation } for hashUserId()
+ * @throws {Error} If USER_HASH_ROTATION is invalid
+ */
+export function userHashOptions(env) {
+  const rotation = env.USER_HASH_ROTATION || 'none';
+  if (!HASH_ROTATIONS.includes(rotation)) {
+    throw new Error(`Invalid USER_HASH_ROTATION: ${rotation}. Use one of ${HASH_ROTATIONS.join(', ')}`);
+  }
+  return { secret: env.USER_HASH_SECRET || null, rotation };
+}
+
+/**
+ * Read the identifier sources from the Worker environment
+ * @param {Object} env - Worker environment (USER_ID_SOURCES var, comma-separated)
+ * @returns {string[]} Source names in priority order (default: DEFAULT_IDENTIFIER_SOURCES)
+ * @throws {Error} If a source name is unknown
+ */
+export function identifierSources(env) {
+  if (!env.USER_ID_SOURCES) {
+    return DEFAULT_IDENTIFIER_SOURCES;
+  }
+  const sources = env.USER_ID_SOURCES.split(',').map(source => source.trim()).filter(Boolean);
+  for (const source of sources) {
+    if (!IDENTIFIER_SOURCES[source]) {
+      throw new Error(`Invalid USER_ID_SOURCES entry: ${source}. Use ${Object.keys(IDENTIFIER_SOURCES).join(', ')}`);
+    }
+  }
+  return sources;
 }
 
 /**
  * Extract user identifier from request headers
- * Priority: session ID > authorization header > IP + user agent
+ * The first source with a value wins. Default priority: X-User-Id header >
+ * mcp-session-id header > IP.
  * @param {Request} request - The incoming request
+ * @param {string[]} sources - Source names in priority order (default: DEFAULT_IDENTIFIER_SOURCES)
  * @returns {string} User identifier
  */
-export function extractUserIdentifier(request) {
-  return (
-    request.headers.get('mcp-session-id') ||
-    request.headers.get('authorization') ||
-    `${request.headers.get('cf-connecting-ip')}_${request.headers.get('user-agent')}`
-  );
+export function extractUserIdentifier(request, sources = DEFAULT_IDENTIFIER_SOURCES) {
+  for (const source of sources) {
+    const value = IDENTIFIER_SOURCES[source](request);
+    if (value) return value;
+  }
+  return 'anonymous';
 }
 
 /**
  * Log usage event to D1 database (async, non-blocking)
+ * Error details and metadata are redacted per REDACTION_CONFIG, and events
+ * are sampled per SAMPLE_RATES. An event whose eventId is already stored is
+ * ignored.
  * Fails silently to avoid disrupting tool execution
- * @param {Object} env - Worker environment with DB binding
- * @param {Object} event - Event data (userIdHash, toolName, durationMs, status, etc.)
+ * @param {Object} env - Worker environment with DB binding (and optional REDACTION_CONFIG, SAMPLE_RATES vars)
+ * @param {Object} event - Event data (projectId, userIdHash, sessionIdHash, toolName, durationMs, status, requestSizeBytes, responseSizeBytes, eventId, toolVersion, clientVersion, etc.)
  */
 export async function logUsageEvent(env, event) {
   try {
+    const sampleRate = sampleEvent({ tool_name: event.toolName, status: event.status, event_id: event.eventId }, sampleRates(env));
+    if (sampleRate === null) {
+      return;
+    }
+
+    const redacted = createRedactor(redactionConfig(env)).redactEvent({
+      error_type: event.errorType || null,
+      error_message: event.errorMessage || null,
+      metadata: event.metadata || null,
+    });
+
     const stmt = env.DB.prepare(`
       INSERT INTO skill_usage_events
-      (user_id_hash, tool_name, tool_category, duration_ms, status, error_type, error_message, metadata)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      (project_id, user_id_hash, session_id_hash, tool_name, tool_category, duration_ms, status, error_type, error_message, metadata, redacted,
+       request_size_bytes, response_size_bytes, event_id, sample_rate, tool_version, client_version)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (project_id, event_id) DO NOTHING
     `);
 
     await stmt.bind(
+      event.projectId || DEFAULT_PROJECT,
       event.userIdHash,
+      event.sessionIdHash || null,
       event.toolName,
-      event.toolCategory || 'cms_ontology',
+      event.toolCategory || DEFAULT_TOOL_CATEGORY,
       event.durationMs,
       event.status,
-      event.errorType || null,
-      event.errorMessage || null,
-      event.metadata ? JSON.stringify(event.metadata) : null
+      redacted.error_type,
+      redacted.error_message,
+      redacted.metadata ? JSON.stringify(redacted.metadata) : null,
+      redacted.redacted ? 1 : 0,
+      event.requestSizeBytes ?? null,
+      event.responseSizeBytes ?? null,
+      event.eventId || null,
+      sampleRate,
+      event.toolVersion || null,
+      event.clientVersion || null
     ).run();
   } catch (error) {
     // Fail silently - don't break tool execution due to tracking errors
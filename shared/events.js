@@ -0,0 +1,156 @@
+/**
+ * Event Schema
+ *
+ * Statuses, limits and validation of events in the /api/track payload shape.
+ * Shared by the Worker (server/tracking-utils.js) and the JavaScript client
+ * (client/tracking.js); has no dependencies, so the client can ship without
+ * the server modules.
+ */
+
+/**
+ * Allowed values for an event's status (matches the CHECK constraint)
+ */
+export const EVENT_STATUSES = ['success', 'error', 'timeout'];
+
+/**
+ * Category stored for events that don't set one (matches the column default)
+ */
+export const DEFAULT_TOOL_CATEGORY = 'cms_ontology';
+
+/**
+ * Size and range limits enforced by validateEvent()
+ */
+export const EVENT_LIMITS = {
+  toolNameLength: 128,
+  toolCategoryLength: 64,
+  errorTypeLength: 128,
+  errorMessageLength: 2000,
+  sessionIdLength: 256,
+  eventIdLength: 128,
+  toolVersionLength: 64,
+  clientVersionLength: 128,
+  metadataBytes: 8192,
+  maxDurationMs: 24 * 60 * 60 * 1000,
+  maxPayloadBytes: 1024 * 1024 * 1024,
+  maxEventAgeMs: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a client-supplied event timestamp
+ * Accepts ISO 8601 with Z or an offset, or the stored format
+ * ('YYYY-MM-DD HH:MM:SS', UTC).
+ * @param {string} value - Timestamp from the event payload
+ * @returns {Date|null} Parsed date, or null if the value is not a timestamp
+ */
+export function parseEventTimestamp(value) {
+  if (typeof value !== 'string') return null;
+  const iso = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value;
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/.test(iso)) return null;
+  const date = new Date(iso);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate a tracking event in the /api/track payload shape
+ * Shared by the Worker (ingest) and the JavaScript client (pre-send check).
+ * Unknown fields are ignored.
+ * @param {Object} event - Event payload (tool_name, status, duration_ms, etc.)
+ * @param {Date} now - Current time, for the timestamp age check (default: now)
+ * @returns {Object} { valid: boolean, errors: Array<{ field, message }> }
+ */
+export function validateEvent(event, now = new Date()) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!event || typeof event !== 'object' || Array.isArray(event)) {
+    fail('event', 'must be a JSON object');
+    return { valid: false, errors };
+  }
+
+  const checkString = (field, maxLength, required = false) => {
+    const value = event[field];
+    if (value === undefined || value === null) {
+      if (required) fail(field, 'is required');
+      return;
+    }
+    if (typeof value !== 'string') {
+      fail(field, 'must be a string');
+    } else if (required && value.trim() === '') {
+      fail(field, 'must not be empty');
+    } else if (value.length > maxLength) {
+      fail(field, `must be at most ${maxLength} characters`);
+    }
+  };
+
+  checkString('tool_name', EVENT_LIMITS.toolNameLength, true);
+  checkString('tool_category', EVENT_LIMITS.toolCategoryLength);
+  checkString('error_type', EVENT_LIMITS.errorTypeLength);
+  checkString('error_message', EVENT_LIMITS.errorMessageLength);
+  checkString('session_id', EVENT_LIMITS.sessionIdLength);
+  checkString('event_id', EVENT_LIMITS.eventIdLength);
+  checkString('tool_version', EVENT_LIMITS.toolVersionLength);
+  checkString('client_version', EVENT_LIMITS.clientVersionLength);
+
+  if (event.status === undefined || event.status === null) {
+    fail('status', 'is required');
+  } else if (!EVENT_STATUSES.includes(event.status)) {
+    fail('status', `must be one of ${EVENT_STATUSES.join(', ')}`);
+  }
+
+  if (event.redacted !== undefined && event.redacted !== null && typeof event.redacted !== 'boolean') {
+    fail('redacted', 'must be a boolean');
+  }
+
+  if (event.timestamp !== undefined && event.timestamp !== null) {
+    const timestamp = parseEventTimestamp(event.timestamp);
+    if (!timestamp) {
+      fail('timestamp', 'must be an ISO 8601 timestamp with Z or an offset');
+    } else if (now - timestamp > EVENT_LIMITS.maxEventAgeMs) {
+      fail('timestamp', `must be at most ${EVENT_LIMITS.maxEventAgeMs / 86400000} days old`);
+    }
+  }
+
+  if (event.duration_ms !== undefined && event.duration_ms !== null) {
+    if (!Number.isInteger(event.duration_ms)) {
+      fail('duration_ms', 'must be an integer');
+    } else if (event.duration_ms < 0 || event.duration_ms > EVENT_LIMITS.maxDurationMs) {
+      fail('duration_ms', `must be between 0 and ${EVENT_LIMITS.maxDurationMs}`);
+    }
+  }
+
+  for (const field of ['request_size_bytes', 'response_size_bytes']) {
+    const value = event[field];
+    if (value === undefined || value === null) continue;
+    if (!Number.isInteger(value)) {
+      fail(field, 'must be an integer');
+    } else if (value < 0 || value > EVENT_LIMITS.maxPayloadBytes) {
+      fail(field, `must be between 0 and ${EVENT_LIMITS.maxPayloadBytes}`);
+    }
+  }
+
+  if (event.metadata !== undefined && event.metadata !== null) {
+    let metadata = event.metadata;
+    let serialized = null;
+    if (typeof metadata === 'string') {
+      serialized = metadata;
+      try {
+        metadata = JSON.parse(metadata);
+      } catch {
+        fail('metadata', 'must be valid JSON');
+        metadata = undefined;
+      }
+    }
+    if (metadata !== undefined) {
+      if (typeof metadata !== 'object' || metadata === null || Array.isArray(metadata)) {
+        fail('metadata', 'must be a JSON object');
+      } else {
+        serialized = serialized ?? JSON.stringify(metadata);
+        if (new TextEncoder().encode(serialized).length > EVENT_LIMITS.metadataBytes) {
+          fail('metadata', `must be at most ${EVENT_LIMITS.metadataBytes} bytes`);
+        }
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
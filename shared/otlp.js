@@ -0,0 +1,139 @@
+/**
+ * OpenTelemetry (OTLP/HTTP JSON) Span Encoding
+ *
+ * Converts tracking events into OTLP spans, so the JavaScript client can send
+ * skill spans to any OTLP collector. The Worker reads the same attributes
+ * back when spans are sent to /v1/traces (see server/otlp.js).
+ */
+
+// Attributes written by eventToSpan() and read by spansToEvents() in server/otlp.js
+export const SPAN_ATTRIBUTES = {
+  toolName: 'gen_ai.tool.name',
+  toolCategory: 'track_skills.tool_category',
+  status: 'track_skills.status',
+  errorType: 'error.type',
+  sessionId: 'session.id',
+  eventId: 'track_skills.event_id',
+  toolVersion: 'track_skills.tool_version',
+  clientVersion: 'track_skills.client_version',
+  requestSizeBytes: 'track_skills.request_size_bytes',
+  responseSizeBytes: 'track_skills.response_size_bytes',
+  metadataPrefix: 'track_skills.metadata.',
+};
+
+// Span status codes (OTLP sends the number or the enum name)
+export const STATUS_CODE_ERROR = 2;
+
+// Span kind of the spans eventToSpan() creates
+const SPAN_KIND_INTERNAL = 1;
+
+/**
+ * Encode a value as an OTLP AnyValue
+ * @param {*} value - String, number, boolean, array or object
+ * @returns {Object} AnyValue
+ */
+function toAnyValue(value) {
+  if (typeof value === 'string') return { stringValue: value };
+  if (typeof value === 'boolean') return { boolValue: value };
+  // int64 is a string in the protobuf JSON mapping
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (value && typeof value === 'object') return { kvlistValue: { values: toAttributes(value) } };
+  return {};
+}
+
+/**
+ * Encode an object as a KeyValue list, leaving out null and undefined values
+ * @param {Object} values - Attribute name to value
+ * @returns {Object[]} [{ key, value: AnyValue }]
+ */
+function toAttributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * Random lowercase hex ID
+ * @param {number} bytes - Length in bytes (16 for trace IDs, 8 for span IDs)
+ * @returns {string} Hex string
+ */
+function randomHexId(bytes) {
+  return Array.from(crypto.getRandomValues(new Uint8Array(bytes)), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Parse a W3C traceparent header value
+ * @param {string} traceparent - e.g. '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'
+ * @returns {Object|null} { traceId, parentSpanId }, or null if invalid
+ */
+function parseTraceparent(traceparent) {
+  const match = /^[0-9a-f]{2}-([0-9a-f]{32})-([0-9a-f]{16})-[0-9a-f]{2}$/.exec(String(traceparent || '').trim());
+  return match ? { traceId: match[1], parentSpanId: match[2] } : null;
+}
+
+/**
+ * Convert an event in the /api/track payload shape into an OTLP span
+ * The span ends at the event's timestamp and lasts duration_ms. It is named
+ * after the tool, and carries the attributes spansToEvents() reads back.
+ * @param {Object} payload - Tracking payload (tool_name, status, duration_ms, timestamp, etc.)
+ * @param {Object} options - Options
+ * @param {string} options.traceparent - W3C traceparent of the parent span (default: a new trace)
+ * @returns {Object} OTLP span
+ */
+export function eventToSpan(payload, options = {}) {
+  const parent = parseTraceparent(options.traceparent);
+  const endMs = payload.timestamp ? Date.parse(payload.timestamp) : Date.now();
+  const startMs = endMs - (payload.duration_ms ?? 0);
+  const nanos = (ms) => String(BigInt(Math.round(ms)) * 1000000n);
+
+  const metadata = typeof payload.metadata === 'string' ? JSON.parse(payload.metadata) : payload.metadata;
+  const failed = payload.status !== 'success';
+
+  return {
+    traceId: parent?.traceId || randomHexId(16),
+    spanId: randomHexId(8),
+    ...(parent ? { parentSpanId: parent.parentSpanId } : {}),
+    name: payload.tool_name,
+    kind: SPAN_KIND_INTERNAL,
+    startTimeUnixNano: nanos(startMs),
+    endTimeUnixNano: nanos(endMs),
+    attributes: toAttributes({
+      'gen_ai.operation.name': 'execute_tool',
+      [SPAN_ATTRIBUTES.toolName]: payload.tool_name,
+      [SPAN_ATTRIBUTES.toolCategory]: payload.tool_category,
+      [SPAN_ATTRIBUTES.status]: payload.status,
+      [SPAN_ATTRIBUTES.errorType]: failed ? payload.error_type : null,
+      [SPAN_ATTRIBUTES.sessionId]: payload.session_id,
+      [SPAN_ATTRIBUTES.eventId]: payload.event_id,
+      [SPAN_ATTRIBUTES.toolVersion]: payload.tool_version,
+      [SPAN_ATTRIBUTES.clientVersion]: payload.client_version,
+      [SPAN_ATTRIBUTES.requestSizeBytes]: payload.request_size_bytes,
+      [SPAN_ATTRIBUTES.responseSizeBytes]: payload.response_size_bytes,
+      ...Object.fromEntries(Object.entries(metadata || {})
+        .map(([key, value]) => [`${SPAN_ATTRIBUTES.metadataPrefix}${key}`, value])),
+    }),
+    events: failed && (payload.error_type || payload.error_message) ? [{
+      name: 'exception',
+      timeUnixNano: nanos(endMs),
+      attributes: toAttributes({ 'exception.type': payload.error_type, 'exception.message': payload.error_message }),
+    }] : [],
+    status: failed ? { code: STATUS_CODE_ERROR, message: payload.error_message || '' } : { code: 0 },
+  };
+}
+
+/**
+ * Wrap spans into an OTLP/HTTP JSON trace export
+ * @param {Object[]} spans - Spans from eventToSpan()
+ * @param {Object} resourceAttributes - Resource attributes (e.g. { 'service.name': 'my-agent' })
+ * @returns {Object} ExportTraceServiceRequest
+ */
+export function traceExport(spans, resourceAttributes) {
+  return {
+    resourceSpans: [{
+      resource: { attributes: toAttributes(resourceAttributes) },
+      scopeSpans: [{ scope: { name: 'track-skills' }, spans }],
+    }],
+  };
+}
@@ -0,0 +1,188 @@
+/**
+ * PII and Secret Redaction
+ *
+ * Scrubs error messages and metadata. The Worker runs every ingested event
+ * through a redactor (server/redaction.js); the JavaScript client can do the
+ * same before sending (see client/tracking.js).
+ */
+
+/**
+ * Built-in detectors, applied in this order (e.g. bearer tokens before JWTs)
+ * Each match is replaced with [REDACTED:<name>]; secret_assignment keeps the key.
+ */
+export const REDACTION_DETECTORS = {
+  bearer_token: /\bBearer\s+[A-Za-z0-9\-._~+/]+=*/gi,
+  jwt: /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g,
+  secret_assignment: /\b(password|passwd|pwd|secret|token|api[_-]?key|access[_-]?key|client[_-]?secret)(\s*[=:]\s*)("[^"]*"|'[^']*'|[^\s&,;"']+)/gi,
+  api_key: /\b(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{8,}|\bsk-[A-Za-z0-9_-]{16,}|\bAKIA[0-9A-Z]{16}\b|\bgh[pousr]_[A-Za-z0-9]{20,}|\bxox[abprs]-[A-Za-z0-9-]{10,}/g,
+  email: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+  // Absolute paths with at least one directory (not URL paths or fractions)
+  file_path: /(?<![\w:/.\\])(?:~|[A-Za-z]:)?[\\/](?:[\w.@-]+[\\/])+[\w.@-]*/g,
+  ipv4: /\b(?:\d{1,3}\.){3}\d{1,3}\b/g,
+};
+
+/**
+ * Metadata keys whose values are always replaced (compared lowercase, without - and _)
+ */
+export const DEFAULT_DENY_KEYS = [
+  'password', 'passwd', 'pwd', 'secret', 'clientsecret', 'token', 'accesstoken', 'refreshtoken', 'idtoken',
+  'apikey', 'authorization', 'auth', 'cookie', 'setcookie', 'privatekey', 'credentials',
+];
+
+export const DEFAULT_REDACTION_OPTIONS = {
+  enabled: true,
+  detectors: Object.keys(REDACTION_DETECTORS),
+  patterns: [],
+  allowKeys: null,
+  denyKeys: DEFAULT_DENY_KEYS,
+  maxErrorMessageLength: 1000,
+  maxMetadataStringLength: 500,
+};
+
+/**
+ * Normalize a metadata key for allow/deny matching (apiKey, api_key and API-KEY are the same)
+ * @param {string} key - Metadata key
+ * @returns {string} Normalized key
+ */
+function normalizeKey(key) {
+  return key.toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * Compile a custom pattern
+ * @param {string|Object} pattern - Regex source, or { name, pattern, flags }
+ * @returns {Object} { name, regex, replacement }
+ * @throws {Error} If the regex is invalid
+ */
+function compilePattern(pattern) {
+  const { name = 'custom', pattern: source, flags = '' } = typeof pattern === 'string' ? { pattern } : pattern;
+  try {
+    return { name, regex: new RegExp(source, flags.includes('g') ? flags : `${flags}g`), replacement: `[REDACTED:${name}]` };
+  } catch (error) {
+    throw new Error(`Invalid redaction pattern ${name}: ${error.message}`);
+  }
+}
+
+/**
+ * Create a redactor
+ * Strings are scrubbed with the enabled detectors and custom patterns, then
+ * truncated. In metadata, values of denied keys are replaced; with allowKeys,
+ * top-level keys not in the list are dropped.
+ * @param {Object} options - Overrides for DEFAULT_REDACTION_OPTIONS
+ * @param {boolean} options.enabled - Set to false to store events verbatim
+ * @param {string[]} options.detectors - Names of REDACTION_DETECTORS to apply
+ * @param {Array<string|Object>} options.patterns - Extra regexes, as source strings or { name, pattern, flags }
+ * @param {string[]|null} options.allowKeys - Only keep these top-level metadata keys (null: keep all)
+ * @param {string[]} options.denyKeys - Metadata keys (at any depth) whose values are replaced
+ * @param {number} options.maxErrorMessageLength - Truncate error messages to this many characters
+ * @param {number} options.maxMetadataStringLength - Truncate metadata string values to this many characters
+ * @returns {Object} Redactor with text(), metadata() and redactEvent()
+ * @throws {Error} If a detector name or custom pattern is invalid
+ */
+export function createRedactor(options = {}) {
+  const config = { ...DEFAULT_REDACTION_OPTIONS, ...options };
+
+  const rules = config.detectors.map(name => {
+    if (!REDACTION_DETECTORS[name]) {
+      throw new Error(`Unknown redaction detector: ${name}`);
+    }
+    const replacement = name === 'secret_assignment' ? `$1$2[REDACTED:${name}]` : `[REDACTED:${name}]`;
+    return { name, regex: REDACTION_DETECTORS[name], replacement };
+  }).concat(config.patterns.map(compilePattern));
+
+  const denyKeys = new Set(config.denyKeys.map(normalizeKey));
+  const allowKeys = config.allowKeys ? new Set(config.allowKeys.map(normalizeKey)) : null;
+
+  /**
+   * Scrub and truncate a string
+   * @param {string|null} value - Text to redact
+   * @param {number} maxLength - Truncate to this many characters
+   * @returns {Object} { value, redacted }
+   */
+  const text = (value, maxLength = config.maxErrorMessageLength) => {
+    if (!config.enabled || typeof value !== 'string') {
+      return { value, redacted: false };
+    }
+    let result = rules.reduce((current, rule) => current.replace(rule.regex, rule.replacement), value);
+    if (result.length > maxLength) {
+      result = result.slice(0, maxLength);
+    }
+    return { value: result, redacted: result !== value };
+  };
+
+  /**
+   * Redact a metadata object (or JSON string)
+   * @param {Object|string|null} value - Metadata
+   * @returns {Object} { value, redacted } (value is an object, or the input if it isn't JSON)
+   */
+  const metadata = (value) => {
+    if (!config.enabled || value === null || value === undefined) {
+      return { value, redacted: false };
+    }
+
+    let parsed = value;
+    if (typeof value === 'string') {
+      try {
+        parsed = JSON.parse(value);
+      } catch {
+        return text(value, config.maxMetadataStringLength);
+      }
+    }
+
+    let redacted = false;
+    const walk = (node, depth) => {
+      if (typeof node === 'string') {
+        const result = text(node, config.maxMetadataStringLength);
+        redacted ||= result.redacted;
+        return result.value;
+      }
+      if (Array.isArray(node)) {
+        return node.map(item => walk(item, depth + 1));
+      }
+      if (node && typeof node === 'object') {
+        const out = {};
+        for (const [key, child] of Object.entries(node)) {
+          const normalized = normalizeKey(key);
+          if (depth === 0 && allowKeys && !allowKeys.has(normalized)) {
+            redacted = true;
+            continue;
+          }
+          if (denyKeys.has(normalized) && child !== null) {
+            redacted = true;
+            out[key] = '[REDACTED]';
+            continue;
+          }
+          out[key] = walk(child, depth + 1);
+        }
+        return out;
+      }
+      return node;
+    };
+
+    return { value: walk(parsed, 0), redacted };
+  };
+
+  return {
+    text,
+    metadata,
+
+    /**
+     * Redact an event in the /api/track payload shape
+     * A `redacted: true` already set by the client is kept.
+     * @param {Object} event - Event payload
+     * @returns {Object} Copy with error_type, error_message and metadata redacted and `redacted` set
+     */
+    redactEvent(event) {
+      const errorType = text(event.error_type ?? null);
+      const errorMessage = text(event.error_message ?? null);
+      const meta = metadata(event.metadata ?? null);
+      return {
+        ...event,
+        error_type: errorType.value,
+        error_message: errorMessage.value,
+        metadata: meta.value,
+        redacted: Boolean(event.redacted) || errorType.redacted || errorMessage.redacted || meta.redacted,
+      };
+    },
+  };
+}
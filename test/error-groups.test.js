@@ -0,0 +1,40 @@
+/**
+ * Tests for error grouping (normalizeErrorMessage and fingerprintError in analytics/analytics.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fingerprintError, normalizeErrorMessage } from '../analytics/analytics.js';
+
+test('normalizeErrorMessage replaces variable parts with placeholders', () => {
+  assert.equal(
+    normalizeErrorMessage('GET https://api.example.com/v1/items?id=7 returned 503 after 2.5s'),
+    'GET <url> returned <num> after <num>s',
+  );
+  assert.equal(
+    normalizeErrorMessage('Record 3f2504e0-4f89-11d3-9a0c-0305e82c3301 not found in "users"'),
+    'Record <uuid> not found in <str>',
+  );
+  assert.equal(normalizeErrorMessage('Commit deadbeef01 and 0x1F2E3D4C5B missing'), 'Commit <hex> and <hex> missing');
+  assert.equal(normalizeErrorMessage("  File 'a.txt'\n\tlocked  "), 'File <str> locked');
+});
+
+test('normalizeErrorMessage handles empty messages and caps the length', () => {
+  assert.equal(normalizeErrorMessage(null), '');
+  assert.equal(normalizeErrorMessage(''), '');
+  assert.equal(normalizeErrorMessage('x'.repeat(800)).length, 500);
+});
+
+test('fingerprintError groups messages that differ only in variable parts', async () => {
+  const first = await fingerprintError('fetch_url', 'HTTPError', 'Request 123 failed with 503');
+  const second = await fingerprintError('fetch_url', 'HTTPError', 'Request 456 failed with 502');
+  assert.match(first, /^[0-9a-f]{16}$/);
+  assert.equal(first, second);
+});
+
+test('fingerprintError separates tools and error types', async () => {
+  const base = await fingerprintError('fetch_url', 'HTTPError', 'failed');
+  assert.notEqual(await fingerprintError('read_file', 'HTTPError', 'failed'), base);
+  assert.notEqual(await fingerprintError('fetch_url', 'TimeoutError', 'failed'), base);
+  assert.equal(await fingerprintError('fetch_url', null, 'failed'), await fingerprintError('fetch_url', '', 'failed'));
+});
@@ -0,0 +1,60 @@
+/**
+ * Tests for the event schema (shared/events.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EVENT_LIMITS, parseEventTimestamp, validateEvent } from '../shared/events.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+test('validateEvent accepts a minimal event', () => {
+  assert.deepEqual(validateEvent({ tool_name: 'read_file', status: 'success' }, NOW), { valid: true, errors: [] });
+});
+
+test('validateEvent rejects non-objects', () => {
+  for (const event of [null, 'read_file', [], 42]) {
+    assert.deepEqual(validateEvent(event, NOW).errors, [{ field: 'event', message: 'must be a JSON object' }]);
+  }
+});
+
+test('validateEvent requires tool_name and status', () => {
+  const { valid, errors } = validateEvent({}, NOW);
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [
+    { field: 'tool_name', message: 'is required' },
+    { field: 'status', message: 'is required' },
+  ]);
+});
+
+test('validateEvent checks field types, lengths and ranges', () => {
+  const { errors } = validateEvent({
+    tool_name: ' ',
+    status: 'done',
+    error_message: 'x'.repeat(EVENT_LIMITS.errorMessageLength + 1),
+    duration_ms: 1.5,
+    request_size_bytes: -1,
+    redacted: 'yes',
+  }, NOW);
+  assert.deepEqual(errors.map(error => error.field), [
+    'tool_name', 'error_message', 'status', 'redacted', 'duration_ms', 'request_size_bytes',
+  ]);
+  assert.equal(errors[2].message, 'must be one of success, error, timeout');
+});
+
+test('validateEvent rejects timestamps older than the age limit', () => {
+  const event = { tool_name: 'read_file', status: 'success' };
+  assert.equal(validateEvent({ ...event, timestamp: '2026-03-04T12:00:00Z' }, NOW).valid, true);
+  assert.deepEqual(validateEvent({ ...event, timestamp: '2026-03-02T12:00:00Z' }, NOW).errors, [
+    { field: 'timestamp', message: 'must be at most 7 days old' },
+  ]);
+  assert.equal(validateEvent({ ...event, timestamp: '2026-03-10T12:00:00' }, NOW).errors[0].field, 'timestamp');
+});
+
+test('parseEventTimestamp accepts ISO 8601 with an offset and the stored format', () => {
+  assert.equal(parseEventTimestamp('2026-03-10T12:00:00Z').toISOString(), '2026-03-10T12:00:00.000Z');
+  assert.equal(parseEventTimestamp('2026-03-10T13:00:00+01:00').toISOString(), '2026-03-10T12:00:00.000Z');
+  assert.equal(parseEventTimestamp('2026-03-10 12:00:00').toISOString(), '2026-03-10T12:00:00.000Z');
+  assert.equal(parseEventTimestamp('2026-03-10'), null);
+  assert.equal(parseEventTimestamp(1741608000000), null);
+});
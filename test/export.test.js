@@ -0,0 +1,32 @@
+/**
+ * Tests for raw event export (analytics/export.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { csvField, parseExportParams } from '../analytics/export.js';
+
+test('csvField quotes fields per RFC 4180 and writes NULL as empty', () => {
+  assert.equal(csvField(null), '');
+  assert.equal(csvField(undefined), '');
+  assert.equal(csvField(42), '42');
+  assert.equal(csvField('plain'), 'plain');
+  assert.equal(csvField('a,b'), '"a,b"');
+  assert.equal(csvField('say "hi"'), '"say ""hi"""');
+  assert.equal(csvField('line\nbreak'), '"line\nbreak"');
+});
+
+test('csvField neutralizes spreadsheet formulas', () => {
+  assert.equal(csvField('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.equal(csvField('+1'), "'+1");
+  assert.equal(csvField('-1'), "'-1");
+  assert.equal(csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvField('\t=1'), "'\t=1");
+  assert.equal(csvField('\r=1'), '"\'\r=1"');
+  // Numbers are not client text
+  assert.equal(csvField(-1), '-1');
+});
+
+test('parseExportParams rejects an unknown format', () => {
+  assert.throws(() => parseExportParams(new URLSearchParams('format=xml')));
+});
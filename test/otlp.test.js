@@ -0,0 +1,111 @@
+/**
+ * Tests for OTLP span encoding (shared/otlp.js) and decoding (server/otlp.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { eventToSpan, traceExport, STATUS_CODE_ERROR } from '../shared/otlp.js';
+import { otlpConfig, spansToEvents } from '../server/otlp.js';
+
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+test('eventToSpan encodes timing, status and attributes', () => {
+  const span = eventToSpan({
+    tool_name: 'fetch_url',
+    status: 'error',
+    duration_ms: 250,
+    timestamp: '2026-03-10T12:00:00.000Z',
+    error_type: 'HTTPError',
+    error_message: '404 Not Found',
+    metadata: { url_host: 'example.com' },
+  }, { traceparent: TRACEPARENT });
+
+  assert.equal(span.traceId, '4bf92f3577b34da6a3ce929d0e0e4736');
+  assert.equal(span.parentSpanId, '00f067aa0ba902b7');
+  assert.match(span.spanId, /^[0-9a-f]{16}$/);
+  assert.equal(span.name, 'fetch_url');
+  assert.equal(span.endTimeUnixNano, '1773144000000000000');
+  assert.equal(span.startTimeUnixNano, '1773143999750000000');
+  assert.deepEqual(span.status, { code: STATUS_CODE_ERROR, message: '404 Not Found' });
+  assert.equal(span.events[0].name, 'exception');
+  assert.ok(span.attributes.some(({ key, value }) => key === 'track_skills.metadata.url_host' && value.stringValue === 'example.com'));
+});
+
+test('eventToSpan starts a new trace without a valid traceparent', () => {
+  const span = eventToSpan({ tool_name: 'read_file', status: 'success' }, { traceparent: 'garbage' });
+  assert.match(span.traceId, /^[0-9a-f]{32}$/);
+  assert.equal(span.parentSpanId, undefined);
+  assert.deepEqual(span.status, { code: 0 });
+  assert.deepEqual(span.events, []);
+});
+
+test('spansToEvents reads back what eventToSpan writes', () => {
+  const payload = {
+    tool_name: 'fetch_url',
+    tool_category: 'web',
+    status: 'timeout',
+    duration_ms: 1500,
+    timestamp: '2026-03-10T12:00:00.000Z',
+    error_type: 'TimeoutError',
+    error_message: 'took too long',
+    session_id: 'session-1',
+    event_id: 'event-1',
+    tool_version: '1.2.0',
+    request_size_bytes: 120,
+    metadata: { attempt: 2 },
+  };
+  const body = traceExport([eventToSpan(payload)], { 'service.name': 'agent' });
+  const { spans, skipped } = spansToEvents(body);
+
+  assert.equal(skipped, 0);
+  assert.equal(spans.length, 1);
+  const { event, userId, errors } = spans[0];
+  assert.equal(userId, null);
+  assert.deepEqual(errors, []);
+  for (const field of ['tool_name', 'tool_category', 'status', 'duration_ms', 'timestamp', 'error_type',
+    'error_message', 'session_id', 'event_id', 'tool_version', 'request_size_bytes']) {
+    assert.equal(event[field], payload[field], field);
+  }
+  assert.equal(event.metadata.attempt, 2);
+  assert.match(event.metadata.trace_id, /^[0-9a-f]{32}$/);
+});
+
+test('spansToEvents maps plain OpenTelemetry spans', () => {
+  const { spans } = spansToEvents({
+    resourceSpans: [{
+      resource: { attributes: [{ key: 'service.name', value: { stringValue: 'crawler' } }] },
+      scopeSpans: [{
+        spans: [{
+          traceId: 'abc', spanId: 'def', name: 'GET /pages',
+          startTimeUnixNano: '1773143999000000000', endTimeUnixNano: '1773144000000000000',
+          status: { code: 'STATUS_CODE_ERROR', message: 'x'.repeat(5000) },
+          attributes: [{ key: 'user.id', value: { stringValue: 'alice' } }],
+        }],
+      }],
+    }],
+  });
+  const { event, userId } = spans[0];
+  assert.equal(event.tool_name, 'GET /pages');
+  assert.equal(event.tool_category, 'crawler');
+  assert.equal(event.status, 'error');
+  assert.equal(event.duration_ms, 1000);
+  assert.equal(event.error_message.length, 2000);
+  assert.equal(event.event_id, 'abc-def');
+  assert.equal(userId, 'alice');
+});
+
+test('spansToEvents reports an out-of-range end time instead of throwing', () => {
+  const { spans } = spansToEvents(traceExport([{ name: 'x', endTimeUnixNano: '99999999999999999999999' }], {}));
+  assert.deepEqual(spans[0].errors, [{ field: 'endTimeUnixNano', message: 'is out of range' }]);
+  assert.equal(spans[0].event.timestamp, null);
+});
+
+test('spansToEvents skips spans without requireAttribute and rejects other bodies', () => {
+  const config = otlpConfig({ OTLP_CONFIG: '{"requireAttribute":"gen_ai.tool.name"}' });
+  const body = traceExport([eventToSpan({ tool_name: 'read_file', status: 'success' }), { name: 'db.query' }], {});
+  const { spans, skipped } = spansToEvents(body, config);
+  assert.equal(spans.length, 1);
+  assert.equal(skipped, 1);
+  assert.throws(() => spansToEvents({}), /Expected an OTLP trace export/);
+  assert.throws(() => otlpConfig({ OTLP_CONFIG: '[]' }), /OTLP_CONFIG must be a JSON object/);
+});
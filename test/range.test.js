@@ -0,0 +1,72 @@
+/**
+ * Tests for date ranges (analytics/range.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DAY_MS, parseRangeParams, resolveRange, sqlBounds, sqlTimestamp } from '../analytics/range.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+test('resolveRange treats a number as days ending now', () => {
+  const range = resolveRange(7, NOW);
+  assert.equal(range.since.getTime(), NOW.getTime() - 7 * DAY_MS);
+  assert.equal(range.until, NOW);
+  assert.equal(range.timezone, 'UTC');
+  assert.equal(range.label, '7 days');
+});
+
+test('resolveRange reads local dates in the range timezone', () => {
+  const range = resolveRange({ from: '2026-03-01', to: '2026-03-02', timezone: 'America/New_York' }, NOW);
+  assert.equal(range.since.toISOString(), '2026-03-01T05:00:00.000Z');
+  assert.equal(range.until.toISOString(), '2026-03-02T05:00:00.000Z');
+  assert.equal(range.days, 1);
+});
+
+test('resolveRange handles a DST change inside the range', () => {
+  // Clocks go forward on 2026-03-08 in New York, so the day before is 23 hours
+  const range = resolveRange({ from: '2026-03-08', to: '2026-03-09', timezone: 'America/New_York' }, NOW);
+  assert.equal(range.since.toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.equal(range.until.toISOString(), '2026-03-09T04:00:00.000Z');
+});
+
+test('resolveRange defaults from to `days` before to', () => {
+  const range = resolveRange({ to: '2026-03-05T00:00:00Z', days: 2 }, NOW);
+  assert.equal(range.since.toISOString(), '2026-03-03T00:00:00.000Z');
+});
+
+test('resolveRange rejects invalid bounds, timezones and empty ranges', () => {
+  assert.throws(() => resolveRange({ from: '2026-13-01' }, NOW), /Invalid from/);
+  assert.throws(() => resolveRange({ timezone: 'Mars/Olympus' }, NOW));
+  assert.throws(() => resolveRange({ from: '2026-03-05', to: '2026-03-05' }, NOW), /from must be before to/);
+});
+
+test('sqlBounds rounds both bounds up to a whole second', () => {
+  const bounds = sqlBounds({ since: new Date('2026-03-01T00:00:00.000Z'), until: new Date('2026-03-02T00:00:00.250Z') });
+  assert.deepEqual(bounds, { since: '2026-03-01 00:00:00', until: '2026-03-02 00:00:01' });
+  assert.equal(sqlTimestamp(NOW), '2026-03-10 12:00:00');
+});
+
+test('parseRangeParams returns null without from, to or tz', () => {
+  assert.equal(parseRangeParams(new URLSearchParams('days=30')), null);
+});
+
+test('parseRangeParams reads from, to, tz and days', () => {
+  assert.deepEqual(parseRangeParams(new URLSearchParams('from=2026-03-01&tz=Europe/Berlin&days=2')), {
+    from: '2026-03-01',
+    to: null,
+    timezone: 'Europe/Berlin',
+    days: 2,
+  });
+});
+
+test('parseRangeParams rejects bad counts even without a range', () => {
+  assert.throws(() => parseRangeParams(new URLSearchParams('days=0')), /Invalid days: must be a positive number/);
+  assert.throws(() => parseRangeParams(new URLSearchParams('limit=2.5')), /Invalid limit: must be a positive integer/);
+  assert.throws(() => parseRangeParams(new URLSearchParams('weeks=abc')), /Invalid weeks/);
+  assert.equal(parseRangeParams(new URLSearchParams('days=0.5&limit=')), null);
+});
+
+test('parseRangeParams rejects an invalid range', () => {
+  assert.throws(() => parseRangeParams(new URLSearchParams('from=yesterday')), /Invalid from/);
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for the PII and secret redactor (shared/redaction.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createRedactor } from '../shared/redaction.js';
+
+test('text() replaces built-in detectors', () => {
+  const { text } = createRedactor();
+  assert.deepEqual(text('Mail alice@example.com from 10.0.0.12'), {
+    value: 'Mail [REDACTED:email] from [REDACTED:ipv4]',
+    redacted: true,
+  });
+  assert.equal(text('Authorization: Bearer abc.def-123').value, 'Authorization: [REDACTED:bearer_token]');
+  assert.equal(text('password=hunter2 retry').value, 'password=[REDACTED:secret_assignment] retry');
+  assert.equal(text('Cannot open /home/alice/notes.txt').value, 'Cannot open [REDACTED:file_path]');
+});
+
+test('text() leaves clean text, URLs and non-strings alone', () => {
+  const { text } = createRedactor();
+  assert.deepEqual(text('Timeout after 30s'), { value: 'Timeout after 30s', redacted: false });
+  assert.equal(text('GET https://example.com/api/v1 failed').value, 'GET https://example.com/api/v1 failed');
+  assert.deepEqual(text(null), { value: null, redacted: false });
+});
+
+test('text() truncates to maxErrorMessageLength', () => {
+  const { text } = createRedactor({ maxErrorMessageLength: 5 });
+  assert.deepEqual(text('abcdefgh'), { value: 'abcde', redacted: true });
+});
+
+test('custom patterns and detector selection', () => {
+  const { text } = createRedactor({ detectors: ['email'], patterns: [{ name: 'ticket', pattern: 'TICKET-\\d+' }] });
+  assert.equal(text('TICKET-42 for bob@example.com at 10.0.0.1').value, '[REDACTED:ticket] for [REDACTED:email] at 10.0.0.1');
+  assert.throws(() => createRedactor({ detectors: ['phone'] }), /Unknown redaction detector: phone/);
+});
+
+test('metadata() replaces deny-listed keys at any depth', () => {
+  const { metadata } = createRedactor();
+  assert.deepEqual(metadata({ query: 'ok', nested: { API_KEY: 'abc', list: ['x@example.com'] }, token: null }), {
+    value: { query: 'ok', nested: { API_KEY: '[REDACTED]', list: ['[REDACTED:email]'] }, token: null },
+    redacted: true,
+  });
+});
+
+test('metadata() keeps only allowKeys at the top level and parses JSON strings', () => {
+  const { metadata } = createRedactor({ allowKeys: ['query'] });
+  assert.deepEqual(metadata('{"query":"ok","path":"x"}'), { value: { query: 'ok' }, redacted: true });
+  assert.deepEqual(metadata('not json'), { value: 'not json', redacted: false });
+});
+
+test('redactEvent() redacts error fields and metadata and keeps the client flag', () => {
+  const { redactEvent } = createRedactor();
+  const event = redactEvent({ tool_name: 'fetch', status: 'error', error_message: 'for alice@example.com', metadata: { secret: 's' } });
+  assert.equal(event.error_message, 'for [REDACTED:email]');
+  assert.deepEqual(event.metadata, { secret: '[REDACTED]' });
+  assert.equal(event.redacted, true);
+  assert.equal(redactEvent({ tool_name: 'fetch', status: 'success', redacted: true }).redacted, true);
+  assert.equal(redactEvent({ tool_name: 'fetch', status: 'success' }).redacted, false);
+});
+
+test('enabled: false stores events verbatim', () => {
+  const { redactEvent } = createRedactor({ enabled: false });
+  const event = redactEvent({ tool_name: 'fetch', status: 'error', error_message: 'alice@example.com' });
+  assert.equal(event.error_message, 'alice@example.com');
+  assert.equal(event.redacted, false);
+});
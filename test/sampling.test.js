@@ -0,0 +1,47 @@
+/**
+ * Tests for ingest sampling (server/sampling.js)
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { sampleEvent, sampleRates } from '../server/sampling.js';
+
+test('sampleRates reads the SAMPLE_RATES var', () => {
+  assert.deepEqual(sampleRates({}), {});
+  assert.deepEqual(sampleRates({ SAMPLE_RATES: '{"read_file":0.1,"*":0.5}' }), { read_file: 0.1, '*': 0.5 });
+});
+
+test('sampleRates rejects invalid config', () => {
+  assert.throws(() => sampleRates({ SAMPLE_RATES: '[0.5]' }), /must be a JSON object/);
+  assert.throws(() => sampleRates({ SAMPLE_RATES: '{"read_file":0}' }), /Invalid sample rate for read_file/);
+  assert.throws(() => sampleRates({ SAMPLE_RATES: '{"read_file":1.5}' }), /Invalid sample rate/);
+  assert.throws(() => sampleRates({ SAMPLE_RATES: '{"read_file":"0.5"}' }), /Invalid sample rate/);
+});
+
+test('sampleEvent always keeps errors, timeouts and unsampled tools', () => {
+  const rates = { read_file: 0.01 };
+  assert.equal(sampleEvent({ tool_name: 'read_file', status: 'error', event_id: 'a' }, rates), 1);
+  assert.equal(sampleEvent({ tool_name: 'read_file', status: 'timeout', event_id: 'a' }, rates), 1);
+  assert.equal(sampleEvent({ tool_name: 'write_file', status: 'success', event_id: 'a' }, rates), 1);
+  // Inherited object keys are not tool rates
+  assert.equal(sampleEvent({ tool_name: 'constructor', status: 'success' }, {}), 1);
+});
+
+test('sampleEvent is deterministic per event ID', () => {
+  const rates = { '*': 0.5 };
+  for (let i = 0; i < 20; i++) {
+    const event = { tool_name: 'read_file', status: 'success', event_id: `event-${i}` };
+    assert.equal(sampleEvent(event, rates), sampleEvent({ ...event }, rates));
+  }
+});
+
+test('sampleEvent keeps about rate of successful events, with their rate', () => {
+  const rates = { read_file: 0.25 };
+  const kept = [];
+  for (let i = 0; i < 2000; i++) {
+    const rate = sampleEvent({ tool_name: 'read_file', status: 'success', event_id: `event-${i}` }, rates);
+    if (rate !== null) kept.push(rate);
+  }
+  assert.ok(kept.every(rate => rate === 0.25));
+  assert.ok(kept.length > 400 && kept.length < 600, `kept ${kept.length} of 2000`);
+});
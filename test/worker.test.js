@@ -0,0 +1,65 @@
+/**
+ * Worker round trip against the local SQLite adapter (server/d1-sqlite.js)
+ * Needs node:sqlite (Node 22.5+); skipped on older Node versions.
+ */
+
+import { after, before, test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../examples/worker-integration.js';
+import { DEFAULT_ADMIN_API_KEY, localEnv, openLocalDatabase } from '../server/local-server.js';
+
+const hasSqlite = await import('node:sqlite').then(() => true, () => false);
+const skip = hasSqlite ? false : 'node:sqlite is not available (Node 22.5+)';
+
+let env;
+const ctx = { waitUntil() {} };
+
+const request = (path, { body, userId = 'alice' } = {}) => worker.fetch(new Request(`http://localhost${path}`, {
+  method: body === undefined ? 'GET' : 'POST',
+  headers: {
+    Authorization: `Bearer ${DEFAULT_ADMIN_API_KEY}`,
+    'X-User-Id': userId,
+    ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+  },
+  body: body === undefined ? undefined : JSON.stringify(body),
+}), env, ctx);
+
+before(async () => {
+  if (skip) return;
+  env = localEnv(await openLocalDatabase(':memory:'));
+});
+
+after(() => env?.DB.close());
+
+test('tracked events show up in analytics and exports', { skip }, async () => {
+  let response = await request('/api/track', {
+    body: { tool_name: 'read_file', status: 'success', duration_ms: 120, event_id: 'event-1' },
+  });
+  assert.equal(response.status, 200);
+  assert.deepEqual(await response.json(), { success: true, message: 'Event tracked' });
+
+  response = await request('/api/track/batch', {
+    body: {
+      events: [
+        { tool_name: 'read_file', status: 'error', duration_ms: 80, error_message: 'denied for bob@example.com', event_id: 'event-2' },
+        { tool_name: 'read_file', status: 'success', event_id: 'event-1' },
+      ],
+    },
+    userId: 'bob',
+  });
+  assert.equal(response.status, 200);
+
+  response = await request('/api/track', { body: { tool_name: 'read_file', status: 'done' } });
+  assert.equal(response.status, 400);
+  assert.deepEqual((await response.json()).errors, [{ field: 'status', message: 'must be one of success, error, timeout' }]);
+
+  const summary = await (await request('/analytics/summary?days=1')).json();
+  assert.equal(summary.total_invocations, 2);
+  assert.equal(summary.error_rate, '50.00');
+
+  const csv = await (await request('/analytics/export?format=csv&days=1')).text();
+  const lines = csv.trim().split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.match(csv, /denied for \[REDACTED:email\]/);
+  assert.doesNotMatch(csv, /alice|bob@example\.com/);
+});